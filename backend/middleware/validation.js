@@ -0,0 +1,378 @@
+/**
+ * Request Validation Middleware
+ * Declarative body schemas shared by the write endpoints. Invalid requests get
+ * a 400 listing every failing field instead of a Prisma 500.
+ *
+ * Rule keys: type (string, number, integer, boolean, date, email, url, array, object),
+ * required, min, max, minLength, maxLength, enum, fields (nested object schema), items (array item rule)
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    date: value => (typeof value === 'string' || value instanceof Date) && !isNaN(new Date(value).getTime()),
+    email: value => typeof value === 'string' && EMAIL_PATTERN.test(value),
+    url: value => {
+        if (typeof value !== 'string') return false;
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (error) {
+            return false;
+        }
+    },
+    array: value => Array.isArray(value),
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value)
+};
+
+const TYPE_MESSAGES = {
+    string: 'debe ser un texto',
+    number: 'debe ser un número',
+    integer: 'debe ser un número entero',
+    boolean: 'debe ser verdadero o falso',
+    date: 'debe ser una fecha válida',
+    email: 'debe ser un email válido',
+    url: 'debe ser una URL http(s) válida',
+    array: 'debe ser una lista',
+    object: 'debe ser un objeto'
+};
+
+const checkField = (value, rule, field, errors, partial) => {
+    if (value === undefined || value === null || value === '') {
+        // Partial updates may omit a required field, but not blank it
+        if (rule.required && (!partial || value !== undefined)) {
+            errors.push({ field, message: 'es obligatorio' });
+        }
+        return;
+    }
+
+    if (rule.type && !TYPE_CHECKS[rule.type](value)) {
+        errors.push({ field, message: TYPE_MESSAGES[rule.type] });
+        return;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        errors.push({ field, message: `debe ser uno de: ${rule.enum.join(', ')}` });
+    }
+    if (rule.min !== undefined && value < rule.min) {
+        errors.push({ field, message: `debe ser mayor o igual que ${rule.min}` });
+    }
+    if (rule.max !== undefined && value > rule.max) {
+        errors.push({ field, message: `debe ser menor o igual que ${rule.max}` });
+    }
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+        errors.push({ field, message: `debe tener al menos ${rule.minLength} caracteres` });
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        errors.push({ field, message: `no puede superar ${rule.maxLength} caracteres` });
+    }
+
+    if (rule.fields) {
+        validateObject(value, rule.fields, errors, partial, `${field}.`);
+    }
+    if (rule.items) {
+        value.forEach((item, index) => checkField(item, rule.items, `${field}[${index}]`, errors, partial));
+    }
+};
+
+const validateObject = (data, schema, errors, partial, prefix = '') => {
+    for (const [field, rule] of Object.entries(schema)) {
+        checkField(data[field], rule, `${prefix}${field}`, errors, partial);
+    }
+    return errors;
+};
+
+/**
+ * Validate an object against a schema and return the list of errors
+ */
+const validate = (data, schema, options = {}) =>
+    validateObject(data || {}, schema, [], Boolean(options.partial));
+
+/**
+ * Express middleware validating req.body. With { partial: true } required
+ * fields may be omitted (PUT/PATCH), but any field sent must still be valid.
+ */
+const validateBody = (schema, options = {}) => (req, res, next) => {
+    const errors = validate(req.body, schema, options);
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Datos inválidos',
+            details: errors
+        });
+    }
+
+    next();
+};
+
+// ====================================
+// SCHEMAS
+// ====================================
+
+const CURRENCIES = ['EUR', 'USD', 'GBP'];
+const CHANNELS = ['airbnb', 'booking', 'vrbo', 'expedia'];
+const INCIDENT_TYPES = ['damage', 'missing_items', 'cleanliness', 'noise', 'other'];
+
+const propertySchema = {
+    name: { type: 'string', required: true, maxLength: 200 },
+    description: { type: 'string', maxLength: 5000 },
+    address: { type: 'string', required: true, maxLength: 300 },
+    city: { type: 'string', required: true, maxLength: 100 },
+    country: { type: 'string', required: true, maxLength: 100 },
+    postalCode: { type: 'string', maxLength: 20 },
+    propertyType: { type: 'string', required: true, enum: ['apartment', 'house', 'villa', 'studio', 'room', 'hotel'] },
+    images: { type: 'array', items: { type: 'string' } },
+    maxGuests: { type: 'integer', required: true, min: 1, max: 100 },
+    bedrooms: { type: 'integer', required: true, min: 0 },
+    bathrooms: { type: 'integer', required: true, min: 0 },
+    airbnbIcalUrl: { type: 'url' },
+    bookingIcalUrl: { type: 'url' },
+    vrboIcalUrl: { type: 'url' },
+    smartLockBrand: { type: 'string', enum: ['nuki', 'august', 'yale', 'none'] },
+    basePrice: { type: 'number', required: true, min: 0 },
+    currency: { type: 'string', enum: CURRENCIES },
+    cleaningFee: { type: 'number', min: 0 },
+    depositAmount: { type: 'number', required: true, min: 0 },
+    isActive: { type: 'boolean' },
+    autoMessaging: { type: 'boolean' }
+};
+
+const TEAM_ROLES = ['co_host', 'cleaner'];
+const PERMISSIONS = ['view_reservations', 'manage_reservations', 'manage_messages', 'manage_locks', 'manage_property', 'finances'];
+
+const propertyGrantSchema = {
+    propertyId: { type: 'string', required: true },
+    permissions: { type: 'array', items: { type: 'string', enum: PERMISSIONS } }
+};
+
+const reservationGuestSchema = {
+    name: { type: 'string', maxLength: 200 },
+    email: { type: 'email' },
+    phone: { type: 'string', maxLength: 30 },
+    language: { type: 'string', maxLength: 5 },
+    country: { type: 'string', maxLength: 100 },
+    guestCount: { type: 'integer', min: 1 }
+};
+
+const reservationPricingSchema = {
+    baseAmount: { type: 'number', min: 0 },
+    cleaningFee: { type: 'number', min: 0 },
+    totalAmount: { type: 'number', min: 0 }
+};
+
+const schemas = {
+    register: {
+        email: { type: 'email', required: true, maxLength: 254 },
+        password: { type: 'string', required: true, minLength: 8, maxLength: 128 },
+        name: { type: 'string', required: true, maxLength: 100 },
+        phone: { type: 'string', required: true, maxLength: 30 },
+        company: { type: 'string', maxLength: 100 }
+    },
+    login: {
+        email: { type: 'string', required: true, maxLength: 254 },
+        password: { type: 'string', required: true, maxLength: 128 }
+    },
+    googleAuth: {
+        token: { type: 'string', required: true, maxLength: 4096 }
+    },
+    loginTwoFactor: {
+        challengeToken: { type: 'string', required: true, maxLength: 1000 },
+        code: { type: 'string', required: true, maxLength: 20 }
+    },
+    twoFactorCode: {
+        code: { type: 'string', required: true, maxLength: 20 }
+    },
+    disableTwoFactor: {
+        password: { type: 'string', required: true, maxLength: 128 },
+        code: { type: 'string', required: true, maxLength: 20 }
+    },
+    refreshToken: {
+        refreshToken: { type: 'string', required: true, maxLength: 200 }
+    },
+    accountToken: {
+        token: { type: 'string', required: true, maxLength: 200 }
+    },
+    forgotPassword: {
+        email: { type: 'email', required: true, maxLength: 254 }
+    },
+    resetPassword: {
+        token: { type: 'string', required: true, maxLength: 200 },
+        password: { type: 'string', required: true, minLength: 8, maxLength: 128 }
+    },
+    changePassword: {
+        currentPassword: { type: 'string', required: true, maxLength: 128 },
+        newPassword: { type: 'string', required: true, minLength: 8, maxLength: 128 }
+    },
+    updateProfile: {
+        name: { type: 'string', required: true, maxLength: 100 },
+        phone: { type: 'string', maxLength: 30 },
+        company: { type: 'string', maxLength: 100 },
+        avatar: { type: 'url', maxLength: 500 },
+        language: { type: 'string', enum: ['es', 'en', 'fr'] },
+        currency: { type: 'string', enum: CURRENCIES },
+        timezone: { type: 'string', maxLength: 64 },
+        emailNotifications: { type: 'boolean' },
+        whatsappNotifications: { type: 'boolean' }
+    },
+
+    updateUserAccess: {
+        role: { type: 'string', enum: ['owner', 'co_host', 'cleaner', 'admin'] },
+        isActive: { type: 'boolean' }
+    },
+
+    teamInvite: {
+        email: { type: 'email', required: true, maxLength: 254 },
+        role: { type: 'string', enum: TEAM_ROLES },
+        grants: { type: 'array', items: { type: 'object', fields: propertyGrantSchema } }
+    },
+    teamGrants: {
+        grants: { type: 'array', required: true, items: { type: 'object', fields: propertyGrantSchema } }
+    },
+
+    createProperty: propertySchema,
+    updateProperty: propertySchema,
+    importAirbnb: {
+        url: { type: 'url', required: true },
+        apiKey: { type: 'string', maxLength: 500 }
+    },
+    importBooking: {
+        propertyId: { type: 'string', required: true, maxLength: 100 },
+        apiKey: { type: 'string', required: true, maxLength: 500 }
+    },
+
+    createReservation: {
+        propertyId: { type: 'string', required: true },
+        source: { type: 'string', enum: ['direct', 'manual', 'airbnb', 'booking', 'vrbo'] },
+        checkIn: { type: 'date', required: true },
+        checkOut: { type: 'date', required: true },
+        guest: { type: 'object', fields: reservationGuestSchema },
+        pricing: { type: 'object', fields: reservationPricingSchema },
+        notes: { type: 'string', maxLength: 2000 }
+    },
+    updateReservation: {
+        checkIn: { type: 'date' },
+        checkOut: { type: 'date' },
+        status: { type: 'string' },
+        guest: { type: 'object', fields: reservationGuestSchema },
+        pricing: { type: 'object', fields: reservationPricingSchema },
+        notes: { type: 'string', maxLength: 2000 }
+    },
+    reservationTransition: {
+        reason: { type: 'string', maxLength: 500 },
+        cancelledBy: { type: 'string', enum: ['guest', 'host', 'platform'] }
+    },
+
+    connectChannel: {
+        propertyId: { type: 'string', required: true },
+        channelName: { type: 'string', required: true, enum: CHANNELS },
+        listingId: { type: 'string', required: true, maxLength: 100 },
+        icalUrl: { type: 'url' },
+        apiCredentials: { type: 'object' },
+        syncIntervalMinutes: { type: 'integer', min: 15, max: 1440 }
+    },
+    syncChannels: {
+        propertyId: { type: 'string' },
+        channelId: { type: 'string' }
+    },
+    channelSyncSettings: {
+        syncEnabled: { type: 'boolean' },
+        syncIntervalMinutes: { type: 'integer', min: 15, max: 1440 }
+    },
+    resolveConflict: {
+        resolution: { type: 'string', required: true, enum: ['cancelled_reservation', 'relocated_guest', 'false_positive'] },
+        cancelReservationId: { type: 'string' },
+        notes: { type: 'string', maxLength: 2000 }
+    },
+
+    createDeposit: {
+        reservationId: { type: 'string', required: true },
+        // Defaults to the deposit set on the reservation
+        amount: { type: 'number', min: 1 },
+        currency: { type: 'string', enum: [...CURRENCIES, ...CURRENCIES.map(c => c.toLowerCase())] }
+    },
+
+    captureDeposit: {
+        incidentId: { type: 'string', required: true },
+        // Defaults to the incident's estimated cost
+        amount: { type: 'number', min: 0.5 }
+    },
+
+    releaseDeposit: {
+        reason: { type: 'string', maxLength: 200 }
+    },
+
+    depositLink: {
+        // Send it to the guest now instead of only returning it
+        send: { type: 'boolean' }
+    },
+
+    reportIncident: {
+        reservationId: { type: 'string', required: true },
+        type: { type: 'string', required: true, enum: INCIDENT_TYPES },
+        title: { type: 'string', required: true, minLength: 3, maxLength: 200 },
+        description: { type: 'string', required: true, maxLength: 5000 },
+        estimatedCost: { type: 'number', required: true, min: 0 },
+        // Defaults to the deposit (or property) currency
+        currency: { type: 'string', enum: CURRENCIES },
+        // Images as data URLs (data:image/jpeg;base64,...)
+        photos: { type: 'array', items: { type: 'string' } }
+    },
+
+    updateIncident: {
+        type: { type: 'string', required: true, enum: INCIDENT_TYPES },
+        title: { type: 'string', required: true, minLength: 3, maxLength: 200 },
+        description: { type: 'string', required: true, maxLength: 5000 },
+        estimatedCost: { type: 'number', required: true, min: 0 },
+        currency: { type: 'string', enum: CURRENCIES }
+    },
+
+    incidentPhotos: {
+        photos: { type: 'array', required: true, items: { type: 'string' } }
+    },
+
+    chargeIncident: {
+        // Defaults to the estimated cost, capped at the deposit
+        amount: { type: 'number', min: 0.5 }
+    },
+
+    resolveIncident: {
+        actionTaken: { type: 'string', maxLength: 200 },
+        resolutionNotes: { type: 'string', maxLength: 2000 }
+    },
+
+    dismissIncident: {
+        resolutionNotes: { type: 'string', maxLength: 2000 }
+    },
+
+    disputeEvidence: {
+        // Defaults to the open dispute of the incident's charge
+        disputeId: { type: 'string' },
+        // Send the evidence to the bank now instead of leaving it as a draft in Stripe
+        submit: { type: 'boolean' }
+    },
+
+    createTemplate: {
+        name: { type: 'string', required: true, maxLength: 100 },
+        category: { type: 'string', required: true, enum: ['welcome', 'checkin', 'checkout', 'review_request', 'custom'] },
+        language: { type: 'string', enum: ['es', 'en', 'fr'] },
+        content: { type: 'string', required: true, maxLength: 4096 },
+        variables: { type: 'array', items: { type: 'string' } }
+    },
+
+    sendWhatsApp: {
+        phone: { type: 'string', required: true, minLength: 8, maxLength: 20 },
+        message: { type: 'string', required: true, maxLength: 4096 },
+        templateId: { type: 'string' },
+        reservationId: { type: 'string' }
+    }
+};
+
+module.exports = {
+    validate,
+    validateBody,
+    schemas
+};
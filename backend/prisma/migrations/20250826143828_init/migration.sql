@@ -1,164 +0,0 @@
--- CreateTable
-CREATE TABLE "public"."users" (
-    "id" TEXT NOT NULL,
-    "email" TEXT NOT NULL,
-    "password" TEXT NOT NULL,
-    "name" TEXT NOT NULL,
-    "phone" TEXT NOT NULL,
-    "company" TEXT,
-    "plan" TEXT NOT NULL DEFAULT 'basic',
-    "stripeCustomerId" TEXT,
-    "stripeSubscriptionId" TEXT,
-    "subscriptionStatus" TEXT NOT NULL DEFAULT 'active',
-    "currentPeriodEnd" TIMESTAMP(3),
-    "language" TEXT NOT NULL DEFAULT 'es',
-    "currency" TEXT NOT NULL DEFAULT 'EUR',
-    "timezone" TEXT NOT NULL DEFAULT 'Europe/Madrid',
-    "emailNotifications" BOOLEAN NOT NULL DEFAULT true,
-    "whatsappNotifications" BOOLEAN NOT NULL DEFAULT true,
-    "provider" TEXT,
-    "avatar" TEXT,
-    "lastLogin" TIMESTAMP(3),
-    "isActive" BOOLEAN NOT NULL DEFAULT true,
-    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    "updatedAt" TIMESTAMP(3) NOT NULL,
-
-    CONSTRAINT "users_pkey" PRIMARY KEY ("id")
-);
-
--- CreateTable
-CREATE TABLE "public"."properties" (
-    "id" TEXT NOT NULL,
-    "ownerId" TEXT NOT NULL,
-    "name" TEXT NOT NULL,
-    "description" TEXT,
-    "address" TEXT NOT NULL,
-    "city" TEXT NOT NULL,
-    "country" TEXT NOT NULL,
-    "postalCode" TEXT,
-    "propertyType" TEXT NOT NULL,
-    "maxGuests" INTEGER NOT NULL,
-    "bedrooms" INTEGER NOT NULL,
-    "bathrooms" INTEGER NOT NULL,
-    "airbnbListingId" TEXT,
-    "airbnbIcalUrl" TEXT,
-    "airbnbLastSync" TIMESTAMP(3),
-    "airbnbIsActive" BOOLEAN NOT NULL DEFAULT false,
-    "bookingListingId" TEXT,
-    "bookingIcalUrl" TEXT,
-    "bookingLastSync" TIMESTAMP(3),
-    "bookingIsActive" BOOLEAN NOT NULL DEFAULT false,
-    "vrboListingId" TEXT,
-    "vrboIcalUrl" TEXT,
-    "vrboLastSync" TIMESTAMP(3),
-    "vrboIsActive" BOOLEAN NOT NULL DEFAULT false,
-    "smartLockBrand" TEXT NOT NULL DEFAULT 'none',
-    "smartLockId" TEXT,
-    "smartLockApiToken" TEXT,
-    "smartLockIsActive" BOOLEAN NOT NULL DEFAULT false,
-    "basePrice" DOUBLE PRECISION NOT NULL,
-    "currency" TEXT NOT NULL DEFAULT 'EUR',
-    "cleaningFee" DOUBLE PRECISION NOT NULL DEFAULT 0,
-    "depositAmount" DOUBLE PRECISION NOT NULL,
-    "wifiName" TEXT,
-    "wifiPassword" TEXT,
-    "checkInInstructions" TEXT,
-    "checkOutInstructions" TEXT,
-    "houseRules" TEXT,
-    "welcomeTemplate" TEXT NOT NULL DEFAULT '¡Hola {{guest_name}}! Bienvenido a {{property_name}}.',
-    "accessInfoTemplate" TEXT NOT NULL DEFAULT 'Tu código de acceso es: {{access_code}}',
-    "checkoutReminderTemplate" TEXT NOT NULL DEFAULT 'Recordatorio: Check-out hoy a las {{checkout_time}}',
-    "reviewRequestTemplate" TEXT NOT NULL DEFAULT '¡Esperamos tu reseña de 5⭐!',
-    "isActive" BOOLEAN NOT NULL DEFAULT true,
-    "autoMessaging" BOOLEAN NOT NULL DEFAULT true,
-    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    "updatedAt" TIMESTAMP(3) NOT NULL,
-
-    CONSTRAINT "properties_pkey" PRIMARY KEY ("id")
-);
-
--- CreateTable
-CREATE TABLE "public"."reservations" (
-    "id" TEXT NOT NULL,
-    "propertyId" TEXT NOT NULL,
-    "guestName" TEXT NOT NULL,
-    "guestEmail" TEXT NOT NULL,
-    "guestPhone" TEXT,
-    "guestLanguage" TEXT NOT NULL DEFAULT 'es',
-    "guestCountry" TEXT,
-    "guestCount" INTEGER NOT NULL DEFAULT 1,
-    "checkIn" TIMESTAMP(3) NOT NULL,
-    "checkOut" TIMESTAMP(3) NOT NULL,
-    "nights" INTEGER NOT NULL,
-    "source" TEXT NOT NULL,
-    "externalId" TEXT,
-    "status" TEXT NOT NULL DEFAULT 'confirmed',
-    "baseAmount" DOUBLE PRECISION NOT NULL,
-    "cleaningFee" DOUBLE PRECISION NOT NULL DEFAULT 0,
-    "totalAmount" DOUBLE PRECISION NOT NULL,
-    "currency" TEXT NOT NULL DEFAULT 'EUR',
-    "accessCode" TEXT,
-    "accessCodeGeneratedAt" TIMESTAMP(3),
-    "accessCodeExpiresAt" TIMESTAMP(3),
-    "accessCodeUsedAt" TIMESTAMP(3),
-    "stripePaymentIntentId" TEXT,
-    "depositAmount" DOUBLE PRECISION,
-    "depositCurrency" TEXT,
-    "depositStatus" TEXT DEFAULT 'pending',
-    "depositAuthorizedAt" TIMESTAMP(3),
-    "depositReleasedAt" TIMESTAMP(3),
-    "messagesSent" JSONB,
-    "notes" TEXT,
-    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    "updatedAt" TIMESTAMP(3) NOT NULL,
-
-    CONSTRAINT "reservations_pkey" PRIMARY KEY ("id")
-);
-
--- CreateTable
-CREATE TABLE "public"."incidents" (
-    "id" TEXT NOT NULL,
-    "reservationId" TEXT NOT NULL,
-    "propertyId" TEXT NOT NULL,
-    "reportedById" TEXT NOT NULL,
-    "resolvedById" TEXT,
-    "type" TEXT NOT NULL,
-    "title" TEXT NOT NULL,
-    "description" TEXT NOT NULL,
-    "estimatedCost" DOUBLE PRECISION NOT NULL,
-    "currency" TEXT NOT NULL DEFAULT 'EUR',
-    "evidencePhotos" JSONB,
-    "evidenceVideos" JSONB,
-    "status" TEXT NOT NULL DEFAULT 'reported',
-    "actionTaken" TEXT,
-    "chargedAmount" DOUBLE PRECISION,
-    "chargedAt" TIMESTAMP(3),
-    "stripeChargeId" TEXT,
-    "resolutionNotes" TEXT,
-    "resolvedAt" TIMESTAMP(3),
-    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    "updatedAt" TIMESTAMP(3) NOT NULL,
-
-    CONSTRAINT "incidents_pkey" PRIMARY KEY ("id")
-);
-
--- CreateIndex
-CREATE UNIQUE INDEX "users_email_key" ON "public"."users"("email");
-
--- AddForeignKey
-ALTER TABLE "public"."properties" ADD CONSTRAINT "properties_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE "public"."reservations" ADD CONSTRAINT "reservations_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "public"."properties"("id") ON DELETE CASCADE ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE "public"."incidents" ADD CONSTRAINT "incidents_reservationId_fkey" FOREIGN KEY ("reservationId") REFERENCES "public"."reservations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE "public"."incidents" ADD CONSTRAINT "incidents_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "public"."properties"("id") ON DELETE CASCADE ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE "public"."incidents" ADD CONSTRAINT "incidents_reportedById_fkey" FOREIGN KEY ("reportedById") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE "public"."incidents" ADD CONSTRAINT "incidents_resolvedById_fkey" FOREIGN KEY ("resolvedById") REFERENCES "public"."users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -1,230 +0,0 @@
--- CreateTable
-CREATE TABLE "public"."smart_locks" (
-    "id" TEXT NOT NULL,
-    "ownerId" TEXT NOT NULL,
-    "propertyId" TEXT NOT NULL,
-    "brand" TEXT NOT NULL,
-    "deviceId" TEXT NOT NULL,
-    "deviceName" TEXT NOT NULL,
-    "apiCredentials" JSONB,
-    "settings" JSONB,
-    "status" TEXT NOT NULL DEFAULT 'active',
-    "lastSync" TIMESTAMP(3),
-    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    "updatedAt" TIMESTAMP(3) NOT NULL,
-
-    CONSTRAINT "smart_locks_pkey" PRIMARY KEY ("id")
-);
-
--- CreateTable
-CREATE TABLE "public"."access_codes" (
-    "id" TEXT NOT NULL,
-    "lockId" TEXT NOT NULL,
-    "ownerId" TEXT NOT NULL,
-    "bookingId" TEXT,
-    "code" TEXT NOT NULL,
-    "codeName" TEXT NOT NULL,
-    "validFrom" TIMESTAMP(3) NOT NULL,
-    "validUntil" TIMESTAMP(3) NOT NULL,
-    "usedAt" TIMESTAMP(3),
-    "usageCount" INTEGER NOT NULL DEFAULT 0,
-    "guestInfo" JSONB,
-    "status" TEXT NOT NULL DEFAULT 'active',
-    "revokedAt" TIMESTAMP(3),
-    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    "updatedAt" TIMESTAMP(3) NOT NULL,
-
-    CONSTRAINT "access_codes_pkey" PRIMARY KEY ("id")
-);
-
--- CreateTable
-CREATE TABLE "public"."message_templates" (
-    "id" TEXT NOT NULL,
-    "ownerId" TEXT NOT NULL,
-    "name" TEXT NOT NULL,
-    "category" TEXT NOT NULL,
-    "language" TEXT NOT NULL DEFAULT 'es',
-    "content" TEXT NOT NULL,
-    "variables" JSONB,
-    "isActive" BOOLEAN NOT NULL DEFAULT true,
-    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    "updatedAt" TIMESTAMP(3) NOT NULL,
-
-    CONSTRAINT "message_templates_pkey" PRIMARY KEY ("id")
-);
-
--- CreateTable
-CREATE TABLE "public"."automation_rules" (
-    "id" TEXT NOT NULL,
-    "ownerId" TEXT NOT NULL,
-    "templateId" TEXT NOT NULL,
-    "name" TEXT NOT NULL,
-    "description" TEXT,
-    "eventType" TEXT NOT NULL,
-    "conditions" JSONB,
-    "delayMinutes" INTEGER NOT NULL DEFAULT 0,
-    "propertyIds" JSONB,
-    "isActive" BOOLEAN NOT NULL DEFAULT true,
-    "executionCount" INTEGER NOT NULL DEFAULT 0,
-    "lastExecuted" TIMESTAMP(3),
-    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    "updatedAt" TIMESTAMP(3) NOT NULL,
-
-    CONSTRAINT "automation_rules_pkey" PRIMARY KEY ("id")
-);
-
--- CreateTable
-CREATE TABLE "public"."messages" (
-    "id" TEXT NOT NULL,
-    "ownerId" TEXT NOT NULL,
-    "templateId" TEXT,
-    "guestName" TEXT NOT NULL,
-    "guestPhone" TEXT NOT NULL,
-    "guestEmail" TEXT,
-    "content" TEXT NOT NULL,
-    "platform" TEXT NOT NULL,
-    "status" TEXT NOT NULL DEFAULT 'pending',
-    "sentAt" TIMESTAMP(3),
-    "deliveredAt" TIMESTAMP(3),
-    "errorMessage" TEXT,
-    "metadata" JSONB,
-    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    "updatedAt" TIMESTAMP(3) NOT NULL,
-
-    CONSTRAINT "messages_pkey" PRIMARY KEY ("id")
-);
-
--- CreateTable
-CREATE TABLE "public"."payments" (
-    "id" TEXT NOT NULL,
-    "reservationId" TEXT NOT NULL,
-    "ownerId" TEXT NOT NULL,
-    "amount" DOUBLE PRECISION NOT NULL,
-    "currency" TEXT NOT NULL DEFAULT 'EUR',
-    "type" TEXT NOT NULL,
-    "stripePaymentIntentId" TEXT,
-    "stripeChargeId" TEXT,
-    "stripeCustomerId" TEXT,
-    "status" TEXT NOT NULL DEFAULT 'pending',
-    "authorizedAt" TIMESTAMP(3),
-    "capturedAt" TIMESTAMP(3),
-    "refundedAt" TIMESTAMP(3),
-    "description" TEXT,
-    "metadata" JSONB,
-    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    "updatedAt" TIMESTAMP(3) NOT NULL,
-
-    CONSTRAINT "payments_pkey" PRIMARY KEY ("id")
-);
-
--- CreateTable
-CREATE TABLE "public"."pricing_rules" (
-    "id" TEXT NOT NULL,
-    "propertyId" TEXT NOT NULL,
-    "ownerId" TEXT NOT NULL,
-    "name" TEXT NOT NULL,
-    "type" TEXT NOT NULL,
-    "conditions" JSONB NOT NULL,
-    "adjustmentType" TEXT NOT NULL,
-    "adjustmentValue" DOUBLE PRECISION NOT NULL,
-    "priority" INTEGER NOT NULL DEFAULT 0,
-    "isActive" BOOLEAN NOT NULL DEFAULT true,
-    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    "updatedAt" TIMESTAMP(3) NOT NULL,
-
-    CONSTRAINT "pricing_rules_pkey" PRIMARY KEY ("id")
-);
-
--- CreateTable
-CREATE TABLE "public"."analytics_data" (
-    "id" TEXT NOT NULL,
-    "ownerId" TEXT NOT NULL,
-    "propertyId" TEXT,
-    "metric" TEXT NOT NULL,
-    "value" DOUBLE PRECISION NOT NULL,
-    "period" TEXT NOT NULL,
-    "date" TIMESTAMP(3) NOT NULL,
-    "metadata" JSONB,
-    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
-
-    CONSTRAINT "analytics_data_pkey" PRIMARY KEY ("id")
-);
-
--- CreateTable
-CREATE TABLE "public"."channels" (
-    "id" TEXT NOT NULL,
-    "propertyId" TEXT NOT NULL,
-    "ownerId" TEXT NOT NULL,
-    "name" TEXT NOT NULL,
-    "listingId" TEXT NOT NULL,
-    "apiCredentials" JSONB,
-    "icalUrl" TEXT,
-    "syncEnabled" BOOLEAN NOT NULL DEFAULT true,
-    "lastSync" TIMESTAMP(3),
-    "syncErrors" JSONB,
-    "isActive" BOOLEAN NOT NULL DEFAULT true,
-    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    "updatedAt" TIMESTAMP(3) NOT NULL,
-
-    CONSTRAINT "channels_pkey" PRIMARY KEY ("id")
-);
-
--- CreateIndex
-CREATE UNIQUE INDEX "analytics_data_ownerId_propertyId_metric_period_date_key" ON "public"."analytics_data"("ownerId", "propertyId", "metric", "period", "date");
-
--- CreateIndex
-CREATE UNIQUE INDEX "channels_propertyId_name_key" ON "public"."channels"("propertyId", "name");
-
--- AddForeignKey
-ALTER TABLE "public"."smart_locks" ADD CONSTRAINT "smart_locks_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE "public"."smart_locks" ADD CONSTRAINT "smart_locks_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "public"."properties"("id") ON DELETE CASCADE ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE "public"."access_codes" ADD CONSTRAINT "access_codes_lockId_fkey" FOREIGN KEY ("lockId") REFERENCES "public"."smart_locks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE "public"."access_codes" ADD CONSTRAINT "access_codes_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE "public"."access_codes" ADD CONSTRAINT "access_codes_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "public"."reservations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE "public"."message_templates" ADD CONSTRAINT "message_templates_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE "public"."automation_rules" ADD CONSTRAINT "automation_rules_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE "public"."automation_rules" ADD CONSTRAINT "automation_rules_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "public"."message_templates"("id") ON DELETE CASCADE ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE "public"."messages" ADD CONSTRAINT "messages_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE "public"."messages" ADD CONSTRAINT "messages_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "public"."message_templates"("id") ON DELETE SET NULL ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE "public"."payments" ADD CONSTRAINT "payments_reservationId_fkey" FOREIGN KEY ("reservationId") REFERENCES "public"."reservations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE "public"."payments" ADD CONSTRAINT "payments_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE "public"."pricing_rules" ADD CONSTRAINT "pricing_rules_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "public"."properties"("id") ON DELETE CASCADE ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE "public"."pricing_rules" ADD CONSTRAINT "pricing_rules_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE "public"."analytics_data" ADD CONSTRAINT "analytics_data_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE "public"."analytics_data" ADD CONSTRAINT "analytics_data_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "public"."properties"("id") ON DELETE CASCADE ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE "public"."channels" ADD CONSTRAINT "channels_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "public"."properties"("id") ON DELETE CASCADE ON UPDATE CASCADE;
-
--- AddForeignKey
-ALTER TABLE "public"."channels" ADD CONSTRAINT "channels_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "public"."users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
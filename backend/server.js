@@ -7,6 +7,7 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const path = require('path');
 const http = require('http');
+const crypto = require('crypto');
 require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
 
 const app = express();
@@ -21,15 +22,60 @@ const WhatsAppService = require('./services/WhatsAppService');
 const MessageService = require('./services/MessageService');
 const ChannelManagerService = require('./services/ChannelManagerService');
 const PropertyService = require('./services/PropertyService');
+const AccessService = require('./services/AccessService');
+const TeamService = require('./services/TeamService');
 const NotificationService = require('./services/NotificationService');
+const { validateBody, schemas } = require('./middleware/validation');
+const SyncSchedulerService = require('./services/SyncSchedulerService');
+const ReservationService = require('./services/ReservationService');
+const AutomationService = require('./services/AutomationService');
+const SessionService = require('./services/SessionService');
+const AccountService = require('./services/AccountService');
+const TwoFactorService = require('./services/TwoFactorService');
+const GoogleAuthService = require('./services/GoogleAuthService');
+const UserService = require('./services/UserService');
+const AuditService = require('./services/AuditService');
+const CredentialService = require('./services/CredentialService');
+const DepositService = require('./services/DepositService');
+const DepositSchedulerService = require('./services/DepositSchedulerService');
+const StripeWebhookService = require('./services/StripeWebhookService');
+const StorageService = require('./services/StorageService');
+const IncidentService = require('./services/IncidentService');
+const IncidentReportService = require('./services/IncidentReportService');
 
 // Initialize services
 const stripeService = new StripeService();
 const whatsappService = new WhatsAppService();
 const messageService = new MessageService();
-const channelManagerService = new ChannelManagerService(prisma);
-const propertyService = new PropertyService(prisma);
 const notificationService = new NotificationService(prisma);
+const channelManagerService = new ChannelManagerService(prisma, notificationService);
+const accessService = new AccessService(prisma);
+const credentialService = new CredentialService(prisma);
+const propertyService = new PropertyService(prisma, accessService, credentialService);
+const syncSchedulerService = new SyncSchedulerService(prisma, channelManagerService);
+const automationService = new AutomationService(prisma, whatsappService, messageService);
+const auditService = new AuditService(prisma);
+const depositService = new DepositService(prisma, stripeService, auditService, automationService, notificationService);
+const depositSchedulerService = new DepositSchedulerService(depositService);
+const stripeWebhookService = new StripeWebhookService(prisma, stripeService, depositService, notificationService);
+const storageService = new StorageService();
+const incidentService = new IncidentService(prisma, accessService, storageService, depositService, notificationService);
+const reservationService = new ReservationService(prisma, channelManagerService, stripeService, automationService, accessService, depositService);
+const teamService = new TeamService(prisma, accessService, messageService);
+const twoFactorService = new TwoFactorService(prisma);
+const sessionService = new SessionService(prisma, { twoFactorService });
+const accountService = new AccountService(prisma, messageService, sessionService);
+const googleAuthService = new GoogleAuthService(prisma, stripeService, sessionService);
+const userService = new UserService(prisma, sessionService);
+const incidentReportService = new IncidentReportService(prisma, accessService, storageService, stripeService, userService);
+
+// Cancellations read from channel feeds go through the same transition as the host's
+channelManagerService.reservationService = reservationService;
+channelManagerService.auditService = auditService;
+
+// Important notifications also go out by email/WhatsApp, as each user prefers
+notificationService.emailService = messageService;
+notificationService.whatsappService = whatsappService;
 
 // ====================================
 // 🔧 MIDDLEWARES
@@ -83,12 +129,36 @@ const authLimiter = rateLimit({
 });
 
 app.use('/api/', generalLimiter);
-app.use('/api/auth/', authLimiter);
+// Only credential endpoints; refresh runs every few minutes per open tab
+app.use([
+    '/api/auth/login',
+    '/api/auth/register',
+    '/api/auth/google',
+    '/api/auth/change-password',
+    '/api/auth/forgot-password',
+    '/api/auth/reset-password',
+    '/api/auth/resend-verification',
+    '/api/auth/2fa/enable',
+    '/api/auth/2fa/disable'
+], authLimiter);
 
 // Body parsing
+// Stripe signs the exact bytes it sends: the webhook gets the raw body (express.json then skips it)
+app.use('/api/stripe/webhook', express.raw({ type: 'application/json', limit: '1mb' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(express.static('public'));
+// Incident photos when Cloudinary is not configured (random file names, see StorageService)
+app.use('/uploads', express.static(storageService.uploadsDir, {
+    setHeaders: res => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
+
+// Stored credentials never leave the server, whatever a handler returns
+app.use('/api/', (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = body => json(CredentialService.redact(body));
+    next();
+});
 
 // Logging
 app.use((req, res, next) => {
@@ -115,6 +185,17 @@ const connectDB = async () => {
 // 🔐 JWT MIDDLEWARE
 // ====================================
 
+// What a user whose plan requires 2FA can reach before enrolling
+const TWO_FACTOR_SETUP_PATHS = [
+    '/api/auth/me',
+    '/api/auth/2fa',
+    '/api/auth/2fa/setup',
+    '/api/auth/2fa/enable',
+    '/api/auth/logout',
+    '/api/auth/logout-all',
+    '/api/auth/resend-verification'
+];
+
 const authenticateToken = (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
@@ -140,9 +221,217 @@ const authenticateToken = (req, res, next) => {
             });
         }
         
+        // Purpose-bound tokens (e.g. the 2FA login challenge) are not access tokens
+        if (user.purpose) {
+            return res.status(403).json({
+                success: false,
+                error: 'Token inválido'
+            });
+        }
+
         req.user = user;
+
+        if (!user.twoFactorSetupRequired || TWO_FACTOR_SETUP_PATHS.includes(req.path)) {
+            return next();
+        }
+
+        // Issued before enrolling: let it through once 2FA is on, without waiting for a refresh
+        prisma.user.findUnique({ where: { id: user.userId }, select: { twoFactorEnabled: true } })
+            .then(current => {
+                if (current && current.twoFactorEnabled) return next();
+
+                res.status(403).json({
+                    success: false,
+                    error: 'Tu plan requiere activar la verificación en dos pasos',
+                    code: 'TWO_FACTOR_SETUP_REQUIRED'
+                });
+            }, error => {
+                console.error('Authentication error:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Error verificando la sesión'
+                });
+            });
+    });
+};
+
+const getSessionContext = (req) => ({
+    userAgent: req.headers['user-agent'],
+    ipAddress: req.ip
+});
+
+// ====================================
+// 🛡️ AUTHORIZATION MIDDLEWARE
+// ====================================
+
+const ROLES = {
+    OWNER: 'owner',
+    CO_HOST: 'co_host',
+    CLEANER: 'cleaner',
+    ADMIN: 'admin'
+};
+
+// Roles that may manage listings day to day vs. roles that may change billing-sensitive setup
+const HOST_ROLES = [ROLES.OWNER, ROLES.CO_HOST, ROLES.ADMIN];
+const MANAGER_ROLES = [ROLES.OWNER, ROLES.ADMIN];
+
+const { PERMISSIONS } = AccessService;
+
+/**
+ * Authorization middleware, used after authenticateToken.
+ * Reloads the user so role changes and deactivations apply without waiting for
+ * the token to expire, enforces 2FA enrollment on plans that require it,
+ * checks the role and, if asked, that the email is verified.
+ *
+ * With `resource`, req[from][param] must belong to a property the user owns or
+ * has a team grant on (404 otherwise, so ids are not leaked); `permission`
+ * and `ownerOnly` narrow that further. The result is exposed as req.access
+ * ({ propertyId, ownerId, isOwner, permissions }) and handlers act on behalf
+ * of req.access.ownerId.
+ */
+const authorize = ({
+    roles = null,
+    resource = null,
+    param = 'id',
+    from = 'params',
+    permission = null,
+    ownerOnly = false,
+    verifiedEmail = false
+} = {}) => async (req, res, next) => {
+    try {
+        const user = await prisma.user.findUnique({
+            where: { id: req.user.userId },
+            select: { id: true, role: true, plan: true, isActive: true, emailVerified: true, twoFactorEnabled: true }
+        });
+
+        if (!user || !user.isActive) {
+            return res.status(401).json({
+                success: false,
+                error: 'Usuario no encontrado o desactivado'
+            });
+        }
+
+        req.user.role = user.role;
+
+        if (roles && !roles.includes(user.role)) {
+            return res.status(403).json({
+                success: false,
+                error: 'No tienes permisos para realizar esta acción'
+            });
+        }
+
+        if (!user.twoFactorEnabled && twoFactorService.isRequired(user)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Tu plan requiere activar la verificación en dos pasos',
+                code: 'TWO_FACTOR_SETUP_REQUIRED'
+            });
+        }
+
+        if (verifiedEmail && !user.emailVerified) {
+            return res.status(403).json({
+                success: false,
+                error: 'Verifica tu email antes de continuar',
+                code: 'EMAIL_NOT_VERIFIED'
+            });
+        }
+
+        if (resource) {
+            const access = await accessService.getResourceAccess(resource, req[from][param], user.id);
+
+            if (!access) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Recurso no encontrado'
+                });
+            }
+
+            if ((ownerOnly && !access.isOwner) || (permission && !accessService.can(access, permission))) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'No tienes permisos sobre esta propiedad'
+                });
+            }
+
+            req.access = access;
+        }
+
         next();
+
+    } catch (error) {
+        console.error('Authorization error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error verificando permisos'
+        });
+    }
+};
+
+/**
+ * Send an error thrown by a service: its message for expected (status) errors,
+ * a generic one otherwise
+ */
+const sendServiceError = (res, error, fallbackMessage) => {
+    if (!error.status) console.error(fallbackMessage, error);
+    res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : fallbackMessage
+    });
+};
+
+/**
+ * Append an entry to the audit log for the current request (actor, IP, user agent).
+ * The action already happened, so a failure here is logged instead of returned.
+ */
+const audit = async (req, entry) => {
+    try {
+        await auditService.record({
+            actorId: req.user ? req.user.userId : null,
+            context: getSessionContext(req),
+            ...entry
+        });
+    } catch (error) {
+        console.error(`❌ Audit log error (${entry.action}):`, error);
+    }
+};
+
+/**
+ * Audit a status change and the access codes / deposits its side effects touched.
+ * Every path that changes a reservation's status goes through here.
+ */
+const auditReservationTransition = async (req, reservation, previousStatus, sideEffects, metadata = null) => {
+    await audit(req, {
+        ownerId: req.access.ownerId,
+        action: `reservation.${reservation.status}`,
+        entityType: 'reservation',
+        entityId: reservation.id,
+        propertyId: reservation.propertyId,
+        before: { status: previousStatus },
+        after: { status: reservation.status },
+        metadata: { ...metadata, sideEffects: sideEffects.map(effect => `${effect.type}:${effect.status}`) }
     });
+
+    // Access codes and deposits touched by the transition get their own entries
+    for (const effect of sideEffects) {
+        const action = {
+            access_code: { activated: 'access_code.activate', revoked: 'access_code.revoke' },
+            deposit: { released: 'deposit.release' }
+        }[effect.type]?.[effect.status];
+
+        // Nothing to record when there were no codes to revoke
+        const changedNothing = effect.codes === 0 && !reservation.accessCode;
+
+        if (action && !changedNothing) {
+            await audit(req, {
+                ownerId: req.access.ownerId,
+                action,
+                entityType: 'reservation',
+                entityId: reservation.id,
+                propertyId: reservation.propertyId,
+                metadata: { codes: effect.codes, trigger: `reservation.${reservation.status}` }
+            });
+        }
+    }
 };
 
 // ====================================
@@ -168,18 +457,10 @@ app.get('/api/health', (req, res) => {
 // ====================================
 
 // Register
-app.post('/api/auth/register', async (req, res) => {
+app.post('/api/auth/register', validateBody(schemas.register), async (req, res) => {
     try {
         const { email, password, name, phone, company } = req.body;
 
-        // Validate required fields
-        if (!email || !password || !name || !phone) {
-            return res.status(400).json({
-                success: false,
-                error: 'Email, contraseña, nombre y teléfono son obligatorios'
-            });
-        }
-
         // Check if user already exists
         const existingUser = await prisma.user.findUnique({
             where: { email: email.toLowerCase() }
@@ -224,12 +505,14 @@ app.post('/api/auth/register', async (req, res) => {
             }
         });
 
-        // Generate JWT
-        const token = jwt.sign(
-            { userId: user.id, email: user.email },
-            process.env.JWT_SECRET || 'your-secret-key',
-            { expiresIn: '30d' }
-        );
+        // Email verification link; registration still succeeds if SMTP is down
+        const verification = await accountService.sendVerificationEmail(user);
+        if (!verification.success) {
+            console.warn('Warning: Could not send verification email:', verification.error);
+        }
+
+        // Start session (short-lived access token + rotating refresh token)
+        const tokens = await sessionService.createSession(user, getSessionContext(req));
 
         res.status(201).json({
             success: true,
@@ -240,9 +523,11 @@ app.post('/api/auth/register', async (req, res) => {
                 name: user.name,
                 phone: user.phone,
                 plan: user.plan,
+                role: user.role,
+                emailVerified: user.emailVerified,
                 stripeCustomerId: user.stripeCustomerId
             },
-            token
+            ...tokens
         });
 
     } catch (error) {
@@ -254,215 +539,653 @@ app.post('/api/auth/register', async (req, res) => {
     }
 });
 
+/**
+ * Record the login, open a session and send the user + tokens
+ */
+const completeLogin = async (req, res, user, method) => {
+    await prisma.user.update({
+        where: { id: user.id },
+        data: { lastLogin: new Date() }
+    });
+
+    // Start session (short-lived access token + rotating refresh token)
+    const tokens = await sessionService.createSession(user, getSessionContext(req));
+
+    await audit(req, {
+        ownerId: user.id,
+        actorId: user.id,
+        action: 'auth.login',
+        entityType: 'user',
+        entityId: user.id,
+        metadata: { method }
+    });
+
+    res.json({
+        success: true,
+        message: 'Login exitoso',
+        user: {
+            id: user.id,
+            email: user.email,
+            name: user.name,
+            phone: user.phone,
+            plan: user.plan,
+            role: user.role,
+            emailVerified: user.emailVerified,
+            twoFactorEnabled: user.twoFactorEnabled,
+            twoFactorSetupRequired: !user.twoFactorEnabled && twoFactorService.isRequired(user)
+        },
+        ...tokens
+    });
+};
+
 // Login
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', validateBody(schemas.login), async (req, res) => {
     try {
         const { email, password } = req.body;
 
-        if (!email || !password) {
-            return res.status(400).json({
+        const normalizedEmail = email.toLowerCase().trim();
+
+        const user = await prisma.user.findUnique({
+            where: { email: normalizedEmail }
+        });
+
+        if (!user || !user.isActive) {
+            return res.status(401).json({
                 success: false,
-                error: 'Email y contraseña son obligatorios'
+                error: 'Email o contraseña incorrectos'
             });
         }
 
-        // Multiple admin credential options for flexibility
-        const validAdminCredentials = [
-            { email: 'admin@airhostai.com', password: '310100', name: 'Administrador Principal' },
-            { email: 'admin', password: 'admin', name: 'Admin Simple' },
-            { email: 'admin arrova airhostai.com', password: 'admin', name: 'Admin Arrova' },
-            { email: 'test@airhostai.com', password: 'test', name: 'Usuario Test' }
-        ];
-
-        // Normalize input
-        const normalizedEmail = email.toLowerCase().trim();
-        const normalizedPassword = password.trim();
-
-        // Check admin credentials
-        const validCredential = validAdminCredentials.find(cred => 
-            (normalizedEmail === cred.email.toLowerCase() || 
-             normalizedEmail === cred.email.toLowerCase().replace(/\s+/g, '')) &&
-            normalizedPassword === cred.password
-        );
-
-        if (validCredential) {
-            // Admin login
-            const token = jwt.sign(
-                { userId: 'admin', email: validCredential.email },
-                process.env.JWT_SECRET || 'your-secret-key',
-                { expiresIn: '30d' }
-            );
+        const isValidPassword = await bcrypt.compare(password, user.password);
+        if (!isValidPassword) {
+            await audit(req, {
+                ownerId: user.id,
+                action: 'auth.login_failed',
+                entityType: 'user',
+                entityId: user.id,
+                metadata: { method: 'password' }
+            });
+            return res.status(401).json({
+                success: false,
+                error: 'Email o contraseña incorrectos'
+            });
+        }
 
+        // Second step required: the client exchanges the challenge + code at /api/auth/login/2fa
+        if (user.twoFactorEnabled) {
             return res.json({
                 success: true,
-                message: 'Login exitoso como administrador',
-                user: {
-                    id: 'admin',
-                    email: validCredential.email,
-                    name: validCredential.name,
-                    phone: '+34666777888',
-                    plan: 'enterprise'
-                },
-                token
+                twoFactorRequired: true,
+                challengeToken: twoFactorService.createChallenge(user)
             });
         }
 
-        // Regular user login
-        const user = await prisma.user.findUnique({
-            where: { email: normalizedEmail }
+        await completeLogin(req, res, user, 'password');
+
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error interno del servidor durante el login'
         });
+    }
+});
 
-        if (!user) {
+// Login second step: TOTP or recovery code
+app.post('/api/auth/login/2fa', validateBody(schemas.loginTwoFactor), async (req, res) => {
+    try {
+        const userId = twoFactorService.verifyChallenge(req.body.challengeToken);
+        const user = await prisma.user.findUnique({ where: { id: userId } });
+
+        if (!user || !user.isActive || !user.twoFactorEnabled) {
             return res.status(401).json({
                 success: false,
-                error: 'Email o contraseña incorrectos'
+                error: 'El inicio de sesión ha caducado. Vuelve a introducir tu contraseña.'
             });
         }
 
-        const isValidPassword = await bcrypt.compare(password, user.password);
-        if (!isValidPassword) {
+        if (!await twoFactorService.verifyCode(user, req.body.code)) {
+            await audit(req, {
+                ownerId: user.id,
+                action: 'auth.login_failed',
+                entityType: 'user',
+                entityId: user.id,
+                metadata: { method: 'two_factor' }
+            });
             return res.status(401).json({
                 success: false,
-                error: 'Email o contraseña incorrectos'
+                error: 'Código de verificación incorrecto'
             });
         }
 
-        // Update last login
-        await prisma.user.update({
-            where: { id: user.id },
-            data: { lastLogin: new Date() }
+        await completeLogin(req, res, user, 'two_factor');
+
+    } catch (error) {
+        if (!error.status) console.error('2FA login error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Error interno del servidor durante el login'
         });
+    }
+});
 
-        // Generate JWT
-        const token = jwt.sign(
-            { userId: user.id, email: user.email },
-            process.env.JWT_SECRET || 'your-secret-key',
-            { expiresIn: '30d' }
-        );
+// Google sign-in: the client sends the ID token from Google Identity Services
+app.post('/api/auth/google', validateBody(schemas.googleAuth), async (req, res) => {
+    try {
+        const { user, created, linked } = await googleAuthService.signIn(req.body.token);
+
+        if (linked) {
+            await audit(req, {
+                ownerId: user.id,
+                actorId: user.id,
+                action: 'auth.google_linked',
+                entityType: 'user',
+                entityId: user.id
+            });
+        }
+
+        if (!user.isActive) {
+            return res.status(401).json({
+                success: false,
+                error: 'Usuario no encontrado o desactivado'
+            });
+        }
+
+        // Google does not replace our own second factor
+        if (user.twoFactorEnabled) {
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                challengeToken: twoFactorService.createChallenge(user)
+            });
+        }
+
+        await completeLogin(req, res, user, created ? 'google_signup' : 'google');
+
+    } catch (error) {
+        sendServiceError(res, error, 'Error interno del servidor durante el login con Google');
+    }
+});
+
+// Refresh access token (rotates the refresh token)
+app.post('/api/auth/refresh', validateBody(schemas.refreshToken), async (req, res) => {
+    try {
+        const tokens = await sessionService.refreshSession(req.body.refreshToken, getSessionContext(req));
 
         res.json({
             success: true,
-            message: 'Login exitoso',
-            user: {
-                id: user.id,
-                email: user.email,
-                name: user.name,
-                phone: user.phone,
-                plan: user.plan
-            },
-            token
+            ...tokens
         });
 
     } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({
+        if (!error.status) console.error('Token refresh error:', error);
+        res.status(error.status || 500).json({
             success: false,
-            error: 'Error interno del servidor durante el login'
+            error: error.status ? error.message : 'Error renovando la sesión'
         });
     }
 });
 
-// ====================================
-// 🏠 MODULE 2: PROPERTIES MANAGEMENT
-// ====================================
-
-// Get properties
-app.get('/api/properties', authenticateToken, async (req, res) => {
+// Logout current session
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
     try {
-        const properties = await prisma.property.findMany({
-            where: { ownerId: req.user.userId },
-            include: {
-                channels: true,
-                reservations: {
-                    where: {
-                        status: 'confirmed',
-                        checkOut: { gte: new Date() }
-                    },
-                    take: 5,
-                    orderBy: { checkIn: 'asc' }
-                }
-            }
+        if (req.user.sessionId) {
+            await sessionService.revokeSession(req.user.userId, req.user.sessionId, 'logout');
+        }
+
+        res.json({
+            success: true,
+            message: 'Sesión cerrada correctamente'
+        });
+
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error cerrando la sesión'
         });
+    }
+});
+
+// Logout all devices
+app.post('/api/auth/logout-all', authenticateToken, async (req, res) => {
+    try {
+        const revoked = await sessionService.revokeAllSessions(req.user.userId, 'logout_all');
 
         res.json({
             success: true,
-            properties
+            message: 'Sesión cerrada en todos los dispositivos',
+            revoked
         });
+
     } catch (error) {
-        console.error('Error fetching properties:', error);
+        console.error('Logout all error:', error);
         res.status(500).json({
             success: false,
-            error: 'Error al cargar las propiedades'
+            error: 'Error cerrando las sesiones'
         });
     }
 });
 
-// Create property
-app.post('/api/properties', authenticateToken, async (req, res) => {
+// Active sessions
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
     try {
-        const {
-            name, description, address, city, country, postalCode,
-            propertyType, maxGuests, bedrooms, bathrooms,
-            basePrice, currency, cleaningFee, depositAmount,
-            channelsConfig
-        } = req.body;
+        const sessions = await sessionService.listSessions(req.user.userId, req.user.sessionId);
 
-        const property = await prisma.property.create({
-            data: {
-                ownerId: req.user.userId,
-                name, description, address, city, country, postalCode,
-                propertyType, maxGuests, bedrooms, bathrooms,
-                basePrice, currency: currency || 'EUR',
-                cleaningFee: cleaningFee || 0,
-                depositAmount,
-                channelsConfig: channelsConfig || {}
-            }
+        res.json({
+            success: true,
+            sessions
         });
 
-        res.status(201).json({
+    } catch (error) {
+        console.error('Error fetching sessions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error al cargar las sesiones'
+        });
+    }
+});
+
+// Revoke a single session (e.g. a lost device)
+app.delete('/api/auth/sessions/:id', authenticateToken, async (req, res) => {
+    try {
+        const revoked = await sessionService.revokeSession(req.user.userId, req.params.id, 'logout');
+
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                error: 'Sesión no encontrada'
+            });
+        }
+
+        res.json({
             success: true,
-            property
+            message: 'Sesión cerrada correctamente'
         });
+
     } catch (error) {
-        console.error('Error creating property:', error);
+        console.error('Error revoking session:', error);
         res.status(500).json({
             success: false,
-            error: 'Error al crear la propiedad'
+            error: 'Error cerrando la sesión'
         });
     }
 });
 
-// Import property from Airbnb
-app.post('/api/properties/import/airbnb', authenticateToken, async (req, res) => {
+// Confirm email address
+app.post('/api/auth/verify-email', validateBody(schemas.accountToken), async (req, res) => {
     try {
-        const { url, apiKey } = req.body;
+        const user = await accountService.verifyEmail(req.body.token);
 
-        // Ensure admin user exists
-        await prisma.user.upsert({
-            where: { id: req.user.userId },
-            update: {},
-            create: {
-                id: req.user.userId,
-                email: req.user.email || 'admin@airhostai.com',
-                password: 'dummy_password_hash',
-                name: 'Administrador',
-                phone: '+34666777888'
-            }
+        res.json({
+            success: true,
+            message: 'Email verificado correctamente',
+            user
         });
-        
-        if (!url) {
-            return res.status(400).json({
+
+    } catch (error) {
+        if (!error.status) console.error('Email verification error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Error verificando el email'
+        });
+    }
+});
+
+// Resend verification email
+app.post('/api/auth/resend-verification', authenticateToken, async (req, res) => {
+    try {
+        const user = await prisma.user.findUnique({ where: { id: req.user.userId } });
+        if (!user) {
+            return res.status(404).json({
                 success: false,
-                error: 'URL de Airbnb es requerida'
+                error: 'Usuario no encontrado'
             });
         }
 
-        // Extract listing ID from Airbnb URL
-        const listingIdMatch = url.match(/rooms\/(\d+)/);
-        if (!listingIdMatch) {
-            return res.status(400).json({
+        const result = await accountService.sendVerificationEmail(user);
+        if (!result.success) {
+            return res.status(502).json({
                 success: false,
-                error: 'URL de Airbnb inválida'
+                error: 'No se pudo enviar el email de verificación'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: result.alreadyVerified ? 'Tu email ya está verificado' : 'Email de verificación enviado'
+        });
+
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error enviando el email de verificación'
+        });
+    }
+});
+
+// Forgot password (same answer whether or not the email exists)
+app.post('/api/auth/forgot-password', validateBody(schemas.forgotPassword), async (req, res) => {
+    try {
+        await accountService.requestPasswordReset(req.body.email);
+
+        res.json({
+            success: true,
+            message: 'Si existe una cuenta con ese email, recibirás un enlace para restablecer la contraseña'
+        });
+
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error procesando la solicitud'
+        });
+    }
+});
+
+// Reset password with the emailed token
+app.post('/api/auth/reset-password', validateBody(schemas.resetPassword), async (req, res) => {
+    try {
+        const { userId } = await accountService.resetPassword(req.body.token, req.body.password);
+
+        await audit(req, {
+            ownerId: userId,
+            actorId: userId,
+            action: 'auth.password_reset',
+            entityType: 'user',
+            entityId: userId
+        });
+
+        res.json({
+            success: true,
+            message: 'Contraseña actualizada. Inicia sesión con tu nueva contraseña.'
+        });
+
+    } catch (error) {
+        if (!error.status) console.error('Reset password error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Error restableciendo la contraseña'
+        });
+    }
+});
+
+// ====================================
+// 🔑 TWO-FACTOR AUTHENTICATION
+// ====================================
+
+app.get('/api/auth/2fa', authenticateToken, async (req, res) => {
+    try {
+        const twoFactor = await twoFactorService.getStatus(req.user.userId);
+        res.json({ success: true, twoFactor });
+    } catch (error) {
+        sendServiceError(res, error, 'Error al cargar la verificación en dos pasos');
+    }
+});
+
+// Step 1: generate the secret to scan in the authenticator app
+app.post('/api/auth/2fa/setup', authenticateToken, async (req, res) => {
+    try {
+        const enrollment = await twoFactorService.startEnrollment(req.user.userId);
+        res.json({ success: true, ...enrollment });
+    } catch (error) {
+        sendServiceError(res, error, 'Error iniciando la verificación en dos pasos');
+    }
+});
+
+// Step 2: confirm with a first code; returns the recovery codes once
+app.post('/api/auth/2fa/enable', authenticateToken, validateBody(schemas.twoFactorCode), async (req, res) => {
+    try {
+        const { recoveryCodes } = await twoFactorService.confirmEnrollment(req.user.userId, req.body.code);
+
+        // Sessions opened with only the password are no longer enough
+        await sessionService.revokeAllSessions(req.user.userId, 'two_factor_enabled', req.user.sessionId);
+
+        await audit(req, {
+            ownerId: req.user.userId,
+            action: 'auth.two_factor_enabled',
+            entityType: 'user',
+            entityId: req.user.userId
+        });
+
+        res.json({
+            success: true,
+            message: 'Verificación en dos pasos activada. Guarda los códigos de recuperación en un lugar seguro.',
+            recoveryCodes
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Error activando la verificación en dos pasos');
+    }
+});
+
+app.post('/api/auth/2fa/disable', authenticateToken, validateBody(schemas.disableTwoFactor), async (req, res) => {
+    try {
+        await twoFactorService.disable(req.user.userId, req.body.password, req.body.code);
+
+        await audit(req, {
+            ownerId: req.user.userId,
+            action: 'auth.two_factor_disabled',
+            entityType: 'user',
+            entityId: req.user.userId
+        });
+        res.json({
+            success: true,
+            message: 'Verificación en dos pasos desactivada'
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Error desactivando la verificación en dos pasos');
+    }
+});
+
+app.post('/api/auth/2fa/recovery-codes', authenticateToken, validateBody(schemas.twoFactorCode), async (req, res) => {
+    try {
+        const { recoveryCodes } = await twoFactorService.regenerateRecoveryCodes(req.user.userId, req.body.code);
+        res.json({
+            success: true,
+            message: 'Códigos de recuperación regenerados. Los anteriores ya no son válidos.',
+            recoveryCodes
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Error regenerando los códigos de recuperación');
+    }
+});
+
+// ====================================
+// 👤 PROFILE & PREFERENCES
+// ====================================
+
+app.get('/api/auth/me', authenticateToken, async (req, res) => {
+    try {
+        const user = await userService.getProfile(req.user.userId);
+        res.json({ success: true, user });
+    } catch (error) {
+        sendServiceError(res, error, 'Error al cargar el perfil');
+    }
+});
+
+// Profile fields and preferences (language, currency, timezone, notification channels)
+app.put('/api/auth/me', authenticateToken, validateBody(schemas.updateProfile, { partial: true }), async (req, res) => {
+    try {
+        const user = await userService.updateProfile(req.user.userId, req.body);
+        res.json({
+            success: true,
+            message: 'Perfil actualizado',
+            user
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Error al actualizar el perfil');
+    }
+});
+
+// Other devices are signed out; this session stays open
+app.post('/api/auth/change-password', authenticateToken, validateBody(schemas.changePassword), async (req, res) => {
+    try {
+        const { revoked } = await userService.changePassword(
+            req.user.userId,
+            req.user.sessionId,
+            req.body.currentPassword,
+            req.body.newPassword
+        );
+
+        await audit(req, {
+            ownerId: req.user.userId,
+            action: 'auth.password_change',
+            entityType: 'user',
+            entityId: req.user.userId,
+            metadata: { sessionsRevoked: revoked }
+        });
+
+        res.json({
+            success: true,
+            message: 'Contraseña actualizada. Se ha cerrado la sesión en los demás dispositivos.',
+            revoked
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Error al cambiar la contraseña');
+    }
+});
+
+// ====================================
+// 🏠 MODULE 2: PROPERTIES MANAGEMENT
+// ====================================
+
+// Get properties (owned and shared with the user's teams)
+app.get('/api/properties', authenticateToken, async (req, res) => {
+    const result = await propertyService.getProperties(req.user.userId);
+
+    if (!result.success) {
+        return res.status(500).json({
+            success: false,
+            error: 'Error al cargar las propiedades'
+        });
+    }
+
+    res.json({
+        success: true,
+        properties: result.properties
+    });
+});
+
+// Create property
+app.post('/api/properties', authenticateToken, authorize({ roles: MANAGER_ROLES }), validateBody(schemas.createProperty), async (req, res) => {
+    const result = await propertyService.createProperty(req.user.userId, req.body);
+
+    if (!result.success) {
+        return res.status(500).json({
+            success: false,
+            error: 'Error al crear la propiedad'
+        });
+    }
+
+    res.status(201).json({
+        success: true,
+        property: result.property
+    });
+});
+
+// Get properties with dashboard stats
+app.get('/api/properties/stats', authenticateToken, async (req, res) => {
+    const result = await propertyService.getPropertiesWithStats(req.user.userId);
+
+    if (!result.success) {
+        return res.status(500).json({
+            success: false,
+            error: 'Error al cargar las estadísticas de propiedades'
+        });
+    }
+
+    res.json({
+        success: true,
+        properties: result.properties
+    });
+});
+
+// Get property
+app.get('/api/properties/:id', authenticateToken, authorize({ resource: 'property' }), async (req, res) => {
+    const result = await propertyService.getProperty(req.user.userId, req.params.id);
+
+    if (!result.success) {
+        return res.status(result.status || 500).json({
+            success: false,
+            error: result.status ? result.error : 'Error al cargar la propiedad'
+        });
+    }
+
+    res.json({
+        success: true,
+        property: result.property
+    });
+});
+
+// Update property
+app.put('/api/properties/:id', authenticateToken, authorize({ roles: HOST_ROLES, resource: 'property', permission: PERMISSIONS.MANAGE_PROPERTY }), validateBody(schemas.updateProperty, { partial: true }), async (req, res) => {
+    const result = await propertyService.updateProperty(req.access.ownerId, req.params.id, req.body);
+
+    if (!result.success) {
+        return res.status(result.status || 500).json({
+            success: false,
+            error: result.status ? result.error : 'Error al actualizar la propiedad'
+        });
+    }
+
+    res.json({
+        success: true,
+        message: 'Propiedad actualizada correctamente',
+        property: result.property,
+        ignoredFields: result.ignoredFields
+    });
+});
+
+// Delete property
+app.delete('/api/properties/:id', authenticateToken, authorize({ roles: MANAGER_ROLES, resource: 'property', ownerOnly: true }), async (req, res) => {
+    const snapshot = await prisma.property.findUnique({
+        where: { id: req.params.id },
+        select: { name: true, address: true, city: true, country: true, propertyType: true, basePrice: true, currency: true, depositAmount: true }
+    });
+
+    const result = await propertyService.deleteProperty(req.access.ownerId, req.params.id);
+
+    if (!result.success) {
+        return res.status(result.status || 500).json({
+            success: false,
+            error: result.status ? result.error : 'Error al eliminar la propiedad'
+        });
+    }
+
+    await audit(req, {
+        ownerId: req.access.ownerId,
+        action: 'property.delete',
+        entityType: 'property',
+        entityId: req.params.id,
+        propertyId: req.params.id,
+        before: snapshot
+    });
+
+    res.json({
+        success: true,
+        message: 'Propiedad eliminada correctamente'
+    });
+});
+
+// Import property from Airbnb
+app.post('/api/properties/import/airbnb', authenticateToken, authorize({ roles: MANAGER_ROLES, verifiedEmail: true }), validateBody(schemas.importAirbnb), async (req, res) => {
+    try {
+        const { url, apiKey } = req.body;
+
+        if (!url) {
+            return res.status(400).json({
+                success: false,
+                error: 'URL de Airbnb es requerida'
+            });
+        }
+
+        // Extract listing ID from Airbnb URL
+        const listingIdMatch = url.match(/rooms\/(\d+)/);
+        if (!listingIdMatch) {
+            return res.status(400).json({
+                success: false,
+                error: 'URL de Airbnb inválida'
             });
         }
 
@@ -480,7 +1203,7 @@ app.post('/api/properties/import/airbnb', authenticateToken, async (req, res) =>
             bedrooms: 2,
             bathrooms: 1,
             basePrice: 85,
-            currency: 'EUR',
+            currency: (await userService.getPreferences(req.user.userId)).currency,
             cleaningFee: 25,
             depositAmount: 200
         };
@@ -490,25 +1213,19 @@ app.post('/api/properties/import/airbnb', authenticateToken, async (req, res) =>
             data: {
                 ownerId: req.user.userId,
                 ...mockPropertyData,
-                channelsConfig: {
-                    airbnb: {
-                        listingId: listingId,
-                        url: url,
-                        apiKey: apiKey || null,
-                        isActive: true,
-                        connectedAt: new Date()
-                    }
-                }
+                airbnbListingId: listingId,
+                airbnbIsActive: true
             }
         });
 
-        // Create channel entry
+        // Create channel entry (the only place the encrypted API key is stored)
         await prisma.channel.create({
             data: {
                 propertyId: property.id,
+                ownerId: req.user.userId,
                 name: 'airbnb',
                 listingId: listingId,
-                apiCredentials: apiKey ? { apiKey } : null,
+                ...(apiKey && { apiCredentials: credentialService.encrypt({ apiKey }) }),
                 syncEnabled: true,
                 isActive: true
             }
@@ -530,23 +1247,10 @@ app.post('/api/properties/import/airbnb', authenticateToken, async (req, res) =>
 });
 
 // Import property from Booking.com
-app.post('/api/properties/import/booking', authenticateToken, async (req, res) => {
+app.post('/api/properties/import/booking', authenticateToken, authorize({ roles: MANAGER_ROLES, verifiedEmail: true }), validateBody(schemas.importBooking), async (req, res) => {
     try {
         const { propertyId, apiKey } = req.body;
 
-        // Ensure admin user exists
-        await prisma.user.upsert({
-            where: { id: req.user.userId },
-            update: {},
-            create: {
-                id: req.user.userId,
-                email: req.user.email || 'admin@airhostai.com',
-                password: 'dummy_password_hash',
-                name: 'Administrador',
-                phone: '+34666777888'
-            }
-        });
-        
         if (!propertyId || !apiKey) {
             return res.status(400).json({
                 success: false,
@@ -566,7 +1270,7 @@ app.post('/api/properties/import/booking', authenticateToken, async (req, res) =
             bedrooms: 3,
             bathrooms: 2,
             basePrice: 120,
-            currency: 'EUR',
+            currency: (await userService.getPreferences(req.user.userId)).currency,
             cleaningFee: 30,
             depositAmount: 300
         };
@@ -576,24 +1280,19 @@ app.post('/api/properties/import/booking', authenticateToken, async (req, res) =
             data: {
                 ownerId: req.user.userId,
                 ...mockPropertyData,
-                channelsConfig: {
-                    booking: {
-                        propertyId: propertyId,
-                        apiKey: apiKey,
-                        isActive: true,
-                        connectedAt: new Date()
-                    }
-                }
+                bookingListingId: propertyId,
+                bookingIsActive: true
             }
         });
 
-        // Create channel entry
+        // Create channel entry (the only place the encrypted API key is stored)
         await prisma.channel.create({
             data: {
                 propertyId: property.id,
+                ownerId: req.user.userId,
                 name: 'booking',
                 listingId: propertyId,
-                apiCredentials: { apiKey },
+                apiCredentials: credentialService.encrypt({ apiKey }),
                 syncEnabled: true,
                 isActive: true
             }
@@ -614,18 +1313,45 @@ app.post('/api/properties/import/booking', authenticateToken, async (req, res) =
     }
 });
 
-// ====================================
-// 🔄 MODULE 3: CHANNEL MANAGER
-// ====================================
-
-// Connect channel
-app.post('/api/channels/connect', authenticateToken, async (req, res) => {
+// Get (or create) the public iCal export URL for a property
+app.get('/api/properties/:id/calendar-export', authenticateToken, authorize({ roles: HOST_ROLES, resource: 'property', permission: PERMISSIONS.MANAGE_PROPERTY }), async (req, res) => {
     try {
-        const { propertyId, channelName, listingId, icalUrl, apiCredentials } = req.body;
+        let property = await prisma.property.findFirst({
+            where: { id: req.params.id, ownerId: req.access.ownerId }
+        });
+
+        if (!property) {
+            return res.status(404).json({
+                success: false,
+                error: 'Propiedad no encontrada'
+            });
+        }
+
+        if (!property.icalExportToken) {
+            property = await prisma.property.update({
+                where: { id: property.id },
+                data: { icalExportToken: crypto.randomBytes(24).toString('hex') }
+            });
+        }
 
-        // Verify property ownership
+        res.json({
+            success: true,
+            url: buildCalendarExportUrl(req, property)
+        });
+    } catch (error) {
+        console.error('Error getting calendar export URL:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error al obtener el calendario de exportación'
+        });
+    }
+});
+
+// Regenerate the iCal export token (invalidates the previous URL)
+app.post('/api/properties/:id/calendar-export/regenerate', authenticateToken, authorize({ roles: HOST_ROLES, resource: 'property', permission: PERMISSIONS.MANAGE_PROPERTY }), async (req, res) => {
+    try {
         const property = await prisma.property.findFirst({
-            where: { id: propertyId, ownerId: req.user.userId }
+            where: { id: req.params.id, ownerId: req.access.ownerId }
         });
 
         if (!property) {
@@ -635,187 +1361,959 @@ app.post('/api/channels/connect', authenticateToken, async (req, res) => {
             });
         }
 
-        // Create or update channel
-        const channel = await prisma.channel.upsert({
-            where: {
-                propertyId_name: {
-                    propertyId,
-                    name: channelName
-                }
-            },
-            update: {
-                listingId,
-                icalUrl,
-                apiCredentials: apiCredentials || {},
-                syncEnabled: true,
-                isActive: true
-            },
-            create: {
-                propertyId,
-                name: channelName,
-                listingId,
-                icalUrl,
-                apiCredentials: apiCredentials || {},
-                syncEnabled: true,
-                isActive: true
+        const updatedProperty = await prisma.property.update({
+            where: { id: property.id },
+            data: { icalExportToken: crypto.randomBytes(24).toString('hex') }
+        });
+
+        res.json({
+            success: true,
+            message: 'URL del calendario regenerada. Actualízala en tus canales.',
+            url: buildCalendarExportUrl(req, updatedProperty)
+        });
+    } catch (error) {
+        console.error('Error regenerating calendar export token:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error al regenerar el calendario de exportación'
+        });
+    }
+});
+
+// Public iCal feed consumed by Airbnb/Booking/VRBO (protected by the export token)
+app.get('/api/properties/:id/calendar.ics', async (req, res) => {
+    try {
+        const { token } = req.query;
+
+        const property = await prisma.property.findUnique({
+            where: { id: req.params.id }
+        });
+
+        if (!property || !property.icalExportToken || !token ||
+            !safeCompare(String(token), property.icalExportToken)) {
+            return res.status(404).send('Calendar not found');
+        }
+
+        const feed = await channelManagerService.buildICalFeed(property);
+
+        res.set({
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': `inline; filename="${property.id}.ics"`,
+            'Cache-Control': 'no-cache'
+        });
+        res.send(feed);
+    } catch (error) {
+        console.error('Error exporting calendar:', error);
+        res.status(500).send('Error generating calendar');
+    }
+});
+
+const buildCalendarExportUrl = (req, property) => {
+    const baseUrl = process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`;
+    return `${baseUrl}/api/properties/${property.id}/calendar.ics?token=${property.icalExportToken}`;
+};
+
+const safeCompare = (a, b) => {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// ====================================
+// 🔄 MODULE 3: CHANNEL MANAGER
+// ====================================
+
+// Connect channel
+app.post('/api/channels/connect', authenticateToken, validateBody(schemas.connectChannel), authorize({ roles: HOST_ROLES, verifiedEmail: true, resource: 'property', param: 'propertyId', from: 'body', permission: PERMISSIONS.MANAGE_PROPERTY }), async (req, res) => {
+    try {
+        const { propertyId, channelName, listingId, icalUrl, apiCredentials, syncIntervalMinutes } = req.body;
+
+        // Channels always belong to the property owner, even when a co-host connects them
+        const property = await prisma.property.findFirst({
+            where: { id: propertyId, ownerId: req.access.ownerId }
+        });
+
+        if (!property) {
+            return res.status(404).json({
+                success: false,
+                error: 'Propiedad no encontrada'
+            });
+        }
+
+        const previous = await prisma.channel.findUnique({
+            where: { propertyId_name: { propertyId, name: channelName } }
+        });
+
+        // Create or update channel
+        const channel = await prisma.channel.upsert({
+            where: {
+                propertyId_name: {
+                    propertyId,
+                    name: channelName
+                }
+            },
+            update: {
+                listingId,
+                icalUrl,
+                apiCredentials: credentialService.encrypt(apiCredentials || {}),
+                syncEnabled: true,
+                isActive: true,
+                ...(syncIntervalMinutes !== undefined && { syncIntervalMinutes })
+            },
+            create: {
+                propertyId,
+                ownerId: req.access.ownerId,
+                name: channelName,
+                listingId,
+                icalUrl,
+                apiCredentials: credentialService.encrypt(apiCredentials || {}),
+                syncEnabled: true,
+                isActive: true,
+                ...(syncIntervalMinutes !== undefined && { syncIntervalMinutes })
+            }
+        });
+
+        // Compare decrypted credentials: every save re-encrypts with a fresh data key
+        const auditedFields = ({ listingId, icalUrl, apiCredentials, syncEnabled, isActive, syncIntervalMinutes }) =>
+            ({ listingId, icalUrl, apiCredentials: credentialService.decrypt(apiCredentials), syncEnabled, isActive, syncIntervalMinutes });
+
+        await audit(req, {
+            ownerId: req.access.ownerId,
+            action: previous ? 'channel.update' : 'channel.connect',
+            entityType: 'channel',
+            entityId: channel.id,
+            propertyId,
+            before: previous && auditedFields(previous),
+            after: auditedFields(channel),
+            metadata: { channel: channelName }
+        });
+
+        // Perform initial sync
+        try {
+            if (icalUrl) {
+                await channelManagerService.syncChannel(channel.id, req.access.ownerId);
+            }
+        } catch (syncError) {
+            console.warn('Warning: Initial sync failed:', syncError);
+        }
+
+        res.json({
+            success: true,
+            message: `Canal ${channelName} conectado exitosamente`,
+            channel
+        });
+
+    } catch (error) {
+        console.error('Error connecting channel:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error al conectar el canal'
+        });
+    }
+});
+
+// Sync channels
+app.post('/api/channels/sync', authenticateToken, authorize({ roles: HOST_ROLES }), validateBody(schemas.syncChannels), async (req, res) => {
+    try {
+        const { propertyId, channelId } = req.body;
+        let results = [];
+
+        if (channelId || propertyId) {
+            const access = channelId
+                ? await accessService.getResourceAccess('channel', channelId, req.user.userId)
+                : await accessService.getResourceAccess('property', propertyId, req.user.userId);
+
+            if (!accessService.can(access, PERMISSIONS.MANAGE_PROPERTY)) {
+                return res.status(404).json({
+                    success: false,
+                    error: channelId ? 'Canal no encontrado' : 'Propiedad no encontrada'
+                });
+            }
+
+            results = channelId
+                ? [await channelManagerService.syncChannel(channelId, access.ownerId)]
+                : await channelManagerService.syncProperty(propertyId, access.ownerId);
+        } else {
+            // Sync every property the user owns or manages for a team
+            const propertyIds = await accessService.accessiblePropertyIds(req.user.userId, PERMISSIONS.MANAGE_PROPERTY);
+            for (const id of propertyIds) {
+                results.push(...await channelManagerService.syncProperty(id));
+            }
+        }
+
+        const failed = results.filter(result => !result.success && !result.skipped);
+
+        res.json({
+            success: failed.length === 0,
+            message: failed.length === 0
+                ? 'Sincronización completada exitosamente'
+                : `Sincronización completada con ${failed.length} error(es)`,
+            results
+        });
+
+    } catch (error) {
+        console.error('Error syncing channels:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Error en la sincronización'
+        });
+    }
+});
+
+// Update scheduled sync settings for a channel
+app.patch('/api/channels/:id/sync-settings', authenticateToken, authorize({ roles: HOST_ROLES, resource: 'channel', permission: PERMISSIONS.MANAGE_PROPERTY }), validateBody(schemas.channelSyncSettings), async (req, res) => {
+    try {
+        const { syncEnabled, syncIntervalMinutes } = req.body;
+
+        const channel = await prisma.channel.findFirst({
+            where: { id: req.params.id, ownerId: req.access.ownerId }
+        });
+
+        if (!channel) {
+            return res.status(404).json({
+                success: false,
+                error: 'Canal no encontrado'
+            });
+        }
+
+        const updatedChannel = await prisma.channel.update({
+            where: { id: channel.id },
+            data: {
+                ...(syncEnabled !== undefined && { syncEnabled: Boolean(syncEnabled) }),
+                ...(syncIntervalMinutes !== undefined && {
+                    syncIntervalMinutes,
+                    // Re-schedule with the new interval, keeping any failure backoff
+                    nextSyncAt: channelManagerService.getNextSyncAt(
+                        { ...channel, syncIntervalMinutes },
+                        channel.consecutiveFailures,
+                        channel.lastSync || new Date()
+                    )
+                })
+            }
+        });
+
+        await audit(req, {
+            ownerId: req.access.ownerId,
+            action: 'channel.sync_settings',
+            entityType: 'channel',
+            entityId: channel.id,
+            propertyId: channel.propertyId,
+            before: { syncEnabled: channel.syncEnabled, syncIntervalMinutes: channel.syncIntervalMinutes },
+            after: { syncEnabled: updatedChannel.syncEnabled, syncIntervalMinutes: updatedChannel.syncIntervalMinutes }
+        });
+
+        res.json({
+            success: true,
+            channel: {
+                id: updatedChannel.id,
+                name: updatedChannel.name,
+                syncEnabled: updatedChannel.syncEnabled,
+                syncIntervalMinutes: updatedChannel.syncIntervalMinutes,
+                nextSyncAt: updatedChannel.nextSyncAt
+            }
+        });
+    } catch (error) {
+        console.error('Error updating channel sync settings:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error al actualizar la sincronización del canal'
+        });
+    }
+});
+
+// Get sync history for a channel
+app.get('/api/channels/:id/sync-history', authenticateToken, authorize({ resource: 'channel', permission: PERMISSIONS.MANAGE_PROPERTY }), async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+        const channel = await prisma.channel.findFirst({
+            where: { id: req.params.id, ownerId: req.access.ownerId },
+            select: {
+                id: true,
+                name: true,
+                syncEnabled: true,
+                syncIntervalMinutes: true,
+                lastSync: true,
+                nextSyncAt: true,
+                consecutiveFailures: true,
+                syncErrors: true
+            }
+        });
+
+        if (!channel) {
+            return res.status(404).json({
+                success: false,
+                error: 'Canal no encontrado'
+            });
+        }
+
+        const history = await prisma.channelSyncLog.findMany({
+            where: { channelId: channel.id },
+            orderBy: { startedAt: 'desc' },
+            take: limit
+        });
+
+        res.json({
+            success: true,
+            channel,
+            history
+        });
+    } catch (error) {
+        console.error('Error fetching channel sync history:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error al cargar el historial de sincronización'
+        });
+    }
+});
+
+// Get overbooking conflicts
+app.get('/api/conflicts', authenticateToken, async (req, res) => {
+    try {
+        const { status = 'open', propertyId } = req.query;
+
+        const conflicts = await prisma.bookingConflict.findMany({
+            where: {
+                property: accessService.propertyFilter(req.user.userId, PERMISSIONS.VIEW_RESERVATIONS),
+                ...(status !== 'all' && { status }),
+                ...(propertyId && { propertyId })
+            },
+            include: {
+                property: { select: { id: true, name: true } },
+                reservation: true,
+                conflictingReservation: true
+            },
+            orderBy: { overlapStart: 'asc' }
+        });
+
+        res.json({
+            success: true,
+            conflicts
+        });
+    } catch (error) {
+        console.error('Error fetching conflicts:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error al cargar los conflictos'
+        });
+    }
+});
+
+// Resolve an overbooking conflict
+app.post('/api/conflicts/:id/resolve', authenticateToken, authorize({ roles: HOST_ROLES, resource: 'conflict', permission: PERMISSIONS.MANAGE_RESERVATIONS }), validateBody(schemas.resolveConflict), async (req, res) => {
+    try {
+        const { resolution, cancelReservationId, notes } = req.body;
+
+        const conflict = await prisma.bookingConflict.findFirst({
+            where: { id: req.params.id, ownerId: req.access.ownerId }
+        });
+
+        if (!conflict) {
+            return res.status(404).json({
+                success: false,
+                error: 'Conflicto no encontrado'
+            });
+        }
+
+        if (conflict.status !== 'open') {
+            return res.status(409).json({
+                success: false,
+                error: 'El conflicto ya está resuelto'
+            });
+        }
+
+        if (resolution === 'cancelled_reservation') {
+            if (![conflict.reservationId, conflict.conflictingReservationId].includes(cancelReservationId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'cancelReservationId debe ser una de las reservas del conflicto'
+                });
+            }
+
+            const { reservation, previousStatus, sideEffects } = await reservationService.cancelReservation(req.access.ownerId, cancelReservationId, {
+                reason: notes || 'Overbooking'
+            });
+
+            await auditReservationTransition(req, reservation, previousStatus, sideEffects, {
+                reason: notes || 'Overbooking',
+                trigger: 'conflict.resolve',
+                conflictId: conflict.id
+            });
+        }
+
+        const resolvedConflict = await prisma.bookingConflict.update({
+            where: { id: conflict.id },
+            data: {
+                status: 'resolved',
+                resolution,
+                resolutionNotes: notes || null,
+                resolvedById: req.user.userId,
+                resolvedAt: new Date()
+            }
+        });
+
+        res.json({
+            success: true,
+            message: 'Conflicto resuelto',
+            conflict: resolvedConflict
+        });
+    } catch (error) {
+        console.error('Error resolving conflict:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.status ? error.message : 'Error al resolver el conflicto'
+        });
+    }
+});
+
+// ====================================
+// 📅 MODULE 4: RESERVATIONS
+// ====================================
+
+// Get reservations
+// Query: from, to, propertyId, status, source (comma-separated), q, sortBy, sortOrder, limit, cursor
+app.get('/api/reservations', authenticateToken, async (req, res) => {
+    try {
+        const { reservations, pagination, totals } = await reservationService.listReservations(req.user.userId, req.query);
+
+        res.json({
+            success: true,
+            reservations,
+            pagination,
+            totals
+        });
+    } catch (error) {
+        console.error('Error fetching reservations:', error);
+        sendReservationError(res, error, 'Error al cargar las reservas');
+    }
+});
+
+// Get reservation
+app.get('/api/reservations/:id', authenticateToken, authorize({ resource: 'reservation', permission: PERMISSIONS.VIEW_RESERVATIONS }), async (req, res) => {
+    try {
+        const reservation = await reservationService.getReservation(req.access.ownerId, req.params.id);
+
+        res.json({
+            success: true,
+            reservation
+        });
+    } catch (error) {
+        console.error('Error fetching reservation:', error);
+        sendReservationError(res, error, 'Error al cargar la reserva');
+    }
+});
+
+// Create reservation
+app.post('/api/reservations', authenticateToken, validateBody(schemas.createReservation), authorize({ roles: HOST_ROLES, resource: 'property', param: 'propertyId', from: 'body', permission: PERMISSIONS.MANAGE_RESERVATIONS }), async (req, res) => {
+    try {
+        const reservation = await reservationService.createReservation(req.access.ownerId, req.body);
+
+        if (reservation.source !== 'manual') {
+            try {
+                await notificationService.sendBookingConfirmation(req.access.ownerId, reservation);
+            } catch (notificationError) {
+                console.warn('Warning: Could not send booking notification:', notificationError);
             }
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Reserva creada correctamente',
+            reservation
+        });
+    } catch (error) {
+        console.error('Error creating reservation:', error);
+        sendReservationError(res, error, 'Error al crear la reserva');
+    }
+});
+
+// Update reservation
+app.put('/api/reservations/:id', authenticateToken, authorize({ roles: HOST_ROLES, resource: 'reservation', permission: PERMISSIONS.MANAGE_RESERVATIONS }), validateBody(schemas.updateReservation, { partial: true }), async (req, res) => {
+    try {
+        const reservation = await reservationService.updateReservation(req.access.ownerId, req.params.id, req.body);
+
+        res.json({
+            success: true,
+            message: 'Reserva actualizada correctamente',
+            reservation
+        });
+    } catch (error) {
+        console.error('Error updating reservation:', error);
+        sendReservationError(res, error, 'Error al actualizar la reserva');
+    }
+});
+
+// Cancel reservation
+app.delete('/api/reservations/:id', authenticateToken, authorize({ roles: HOST_ROLES, resource: 'reservation', permission: PERMISSIONS.MANAGE_RESERVATIONS }), async (req, res) => {
+    try {
+        const { reservation, previousStatus, sideEffects } = await reservationService.cancelReservation(req.access.ownerId, req.params.id);
+
+        await auditReservationTransition(req, reservation, previousStatus, sideEffects);
+
+        res.json({
+            success: true,
+            message: 'Reserva cancelada correctamente',
+            reservation,
+            sideEffects
+        });
+    } catch (error) {
+        console.error('Error cancelling reservation:', error);
+        sendReservationError(res, error, 'Error al cancelar la reserva');
+    }
+});
+
+// Reservation status transitions
+const RESERVATION_TRANSITIONS = {
+    'check-in': { status: 'checked_in', message: 'Check-in registrado correctamente' },
+    'check-out': { status: 'checked_out', message: 'Check-out registrado correctamente' },
+    'cancel': { status: 'cancelled', message: 'Reserva cancelada correctamente' },
+    'no-show': { status: 'no_show', message: 'Reserva marcada como no presentada' }
+};
+
+app.post('/api/reservations/:id/:action(check-in|check-out|cancel|no-show)', authenticateToken, authorize({ resource: 'reservation', permission: PERMISSIONS.MANAGE_RESERVATIONS }), validateBody(schemas.reservationTransition), async (req, res) => {
+    try {
+        const transition = RESERVATION_TRANSITIONS[req.params.action];
+        const { reason, cancelledBy } = req.body;
+
+        const { reservation, previousStatus, sideEffects } = await reservationService.transitionStatus(
+            req.access.ownerId,
+            req.params.id,
+            transition.status,
+            { reason, cancelledBy }
+        );
+
+        await auditReservationTransition(req, reservation, previousStatus, sideEffects, reason ? { reason } : null);
+
+        res.json({
+            success: true,
+            message: transition.message,
+            reservation,
+            sideEffects
+        });
+    } catch (error) {
+        console.error(`Error on reservation ${req.params.action}:`, error);
+        sendReservationError(res, error, 'Error al cambiar el estado de la reserva');
+    }
+});
+
+const sendReservationError = (res, error, fallbackMessage) => {
+    res.status(error.status || 500).json({
+        success: false,
+        error: error.status ? error.message : fallbackMessage,
+        ...error.details
+    });
+};
+
+// ====================================
+// 💰 MODULE 5: STRIPE DEPOSITS (FIANZAS)
+// ====================================
+
+const depositAccess = authorize({ roles: HOST_ROLES, resource: 'reservation', param: 'reservationId', permission: PERMISSIONS.FINANCES });
+
+// Create deposit (manual-capture PaymentIntent the guest authorizes)
+app.post('/api/deposits/create', authenticateToken, validateBody(schemas.createDeposit), authorize({ roles: HOST_ROLES, resource: 'reservation', param: 'reservationId', from: 'body', permission: PERMISSIONS.FINANCES }), async (req, res) => {
+    try {
+        const { reservationId, amount, currency } = req.body;
+
+        const { deposit, clientSecret, previous } = await depositService.createDeposit(req.access.ownerId, reservationId, { amount, currency });
+
+        await audit(req, {
+            ownerId: req.access.ownerId,
+            action: 'deposit.create',
+            entityType: 'reservation',
+            entityId: reservationId,
+            propertyId: req.access.propertyId,
+            before: previous,
+            after: {
+                depositAmount: deposit.amount,
+                depositStatus: deposit.status,
+                stripePaymentIntentId: deposit.paymentIntentId
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Fianza creada exitosamente',
+            deposit,
+            paymentIntent: {
+                id: deposit.paymentIntentId,
+                clientSecret,
+                amount: deposit.amount,
+                currency: deposit.currency
+            }
+        });
+
+    } catch (error) {
+        console.error('Error creating deposit:', error);
+        sendServiceError(res, error, 'Error al crear la fianza');
+    }
+});
+
+// Deposit status (refreshed from Stripe while the guest has not authorized it)
+app.get('/api/deposits/:reservationId', authenticateToken, depositAccess, async (req, res) => {
+    try {
+        const deposit = await depositService.getDeposit(req.access.ownerId, req.params.reservationId);
+
+        res.json({ success: true, deposit });
+    } catch (error) {
+        console.error('Error fetching deposit:', error);
+        sendServiceError(res, error, 'Error al obtener la fianza');
+    }
+});
+
+// Charge damages from the deposit for an incident of the reservation
+app.post('/api/deposits/:reservationId/capture', authenticateToken, validateBody(schemas.captureDeposit), depositAccess, async (req, res) => {
+    try {
+        const { incidentId, amount } = req.body;
+
+        const result = await depositService.captureDeposit(req.access.ownerId, req.params.reservationId, {
+            incidentId,
+            amount,
+            actorId: req.user.userId
+        });
+
+        await audit(req, {
+            ownerId: req.access.ownerId,
+            action: 'deposit.capture',
+            entityType: 'reservation',
+            entityId: req.params.reservationId,
+            propertyId: req.access.propertyId,
+            before: result.previous,
+            after: { depositStatus: result.deposit.status },
+            metadata: { incidentId, amount: result.capturedAmount, currency: result.deposit.currency }
+        });
+
+        res.json({
+            success: true,
+            message: `Cobrados ${result.capturedAmount} ${result.deposit.currency} de la fianza`,
+            deposit: result.deposit,
+            incident: result.incident,
+            capturedAmount: result.capturedAmount
+        });
+    } catch (error) {
+        console.error('Error capturing deposit:', error);
+        sendServiceError(res, error, 'Error al cobrar la fianza');
+    }
+});
+
+// Release the hold on the guest's card
+app.post('/api/deposits/:reservationId/release', authenticateToken, validateBody(schemas.releaseDeposit), depositAccess, async (req, res) => {
+    try {
+        const reason = req.body.reason || 'manual';
+        const { deposit } = await depositService.releaseDeposit(req.access.ownerId, req.params.reservationId, { reason });
+
+        await audit(req, {
+            ownerId: req.access.ownerId,
+            action: 'deposit.release',
+            entityType: 'reservation',
+            entityId: req.params.reservationId,
+            propertyId: req.access.propertyId,
+            after: { depositStatus: deposit.status },
+            metadata: { reason }
+        });
+
+        res.json({ success: true, message: 'Fianza liberada correctamente', deposit });
+    } catch (error) {
+        console.error('Error releasing deposit:', error);
+        sendServiceError(res, error, 'Error al liberar la fianza');
+    }
+});
+
+// Signed link for the guest to authorize the deposit, optionally sent right away
+app.post('/api/deposits/:reservationId/link', authenticateToken, validateBody(schemas.depositLink), depositAccess, async (req, res) => {
+    try {
+        const reservation = await depositService.findReservation(req.access.ownerId, req.params.reservationId);
+
+        const link = req.body.send
+            ? await depositService.sendGuestLink(reservation)
+            : depositService.createGuestLink(reservation);
+
+        if (req.body.send) {
+            await audit(req, {
+                ownerId: req.access.ownerId,
+                action: 'deposit.link_sent',
+                entityType: 'reservation',
+                entityId: reservation.id,
+                propertyId: reservation.propertyId,
+                metadata: { trigger: 'manual', expiresAt: link.expiresAt }
+            });
+        }
+
+        res.json({
+            success: true,
+            message: req.body.send ? 'Enlace de fianza enviado al huésped' : 'Enlace de fianza generado',
+            link
+        });
+    } catch (error) {
+        console.error('Error creating deposit link:', error);
+        sendServiceError(res, error, 'Error al generar el enlace de fianza');
+    }
+});
+
+// Guest checkout page data (no session: authenticated by the signed link)
+app.get('/api/guest/deposits/:token', async (req, res) => {
+    try {
+        const checkout = await depositService.getGuestCheckout(req.params.token);
+
+        res.json({ success: true, ...checkout });
+    } catch (error) {
+        console.error('Error loading guest deposit checkout:', error);
+        sendServiceError(res, error, 'Error al cargar la fianza');
+    }
+});
+
+app.post('/api/guest/deposits/:token/confirm', async (req, res) => {
+    try {
+        const checkout = await depositService.confirmGuestCheckout(req.params.token);
+
+        res.json({ success: true, ...checkout });
+    } catch (error) {
+        console.error('Error confirming guest deposit:', error);
+        sendServiceError(res, error, 'Error al confirmar la fianza');
+    }
+});
+
+// Stripe webhook (no session: authenticated by the Stripe-Signature header)
+app.post('/api/stripe/webhook', async (req, res) => {
+    const verified = stripeService.constructWebhookEvent(req.body, req.headers['stripe-signature']);
+    if (!verified.success) {
+        console.warn('⚠️ Rejected Stripe webhook:', verified.error);
+        return res.status(400).json({ success: false, error: 'Firma del webhook no válida' });
+    }
+
+    try {
+        const result = await stripeWebhookService.handleEvent(verified.event);
+
+        res.json({ received: true, ...result });
+    } catch (error) {
+        // Stripe retries the delivery
+        console.error(`Error processing Stripe event ${verified.event.id}:`, error);
+        res.status(500).json({ success: false, error: 'Error procesando el evento' });
+    }
+});
+
+// ====================================
+// 🚨 INCIDENTS (DAMAGE CLAIMS)
+// ====================================
+
+const incidentAccess = (permission, roles) => authorize({ roles, resource: 'incident', permission });
+
+const incidentAudit = (req, action, incident, extra = {}) => audit(req, {
+    ownerId: req.access.ownerId,
+    action,
+    entityType: 'incident',
+    entityId: incident.id,
+    propertyId: incident.propertyId,
+    ...extra
+});
+
+// List incidents of the accessible properties
+app.get('/api/incidents', authenticateToken, async (req, res) => {
+    try {
+        const { incidents, pagination } = await incidentService.listIncidents(req.user.userId, req.query);
+
+        res.json({ success: true, incidents, pagination });
+    } catch (error) {
+        console.error('Error fetching incidents:', error);
+        sendServiceError(res, error, 'Error al cargar las incidencias');
+    }
+});
+
+app.get('/api/incidents/:id', authenticateToken, incidentAccess(PERMISSIONS.VIEW_RESERVATIONS), async (req, res) => {
+    try {
+        const incident = await incidentService.getIncident(req.user.userId, req.params.id);
+
+        res.json({ success: true, incident });
+    } catch (error) {
+        console.error('Error fetching incident:', error);
+        sendServiceError(res, error, 'Error al cargar la incidencia');
+    }
+});
+
+// Report an incident (any team member with access to the reservation, e.g. cleaners)
+app.post('/api/incidents', authenticateToken, validateBody(schemas.reportIncident), authorize({ resource: 'reservation', param: 'reservationId', from: 'body', permission: PERMISSIONS.VIEW_RESERVATIONS }), async (req, res) => {
+    try {
+        const incident = await incidentService.reportIncident(req.user.userId, req.body);
+
+        await incidentAudit(req, 'incident.report', incident, {
+            after: {
+                reservationId: incident.reservationId,
+                type: incident.type,
+                estimatedCost: incident.estimatedCost,
+                currency: incident.currency
+            },
+            metadata: { photos: incident.evidencePhotos.length }
         });
 
-        // Perform initial sync
-        try {
-            if (icalUrl) {
-                await channelManagerService.syncChannel(channel.id);
-            }
-        } catch (syncError) {
-            console.warn('Warning: Initial sync failed:', syncError);
-        }
+        res.status(201).json({ success: true, message: 'Incidencia registrada correctamente', incident });
+    } catch (error) {
+        console.error('Error reporting incident:', error);
+        sendServiceError(res, error, 'Error al registrar la incidencia');
+    }
+});
 
-        res.json({
-            success: true,
-            message: `Canal ${channelName} conectado exitosamente`,
-            channel
+app.put('/api/incidents/:id', authenticateToken, incidentAccess(PERMISSIONS.MANAGE_RESERVATIONS, HOST_ROLES), validateBody(schemas.updateIncident, { partial: true }), async (req, res) => {
+    try {
+        const before = await incidentService.getIncident(req.user.userId, req.params.id);
+        const incident = await incidentService.updateIncident(req.user.userId, req.params.id, req.body);
+
+        await incidentAudit(req, 'incident.update', incident, {
+            before: { type: before.type, title: before.title, estimatedCost: before.estimatedCost, currency: before.currency },
+            after: { type: incident.type, title: incident.title, estimatedCost: incident.estimatedCost, currency: incident.currency }
         });
 
+        res.json({ success: true, message: 'Incidencia actualizada correctamente', incident });
     } catch (error) {
-        console.error('Error connecting channel:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Error al conectar el canal'
-        });
+        console.error('Error updating incident:', error);
+        sendServiceError(res, error, 'Error al actualizar la incidencia');
     }
 });
 
-// Sync channels
-app.post('/api/channels/sync', authenticateToken, async (req, res) => {
+// Add evidence photos while the incident is open
+app.post('/api/incidents/:id/photos', authenticateToken, validateBody(schemas.incidentPhotos), incidentAccess(PERMISSIONS.VIEW_RESERVATIONS), async (req, res) => {
     try {
-        const { propertyId, channelId } = req.body;
-
-        if (channelId) {
-            // Sync specific channel
-            await channelManagerService.syncChannel(channelId);
-        } else if (propertyId) {
-            // Sync all channels for property
-            await channelManagerService.syncProperty(propertyId);
-        } else {
-            // Sync all user's channels
-            await channelManagerService.syncAllChannels(req.user.userId);
-        }
+        const incident = await incidentService.addPhotos(req.user.userId, req.params.id, req.body.photos);
 
-        res.json({
-            success: true,
-            message: 'Sincronización completada exitosamente'
+        await incidentAudit(req, 'incident.update', incident, {
+            metadata: { photosAdded: req.body.photos.length }
         });
 
+        res.json({ success: true, message: 'Fotos añadidas correctamente', incident });
     } catch (error) {
-        console.error('Error syncing channels:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Error en la sincronización'
-        });
+        console.error('Error adding incident photos:', error);
+        sendServiceError(res, error, 'Error al subir las fotos');
     }
 });
 
-// ====================================
-// 📅 MODULE 4: RESERVATIONS
-// ====================================
+app.post('/api/incidents/:id/review', authenticateToken, incidentAccess(PERMISSIONS.MANAGE_RESERVATIONS, HOST_ROLES), async (req, res) => {
+    try {
+        const incident = await incidentService.reviewIncident(req.user.userId, req.params.id);
 
-// Get reservations
-app.get('/api/reservations', authenticateToken, async (req, res) => {
+        await incidentAudit(req, 'incident.review', incident, {
+            before: { status: 'reported' },
+            after: { status: incident.status }
+        });
+
+        res.json({ success: true, message: 'Incidencia en revisión', incident });
+    } catch (error) {
+        console.error('Error reviewing incident:', error);
+        sendServiceError(res, error, 'Error al revisar la incidencia');
+    }
+});
+
+// Charge the damage against the reservation's deposit (Stripe capture)
+app.post('/api/incidents/:id/charge', authenticateToken, incidentAccess(PERMISSIONS.FINANCES, HOST_ROLES), validateBody(schemas.chargeIncident), async (req, res) => {
     try {
-        const reservations = await prisma.reservation.findMany({
-            where: {
-                property: { ownerId: req.user.userId }
-            },
-            include: {
-                property: {
-                    select: {
-                        id: true,
-                        name: true,
-                        address: true,
-                        city: true
-                    }
-                },
-                payments: true
-            },
-            orderBy: { checkIn: 'asc' }
+        const { incident, deposit, capturedAmount } = await incidentService.chargeIncident(
+            req.user.userId,
+            req.params.id,
+            { amount: req.body.amount }
+        );
+
+        await incidentAudit(req, 'incident.charge', incident, {
+            after: { status: incident.status, chargedAmount: incident.chargedAmount, stripeChargeId: incident.stripeChargeId },
+            metadata: { reservationId: incident.reservationId, currency: deposit.currency }
         });
 
         res.json({
             success: true,
-            reservations
+            message: `Cobrados ${capturedAmount} ${deposit.currency} de la fianza`,
+            incident,
+            deposit,
+            capturedAmount
         });
     } catch (error) {
-        console.error('Error fetching reservations:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Error al cargar las reservas'
-        });
+        console.error('Error charging incident:', error);
+        sendServiceError(res, error, 'Error al cobrar la incidencia');
     }
 });
 
-// ====================================
-// 💰 MODULE 5: STRIPE DEPOSITS (FIANZAS)
-// ====================================
+app.post('/api/incidents/:id/resolve', authenticateToken, incidentAccess(PERMISSIONS.MANAGE_RESERVATIONS, HOST_ROLES), validateBody(schemas.resolveIncident), async (req, res) => {
+    try {
+        const incident = await incidentService.resolveIncident(req.user.userId, req.params.id, req.body);
+
+        await incidentAudit(req, 'incident.resolve', incident, {
+            after: { status: incident.status, actionTaken: incident.actionTaken }
+        });
+
+        res.json({ success: true, message: 'Incidencia resuelta', incident });
+    } catch (error) {
+        console.error('Error resolving incident:', error);
+        sendServiceError(res, error, 'Error al resolver la incidencia');
+    }
+});
 
-// Create deposit
-app.post('/api/deposits/create', authenticateToken, async (req, res) => {
+app.post('/api/incidents/:id/dismiss', authenticateToken, incidentAccess(PERMISSIONS.MANAGE_RESERVATIONS, HOST_ROLES), validateBody(schemas.dismissIncident), async (req, res) => {
     try {
-        const { reservationId, amount, currency } = req.body;
+        const incident = await incidentService.dismissIncident(req.user.userId, req.params.id, req.body);
 
-        const reservation = await prisma.reservation.findFirst({
-            where: {
-                id: reservationId,
-                property: { ownerId: req.user.userId }
-            },
-            include: { property: { include: { owner: true } } }
+        await incidentAudit(req, 'incident.dismiss', incident, {
+            after: { status: incident.status }
         });
 
-        if (!reservation) {
-            return res.status(404).json({
-                success: false,
-                error: 'Reserva no encontrada'
-            });
-        }
+        res.json({ success: true, message: 'Incidencia descartada', incident });
+    } catch (error) {
+        console.error('Error dismissing incident:', error);
+        sendServiceError(res, error, 'Error al descartar la incidencia');
+    }
+});
 
-        // Create Stripe payment intent for deposit
-        const paymentIntent = await stripeService.createDepositIntent({
-            amount: amount * 100, // Convert to cents
-            currency: currency || 'eur',
-            customerId: reservation.property.owner.stripeCustomerId,
-            metadata: {
-                reservationId: reservationId,
-                type: 'security_deposit'
-            }
+// Evidence report (PDF) to defend the charge against chargebacks
+app.get('/api/incidents/:id/report.pdf', authenticateToken, incidentAccess(PERMISSIONS.FINANCES, HOST_ROLES), async (req, res) => {
+    try {
+        const { fileName, buffer, incident } = await incidentReportService.generateReport(req.user.userId, req.params.id);
+
+        await incidentAudit(req, 'incident.export', incident, {
+            metadata: { format: 'pdf', bytes: buffer.length }
         });
 
-        // Update reservation with deposit info
-        await prisma.reservation.update({
-            where: { id: reservationId },
-            data: {
-                stripePaymentIntentId: paymentIntent.id,
-                depositAmount: amount,
-                depositCurrency: currency || 'EUR',
-                depositStatus: 'pending'
-            }
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="${fileName}"`,
+            'Cache-Control': 'no-store'
+        });
+        res.send(buffer);
+    } catch (error) {
+        console.error('Error generating incident report:', error);
+        sendServiceError(res, error, 'Error al generar el informe de la incidencia');
+    }
+});
+
+// Attach the report to the Stripe dispute opened by the guest on the charge
+app.post('/api/incidents/:id/dispute-evidence', authenticateToken, incidentAccess(PERMISSIONS.FINANCES, HOST_ROLES), validateBody(schemas.disputeEvidence), async (req, res) => {
+    try {
+        const { incident, ...result } = await incidentReportService.attachToDispute(req.user.userId, req.params.id, req.body);
+
+        await incidentAudit(req, 'incident.dispute_evidence', incident, {
+            metadata: { disputeId: result.disputeId, fileId: result.fileId, submitted: result.submitted }
         });
 
         res.json({
             success: true,
-            message: 'Fianza creada exitosamente',
-            paymentIntent: {
-                id: paymentIntent.id,
-                clientSecret: paymentIntent.client_secret,
-                amount: paymentIntent.amount,
-                currency: paymentIntent.currency
-            }
+            message: result.submitted
+                ? 'Informe enviado como prueba de la disputa'
+                : 'Informe añadido a la disputa como borrador: revísalo y envíalo desde Stripe',
+            ...result
         });
-
     } catch (error) {
-        console.error('Error creating deposit:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Error al crear la fianza'
+        console.error('Error attaching incident report to dispute:', error);
+        sendServiceError(res, error, 'Error al añadir el informe a la disputa');
+    }
+});
+
+// Delete an incident nothing was charged for
+app.delete('/api/incidents/:id', authenticateToken, incidentAccess(PERMISSIONS.MANAGE_RESERVATIONS, HOST_ROLES), async (req, res) => {
+    try {
+        const incident = await incidentService.deleteIncident(req.user.userId, req.params.id);
+
+        await incidentAudit(req, 'incident.delete', incident, {
+            before: { status: incident.status, title: incident.title, estimatedCost: incident.estimatedCost }
         });
+
+        res.json({ success: true, message: 'Incidencia eliminada correctamente' });
+    } catch (error) {
+        console.error('Error deleting incident:', error);
+        sendServiceError(res, error, 'Error al eliminar la incidencia');
     }
 });
 
@@ -824,21 +2322,30 @@ app.post('/api/deposits/create', authenticateToken, async (req, res) => {
 // ====================================
 
 // Send WhatsApp message
-app.post('/api/whatsapp/send', authenticateToken, async (req, res) => {
+app.post('/api/whatsapp/send', authenticateToken, authorize({ roles: HOST_ROLES }), validateBody(schemas.sendWhatsApp), async (req, res) => {
     try {
         const { phone, message, templateId, reservationId } = req.body;
 
-        const result = await whatsappService.sendMessage({
-            phone,
-            message,
-            templateId
-        });
+        // Messages about a reservation need the manage_messages grant and are logged for the property owner
+        let ownerId = req.user.userId;
+        if (reservationId) {
+            const access = await accessService.getResourceAccess('reservation', reservationId, req.user.userId);
+            if (!accessService.can(access, PERMISSIONS.MANAGE_MESSAGES)) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Reserva no encontrada'
+                });
+            }
+            ownerId = access.ownerId;
+        }
+
+        const result = await whatsappService.sendWhatsAppMessage(phone, message);
 
         // Log message in database
         if (result.success) {
             await prisma.message.create({
                 data: {
-                    ownerId: req.user.userId,
+                    ownerId,
                     templateId,
                     guestName: 'WhatsApp User',
                     guestPhone: phone,
@@ -862,7 +2369,7 @@ app.post('/api/whatsapp/send', authenticateToken, async (req, res) => {
 });
 
 // Create message template
-app.post('/api/templates', authenticateToken, async (req, res) => {
+app.post('/api/templates', authenticateToken, authorize({ roles: HOST_ROLES }), validateBody(schemas.createTemplate), async (req, res) => {
     try {
         const { name, category, language, content, variables } = req.body;
 
@@ -917,6 +2424,326 @@ app.get('/api/notifications', authenticateToken, async (req, res) => {
     }
 });
 
+// ====================================
+// 👥 TEAM MEMBERS & CO-HOSTS
+// ====================================
+
+// Members of my team with their property grants
+app.get('/api/team/members', authenticateToken, authorize({ roles: MANAGER_ROLES }), async (req, res) => {
+    try {
+        const members = await teamService.listMembers(req.user.userId);
+        res.json({ success: true, members });
+    } catch (error) {
+        sendServiceError(res, error, 'Error al cargar el equipo');
+    }
+});
+
+// Invite a co-host or cleaner by email
+app.post('/api/team/invites', authenticateToken, authorize({ roles: MANAGER_ROLES }), validateBody(schemas.teamInvite), async (req, res) => {
+    try {
+        const owner = await prisma.user.findUnique({ where: { id: req.user.userId } });
+        const { member, emailSent } = await teamService.inviteMember(owner, req.body);
+
+        await audit(req, {
+            ownerId: owner.id,
+            action: 'team.invite',
+            entityType: 'team_member',
+            entityId: member.id,
+            after: { email: member.email, role: member.role, grants: member.grants }
+        });
+
+        res.status(201).json({
+            success: true,
+            message: emailSent
+                ? `Invitación enviada a ${member.email}`
+                : 'Invitación creada, pero no se pudo enviar el email. Vuelve a intentarlo más tarde.',
+            member
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Error al enviar la invitación');
+    }
+});
+
+// Accept an invitation with the logged-in account
+app.post('/api/team/invites/accept', authenticateToken, validateBody(schemas.accountToken), async (req, res) => {
+    try {
+        const user = await prisma.user.findUnique({ where: { id: req.user.userId } });
+        const membership = await teamService.acceptInvite(user, req.body.token);
+
+        await audit(req, {
+            ownerId: membership.owner.id,
+            action: 'team.join',
+            entityType: 'team_member',
+            entityId: membership.id
+        });
+
+        res.json({
+            success: true,
+            message: `Te has unido al equipo de ${membership.owner.name}`,
+            membership
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Error al aceptar la invitación');
+    }
+});
+
+// Replace the property grants of a member
+app.put('/api/team/members/:id/grants', authenticateToken, authorize({ roles: MANAGER_ROLES }), validateBody(schemas.teamGrants), async (req, res) => {
+    try {
+        const previousGrants = await prisma.propertyAccess.findMany({
+            where: { memberId: req.params.id, member: { ownerId: req.user.userId } },
+            select: { propertyId: true, permissions: true },
+            orderBy: { propertyId: 'asc' }
+        });
+
+        const member = await teamService.updateGrants(req.user.userId, req.params.id, req.body.grants);
+
+        await audit(req, {
+            ownerId: req.user.userId,
+            action: 'team.grants_update',
+            entityType: 'team_member',
+            entityId: member.id,
+            before: { grants: previousGrants },
+            after: {
+                grants: member.grants
+                    .map(grant => ({ propertyId: grant.propertyId, permissions: grant.permissions }))
+                    .sort((a, b) => a.propertyId.localeCompare(b.propertyId))
+            }
+        });
+
+        res.json({
+            success: true,
+            message: 'Permisos actualizados correctamente',
+            member
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Error al actualizar los permisos');
+    }
+});
+
+// Remove a member or cancel a pending invitation
+app.delete('/api/team/members/:id', authenticateToken, authorize({ roles: MANAGER_ROLES }), async (req, res) => {
+    try {
+        await teamService.removeMember(req.user.userId, req.params.id);
+
+        await audit(req, {
+            ownerId: req.user.userId,
+            action: 'team.remove',
+            entityType: 'team_member',
+            entityId: req.params.id
+        });
+
+        res.json({
+            success: true,
+            message: 'Miembro eliminado del equipo'
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Error al eliminar el miembro');
+    }
+});
+
+// Teams I belong to
+app.get('/api/team/memberships', authenticateToken, async (req, res) => {
+    try {
+        const memberships = await teamService.listMemberships(req.user.userId);
+        res.json({ success: true, memberships });
+    } catch (error) {
+        sendServiceError(res, error, 'Error al cargar tus equipos');
+    }
+});
+
+// ====================================
+// 📜 AUDIT LOG
+// ====================================
+
+// Who did what: entries of the user's account and actions they did on other accounts
+// Filters: action, entityType (comma-separated), entityId, actorId, propertyId, from, to, limit, cursor
+app.get('/api/audit-log', authenticateToken, authorize(), async (req, res) => {
+    try {
+        const result = await auditService.list({ id: req.user.userId, role: req.user.role }, req.query);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendServiceError(res, error, 'Error al cargar el registro de auditoría');
+    }
+});
+
+// Check that no entry has been modified, removed or reordered
+app.get('/api/audit-log/verify', authenticateToken, authorize({ roles: [ROLES.ADMIN] }), async (req, res) => {
+    try {
+        const verification = await auditService.verifyChain();
+
+        if (!verification.valid) {
+            console.error('🚨 Audit log chain broken:', verification.brokenAt);
+        }
+
+        res.json({ success: true, ...verification });
+    } catch (error) {
+        sendServiceError(res, error, 'Error al verificar el registro de auditoría');
+    }
+});
+
+// ====================================
+// 👑 ADMIN - USER MANAGEMENT
+// ====================================
+
+const USER_SUMMARY = {
+    id: true,
+    email: true,
+    name: true,
+    phone: true,
+    role: true,
+    plan: true,
+    isActive: true,
+    lastLogin: true,
+    createdAt: true
+};
+
+app.get('/api/admin/users', authenticateToken, authorize({ roles: [ROLES.ADMIN] }), async (req, res) => {
+    try {
+        const where = {};
+        if (req.query.role) where.role = req.query.role;
+
+        const users = await prisma.user.findMany({
+            where,
+            select: USER_SUMMARY,
+            orderBy: { createdAt: 'desc' }
+        });
+
+        res.json({
+            success: true,
+            users
+        });
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error al cargar usuarios'
+        });
+    }
+});
+
+app.patch('/api/admin/users/:id', authenticateToken, authorize({ roles: [ROLES.ADMIN] }), validateBody(schemas.updateUserAccess), async (req, res) => {
+    try {
+        const { role, isActive } = req.body;
+
+        // An admin cannot lock themselves out
+        if (req.params.id === req.user.userId && ((role && role !== ROLES.ADMIN) || isActive === false)) {
+            return res.status(400).json({
+                success: false,
+                error: 'No puedes quitarte el rol de administrador ni desactivar tu propia cuenta'
+            });
+        }
+
+        const existing = await prisma.user.findUnique({ where: { id: req.params.id } });
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Usuario no encontrado'
+            });
+        }
+
+        const data = {};
+        if (role !== undefined) data.role = role;
+        if (isActive !== undefined) data.isActive = isActive;
+
+        const user = await prisma.user.update({
+            where: { id: req.params.id },
+            data,
+            select: USER_SUMMARY
+        });
+
+        if (isActive === false) {
+            // Deactivated users cannot refresh; outstanding access tokens are rejected by authorize()
+            await sessionService.revokeAllSessions(user.id, 'admin');
+        }
+
+        await audit(req, {
+            ownerId: user.id,
+            action: 'admin.user_update',
+            entityType: 'user',
+            entityId: user.id,
+            before: { role: existing.role, isActive: existing.isActive },
+            after: { role: user.role, isActive: user.isActive }
+        });
+
+        res.json({
+            success: true,
+            message: 'Usuario actualizado correctamente',
+            user
+        });
+    } catch (error) {
+        console.error('Error updating user:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Error al actualizar el usuario'
+        });
+    }
+});
+
+// Re-encrypt stored credentials with the first key of CREDENTIAL_KEYS (run after adding a key)
+app.post('/api/admin/credentials/rotate', authenticateToken, authorize({ roles: [ROLES.ADMIN] }), async (req, res) => {
+    try {
+        const result = await credentialService.rotateAll();
+
+        await audit(req, {
+            action: 'admin.credentials_rotate',
+            entityType: 'system',
+            metadata: result
+        });
+
+        res.json({
+            success: true,
+            message: `Credenciales cifradas con la clave ${result.keyId}`,
+            ...result
+        });
+    } catch (error) {
+        sendServiceError(res, error, 'Error al rotar la clave de cifrado');
+    }
+});
+
+/**
+ * Create the initial admin from ADMIN_EMAIL / ADMIN_PASSWORD if it does not exist.
+ * An existing account with that email is promoted to admin (its password is kept)
+ * only if the email is verified: anyone could have registered the address first.
+ */
+const ensureAdminUser = async () => {
+    const email = process.env.ADMIN_EMAIL && process.env.ADMIN_EMAIL.toLowerCase().trim();
+    const password = process.env.ADMIN_PASSWORD;
+
+    if (!email || !password) {
+        console.warn('⚠️ ADMIN_EMAIL / ADMIN_PASSWORD not set, skipping admin seed');
+        return;
+    }
+
+    const existing = await prisma.user.findUnique({ where: { email } });
+
+    if (existing) {
+        if (existing.role !== ROLES.ADMIN && !existing.emailVerified) {
+            console.error(`❌ ${email} is registered but not verified: not promoting it to admin. Verify the email or delete that account and restart.`);
+            return;
+        }
+        if (existing.role !== ROLES.ADMIN) {
+            await prisma.user.update({ where: { id: existing.id }, data: { role: ROLES.ADMIN } });
+            console.log(`👑 User ${email} promoted to admin`);
+        }
+        return;
+    }
+
+    await prisma.user.create({
+        data: {
+            email,
+            password: await bcrypt.hash(password, 12),
+            name: process.env.ADMIN_NAME || 'Administrador',
+            phone: process.env.ADMIN_PHONE || '',
+            role: ROLES.ADMIN,
+            plan: 'enterprise',
+            emailVerified: true,
+            emailVerifiedAt: new Date()
+        }
+    });
+    console.log(`👑 Admin user ${email} created`);
+};
+
 // ====================================
 // 🚀 SERVER INITIALIZATION
 // ====================================
@@ -926,6 +2753,13 @@ const PORT = process.env.PORT || 8080;
 const startServer = async () => {
     try {
         await connectDB();
+        await ensureAdminUser();
+
+        // Encrypts credentials saved before encryption existed; a no-op once everything uses the current key
+        const { updated } = await credentialService.rotateAll();
+        if (updated.channels + updated.smartLocks + updated.properties > 0) {
+            console.log('🔐 Stored credentials encrypted with the current key:', updated);
+        }
 
         server.listen(PORT, '0.0.0.0', () => {
             console.log(`🚀 AirHost AI Server v2.1 running on port ${PORT}`);
@@ -939,6 +2773,13 @@ const startServer = async () => {
             console.log('   ✅ WhatsApp Messaging');
             console.log('   ✅ Notifications');
             console.log('🎯 System ready for property management automation!');
+
+            if (process.env.CHANNEL_SYNC_ENABLED !== 'false') {
+                syncSchedulerService.start();
+            }
+            if (process.env.DEPOSIT_SCHEDULER_ENABLED !== 'false') {
+                depositSchedulerService.start();
+            }
         });
 
     } catch (error) {
@@ -950,6 +2791,8 @@ const startServer = async () => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('🛑 SIGTERM signal received. Shutting down gracefully...');
+    syncSchedulerService.stop();
+    depositSchedulerService.stop();
     await prisma.$disconnect();
     server.close(() => {
         console.log('✅ Server shut down gracefully');
@@ -959,6 +2802,8 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
     console.log('🛑 SIGINT signal received. Shutting down gracefully...');
+    syncSchedulerService.stop();
+    depositSchedulerService.stop();
     await prisma.$disconnect();
     server.close(() => {
         console.log('✅ Server shut down gracefully');
@@ -0,0 +1,150 @@
+/**
+ * Access Service
+ * Resolves what a user may do on a property: owners can do everything,
+ * team members only what their PropertyAccess grant lists.
+ */
+
+const PERMISSIONS = {
+    VIEW_RESERVATIONS: 'view_reservations',
+    MANAGE_RESERVATIONS: 'manage_reservations',
+    MANAGE_MESSAGES: 'manage_messages',
+    MANAGE_LOCKS: 'manage_locks',
+    MANAGE_PROPERTY: 'manage_property',
+    FINANCES: 'finances'
+};
+
+// Property a resource belongs to, for every resource type authorize() can check
+const RESOURCE_PROPERTY = {
+    property: (prisma, id) => prisma.property.findUnique({ where: { id }, select: { id: true, ownerId: true } }),
+    reservation: (prisma, id) => prisma.reservation.findUnique({
+        where: { id },
+        select: { property: { select: { id: true, ownerId: true } } }
+    }).then(reservation => reservation && reservation.property),
+    channel: (prisma, id) => prisma.channel.findUnique({
+        where: { id },
+        select: { property: { select: { id: true, ownerId: true } } }
+    }).then(channel => channel && channel.property),
+    conflict: (prisma, id) => prisma.bookingConflict.findUnique({
+        where: { id },
+        select: { property: { select: { id: true, ownerId: true } } }
+    }).then(conflict => conflict && conflict.property),
+    incident: (prisma, id) => prisma.incident.findUnique({
+        where: { id },
+        select: { property: { select: { id: true, ownerId: true } } }
+    }).then(incident => incident && incident.property)
+};
+
+class AccessService {
+    constructor(prisma) {
+        this.prisma = prisma;
+    }
+
+    /**
+     * Prisma `where` for the properties the user owns or has been granted.
+     * With a permission, only grants that include it count.
+     */
+    propertyFilter(userId, permission = null) {
+        return {
+            OR: [
+                { ownerId: userId },
+                {
+                    teamAccess: {
+                        some: {
+                            member: { userId, status: 'active' },
+                            ...(permission && { permissions: { has: permission } })
+                        }
+                    }
+                }
+            ]
+        };
+    }
+
+    /**
+     * Access of the user to the property a resource belongs to, or null if none.
+     * Returns { propertyId, ownerId, isOwner, permissions }.
+     */
+    async getResourceAccess(resource, resourceId, userId) {
+        if (typeof resourceId !== 'string' || !resourceId) {
+            return null;
+        }
+
+        const property = await RESOURCE_PROPERTY[resource](this.prisma, resourceId);
+        if (!property) {
+            return null;
+        }
+
+        if (property.ownerId === userId) {
+            return {
+                propertyId: property.id,
+                ownerId: property.ownerId,
+                isOwner: true,
+                permissions: Object.values(PERMISSIONS)
+            };
+        }
+
+        const grant = await this.prisma.propertyAccess.findFirst({
+            where: {
+                propertyId: property.id,
+                member: { userId, status: 'active', ownerId: property.ownerId }
+            },
+            select: { permissions: true }
+        });
+
+        if (!grant) {
+            return null;
+        }
+
+        return {
+            propertyId: property.id,
+            ownerId: property.ownerId,
+            isOwner: false,
+            permissions: grant.permissions
+        };
+    }
+
+    can(access, permission) {
+        return Boolean(access) && access.permissions.includes(permission);
+    }
+
+    /**
+     * Ids of the properties where the user has the permission (owned ones included)
+     */
+    async accessiblePropertyIds(userId, permission = null) {
+        const properties = await this.prisma.property.findMany({
+            where: this.propertyFilter(userId, permission),
+            select: { id: true }
+        });
+
+        return properties.map(property => property.id);
+    }
+
+    /**
+     * Permissions per property for the user's grants (owned properties are not listed)
+     */
+    async getGrantedPermissions(userId) {
+        const grants = await this.prisma.propertyAccess.findMany({
+            where: { member: { userId, status: 'active' } },
+            select: { propertyId: true, permissions: true }
+        });
+
+        return new Map(grants.map(grant => [grant.propertyId, grant.permissions]));
+    }
+
+    /**
+     * Keep known permissions only. Anything that acts on reservations also needs to see them.
+     */
+    normalizePermissions(permissions = []) {
+        const known = new Set(permissions.filter(permission => Object.values(PERMISSIONS).includes(permission)));
+
+        if ([PERMISSIONS.MANAGE_RESERVATIONS, PERMISSIONS.MANAGE_MESSAGES, PERMISSIONS.FINANCES]
+            .some(permission => known.has(permission))) {
+            known.add(PERMISSIONS.VIEW_RESERVATIONS);
+        }
+
+        return [...known];
+    }
+}
+
+AccessService.PERMISSIONS = PERMISSIONS;
+
+module.exports = AccessService;
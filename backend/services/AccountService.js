@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const TOKEN_TYPES = {
+    EMAIL_VERIFICATION: 'email_verification',
+    PASSWORD_RESET: 'password_reset'
+};
+
+const TOKEN_TTL_MS = {
+    [TOKEN_TYPES.EMAIL_VERIFICATION]: 24 * 60 * 60 * 1000,
+    [TOKEN_TYPES.PASSWORD_RESET]: 60 * 60 * 1000
+};
+
+const httpError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Account Service
+ * Email verification and password recovery with expiring, single-use tokens.
+ * Tokens are emailed in clear and stored as SHA-256 hashes in auth_tokens.
+ */
+class AccountService {
+    constructor(prisma, messageService, sessionService) {
+        this.prisma = prisma;
+        this.messageService = messageService;
+        this.sessionService = sessionService;
+        this.frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+    }
+
+    /**
+     * Email a fresh verification link to the user
+     */
+    async sendVerificationEmail(user) {
+        if (user.emailVerified) {
+            return { success: true, alreadyVerified: true };
+        }
+
+        const token = await this.issueToken(user.id, TOKEN_TYPES.EMAIL_VERIFICATION);
+        return this.messageService.sendVerificationEmail(
+            user,
+            `${this.frontendUrl}/login.html?action=verify-email&token=${token}`
+        );
+    }
+
+    /**
+     * Mark the account of the token as verified
+     */
+    async verifyEmail(token) {
+        const authToken = await this.consumeToken(token, TOKEN_TYPES.EMAIL_VERIFICATION);
+
+        return this.prisma.user.update({
+            where: { id: authToken.userId },
+            data: { emailVerified: true, emailVerifiedAt: new Date() },
+            select: { id: true, email: true, emailVerified: true }
+        });
+    }
+
+    /**
+     * Email a reset link if the account exists. Never reveals whether it does.
+     */
+    async requestPasswordReset(email) {
+        const user = await this.prisma.user.findUnique({
+            where: { email: email.toLowerCase().trim() }
+        });
+
+        if (!user || !user.isActive) {
+            return { success: true };
+        }
+
+        const token = await this.issueToken(user.id, TOKEN_TYPES.PASSWORD_RESET);
+        const result = await this.messageService.sendPasswordResetEmail(
+            user,
+            `${this.frontendUrl}/login.html?action=reset-password&token=${token}`
+        );
+
+        if (!result.success) {
+            console.error(`❌ Password reset email could not be sent to user ${user.id}: ${result.error}`);
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Set a new password and sign the user out everywhere
+     */
+    async resetPassword(token, password) {
+        const authToken = await this.consumeToken(token, TOKEN_TYPES.PASSWORD_RESET);
+
+        // Following the emailed link also proves the address belongs to the user
+        await this.prisma.user.update({
+            where: { id: authToken.userId },
+            data: {
+                password: await bcrypt.hash(password, 12),
+                emailVerified: true,
+                emailVerifiedAt: authToken.user.emailVerifiedAt || new Date()
+            }
+        });
+
+        // Any other pending reset link is now stale
+        await this.prisma.authToken.deleteMany({
+            where: { userId: authToken.userId, type: TOKEN_TYPES.PASSWORD_RESET, usedAt: null }
+        });
+
+        await this.sessionService.revokeAllSessions(authToken.userId, 'password_change');
+
+        return { userId: authToken.userId };
+    }
+
+    /**
+     * Create a token of the given type, replacing any unused one
+     */
+    async issueToken(userId, type) {
+        const token = crypto.randomBytes(32).toString('base64url');
+
+        await this.prisma.authToken.deleteMany({
+            where: {
+                userId,
+                type,
+                OR: [{ usedAt: null }, { expiresAt: { lt: new Date() } }]
+            }
+        });
+
+        await this.prisma.authToken.create({
+            data: {
+                userId,
+                type,
+                tokenHash: this.hashToken(token),
+                expiresAt: new Date(Date.now() + TOKEN_TTL_MS[type])
+            }
+        });
+
+        return token;
+    }
+
+    /**
+     * Validate and burn a token. The usedAt guard makes concurrent uses fail.
+     */
+    async consumeToken(token, type) {
+        const authToken = await this.prisma.authToken.findUnique({
+            where: { tokenHash: this.hashToken(String(token)) },
+            include: { user: { select: { id: true, isActive: true, emailVerifiedAt: true } } }
+        });
+
+        if (!authToken || authToken.type !== type || authToken.usedAt || !authToken.user.isActive) {
+            throw httpError(400, 'El enlace no es válido o ya se ha utilizado');
+        }
+
+        if (authToken.expiresAt < new Date()) {
+            throw httpError(400, 'El enlace ha caducado. Solicita uno nuevo.');
+        }
+
+        const { count } = await this.prisma.authToken.updateMany({
+            where: { id: authToken.id, usedAt: null },
+            data: { usedAt: new Date() }
+        });
+
+        if (count === 0) {
+            throw httpError(400, 'El enlace no es válido o ya se ha utilizado');
+        }
+
+        return authToken;
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+}
+
+module.exports = AccountService;
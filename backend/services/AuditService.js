@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+
+const GENESIS_HASH = '0'.repeat(64);
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const VERIFY_BATCH_SIZE = 500;
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Never copied into before/after, only reported as changed
+const SECRET_FIELDS = [
+    'password', 'apiCredentials', 'smartLockApiToken', 'icalExportToken', 'refreshTokenHash',
+    'twoFactorSecret', 'twoFactorRecoveryCodes', 'inviteTokenHash', 'tokenHash', 'accessCode', 'code'
+];
+const REDACTED = '[redacted]';
+
+const httpError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+// JSON with sorted keys, so the hash does not depend on how Postgres stores jsonb
+const canonicalize = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalize).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+// Dates, Decimals... as they will come back from a Json column
+const toJson = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Audit Service
+ * Append-only log of sensitive actions (who, what, on which entity, before/after).
+ * Entries form a hash chain: each one stores the HMAC of its content plus the
+ * previous entry's hash, so editing, deleting or reordering rows is detected by
+ * verifyChain(). The HMAC key (AUDIT_LOG_SECRET) lives outside the database;
+ * keep a copy of the head hash elsewhere to also detect truncation.
+ */
+class AuditService {
+    constructor(prisma, options = {}) {
+        this.prisma = prisma;
+        this.secret = options.secret || process.env.AUDIT_LOG_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+    }
+
+    /**
+     * Append an entry. before/after are reduced to the fields that changed and
+     * secrets are redacted.
+     */
+    async record({ ownerId = null, actorId = null, action, entityType, entityId = null, propertyId = null, before = null, after = null, metadata = null, context = {} }) {
+        const changes = this.diff(before, after);
+        const entry = {
+            ownerId,
+            actorId,
+            action,
+            entityType,
+            entityId,
+            propertyId,
+            before: changes.before,
+            after: changes.after,
+            metadata: toJson(metadata),
+            ipAddress: context.ipAddress || null,
+            userAgent: context.userAgent ? context.userAgent.slice(0, 500) : null
+        };
+
+        // Two writers may read the same tail; the unique sequence makes one of them retry
+        for (let attempt = 1; ; attempt++) {
+            const last = await this.prisma.auditLog.findFirst({
+                orderBy: { sequence: 'desc' },
+                select: { sequence: true, hash: true }
+            });
+
+            const chained = {
+                ...entry,
+                sequence: last ? last.sequence + 1 : 1,
+                prevHash: last ? last.hash : GENESIS_HASH,
+                createdAt: new Date()
+            };
+
+            const data = { ...chained, hash: this.computeHash(chained) };
+            // Prisma stores NULL in a Json column only when the field is left out
+            for (const field of ['before', 'after', 'metadata']) {
+                if (data[field] === null) delete data[field];
+            }
+
+            try {
+                return await this.prisma.auditLog.create({ data });
+            } catch (error) {
+                if (error.code !== 'P2002' || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+            }
+        }
+    }
+
+    /**
+     * Entries visible to the user: those of their account and the actions they did.
+     * Admins see every entry and may filter by ownerId.
+     */
+    async list(user, query = {}) {
+        const where = this.buildListFilter(user, query);
+
+        const limit = query.limit !== undefined ? parseInt(query.limit, 10) : DEFAULT_PAGE_SIZE;
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            throw httpError(400, `limit debe ser un entero entre 1 y ${MAX_PAGE_SIZE}`);
+        }
+
+        const rows = await this.prisma.auditLog.findMany({
+            where,
+            orderBy: { sequence: 'desc' },
+            take: limit + 1,
+            ...(query.cursor && { cursor: { id: query.cursor }, skip: 1 })
+        });
+
+        const hasMore = rows.length > limit;
+        const entries = hasMore ? rows.slice(0, limit) : rows;
+
+        const actorIds = [...new Set(entries.map(entry => entry.actorId).filter(Boolean))];
+        const actors = actorIds.length > 0
+            ? await this.prisma.user.findMany({
+                where: { id: { in: actorIds } },
+                select: { id: true, name: true, email: true }
+            })
+            : [];
+        const actorsById = new Map(actors.map(actor => [actor.id, actor]));
+
+        return {
+            entries: entries.map(entry => ({ ...entry, actor: actorsById.get(entry.actorId) || null })),
+            pagination: {
+                limit,
+                hasMore,
+                nextCursor: hasMore ? entries[entries.length - 1].id : null
+            }
+        };
+    }
+
+    buildListFilter(user, query) {
+        const toList = value => String(value).split(',').map(item => item.trim()).filter(Boolean);
+        const where = user.role === 'admin'
+            ? {}
+            : { OR: [{ ownerId: user.id }, { actorId: user.id }] };
+
+        if (query.ownerId && user.role === 'admin') {
+            where.ownerId = query.ownerId;
+        }
+        if (query.action) {
+            where.action = { in: toList(query.action) };
+        }
+        if (query.entityType) {
+            where.entityType = { in: toList(query.entityType) };
+        }
+        if (query.entityId) {
+            where.entityId = query.entityId;
+        }
+        if (query.actorId) {
+            where.actorId = query.actorId;
+        }
+        if (query.propertyId) {
+            where.propertyId = query.propertyId;
+        }
+
+        const from = query.from ? new Date(query.from) : null;
+        const to = query.to ? new Date(query.to) : null;
+        if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+            throw httpError(400, 'Los parámetros from y to deben ser fechas válidas');
+        }
+        if (from || to) {
+            where.createdAt = {
+                ...(from && { gte: from }),
+                ...(to && { lte: to })
+            };
+        }
+
+        return where;
+    }
+
+    /**
+     * Walk the whole chain and report the first entry that does not match
+     */
+    async verifyChain() {
+        let prevHash = GENESIS_HASH;
+        let expectedSequence = 1;
+        let checked = 0;
+
+        for (;;) {
+            const batch = await this.prisma.auditLog.findMany({
+                where: { sequence: { gte: expectedSequence } },
+                orderBy: { sequence: 'asc' },
+                take: VERIFY_BATCH_SIZE
+            });
+
+            for (const entry of batch) {
+                let problem = null;
+                if (entry.sequence !== expectedSequence) problem = 'missing_entry';
+                else if (entry.prevHash !== prevHash) problem = 'broken_link';
+                else if (entry.hash !== this.computeHash(entry)) problem = 'modified_entry';
+
+                if (problem) {
+                    return { valid: false, checked, brokenAt: { sequence: expectedSequence, id: entry.id, problem } };
+                }
+
+                prevHash = entry.hash;
+                expectedSequence++;
+                checked++;
+            }
+
+            if (batch.length < VERIFY_BATCH_SIZE) {
+                return { valid: true, checked, lastHash: prevHash };
+            }
+        }
+    }
+
+    computeHash(entry) {
+        const content = canonicalize([
+            entry.sequence,
+            entry.prevHash,
+            entry.ownerId,
+            entry.actorId,
+            entry.action,
+            entry.entityType,
+            entry.entityId,
+            entry.propertyId,
+            entry.before,
+            entry.after,
+            entry.metadata,
+            entry.ipAddress,
+            entry.userAgent,
+            new Date(entry.createdAt).toISOString()
+        ]);
+
+        return crypto.createHmac('sha256', this.secret).update(content).digest('hex');
+    }
+
+    /**
+     * Keep only the fields that differ. Secrets show up as "[redacted]".
+     */
+    diff(before, after) {
+        const previous = toJson(before);
+        const next = toJson(after);
+
+        if (!previous || !next || typeof previous !== 'object' || typeof next !== 'object') {
+            return { before: this.redact(previous), after: this.redact(next) };
+        }
+
+        const changedBefore = {};
+        const changedAfter = {};
+        for (const key of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+            if (canonicalize(previous[key]) !== canonicalize(next[key])) {
+                changedBefore[key] = previous[key] === undefined ? null : previous[key];
+                changedAfter[key] = next[key] === undefined ? null : next[key];
+            }
+        }
+
+        return { before: this.redact(changedBefore), after: this.redact(changedAfter) };
+    }
+
+    redact(value) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return value;
+        }
+
+        return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) => [
+            key,
+            SECRET_FIELDS.includes(key) && fieldValue !== null ? REDACTED : fieldValue
+        ]));
+    }
+}
+
+module.exports = AuditService;
@@ -0,0 +1,179 @@
+const UserService = require('./UserService');
+
+/**
+ * Automation Service using Prisma
+ * Runs the host's AutomationRules when a reservation event happens and
+ * logs every message sent in the messages table
+ */
+class AutomationService {
+    constructor(prisma, whatsappService, messageService) {
+        this.prisma = prisma;
+        this.whatsappService = whatsappService;
+        this.messageService = messageService;
+
+        this.eventTypes = {
+            BOOKING_CONFIRMED: 'booking_confirmed',
+            BOOKING_CANCELLED: 'booking_cancelled',
+            CHECKIN_REMINDER: 'checkin_reminder',
+            CHECKOUT_REMINDER: 'checkout_reminder',
+            CHECKED_IN: 'checked_in',
+            CHECKED_OUT: 'checked_out',
+            NO_SHOW: 'no_show'
+        };
+    }
+
+    /**
+     * Execute every active rule of the owner for this event and property
+     */
+    async triggerEvent(ownerId, eventType, reservation) {
+        const rules = await this.prisma.automationRule.findMany({
+            where: { ownerId, eventType, isActive: true },
+            include: { template: true }
+        });
+
+        const applicableRules = rules.filter(rule =>
+            rule.template?.isActive &&
+            (!Array.isArray(rule.propertyIds) || rule.propertyIds.includes(reservation.propertyId))
+        );
+
+        for (const rule of applicableRules) {
+            if (rule.delayMinutes > 0) {
+                setTimeout(() => {
+                    this.executeRule(rule, reservation).catch(error =>
+                        console.error(`❌ Error ejecutando regla ${rule.name}:`, error));
+                }, rule.delayMinutes * 60 * 1000);
+            } else {
+                await this.executeRule(rule, reservation);
+            }
+        }
+
+        return { eventType, rules: applicableRules.length };
+    }
+
+    /**
+     * Render the rule template and send it to the guest
+     */
+    async executeRule(rule, reservation) {
+        const owner = await this.prisma.user.findUnique({
+            where: { id: rule.ownerId },
+            select: { language: true, timezone: true }
+        });
+
+        // Dates in the template's language, on the owner's clock
+        const preferences = {
+            language: rule.template.language || owner?.language,
+            timezone: owner?.timezone
+        };
+
+        const content = this.messageService.replaceVariables(rule.template.content, this.buildVariables(reservation, preferences));
+
+        const result = await this.sendToGuest(reservation, {
+            ownerId: rule.ownerId,
+            templateId: rule.templateId,
+            content,
+            context: `Regla ${rule.name}`,
+            metadata: {
+                automationRuleId: rule.id,
+                eventType: rule.eventType
+            }
+        });
+        if (result.skipped) {
+            return result;
+        }
+
+        await this.prisma.automationRule.update({
+            where: { id: rule.id },
+            data: {
+                executionCount: { increment: 1 },
+                lastExecuted: new Date()
+            }
+        });
+
+        console.log(`✅ Regla de automatización ejecutada: ${rule.name} (${rule.eventType})`);
+        return result;
+    }
+
+    /**
+     * Send the guest the link to pre-authorize the deposit, in the guest's language
+     */
+    async sendDepositLink(reservation, link) {
+        const owner = await this.prisma.user.findUnique({
+            where: { id: reservation.property.ownerId },
+            select: { timezone: true }
+        });
+
+        const language = this.messageService.messageTemplates[reservation.guestLanguage] ? reservation.guestLanguage : 'es';
+        const preferences = { language, timezone: owner?.timezone };
+
+        const content = this.messageService.replaceVariables(this.messageService.messageTemplates[language].deposit_request, {
+            ...this.buildVariables(reservation, preferences),
+            deposit_amount: UserService.formatMoney(reservation.depositAmount, reservation.depositCurrency, preferences),
+            deposit_link: link.url
+        });
+
+        return this.sendToGuest(reservation, {
+            ownerId: reservation.property.ownerId,
+            content,
+            context: 'Enlace de fianza',
+            metadata: { type: 'deposit_request', expiresAt: link.expiresAt }
+        });
+    }
+
+    /**
+     * Send a message to the guest by WhatsApp (or email without a phone) and log it
+     */
+    async sendToGuest(reservation, { ownerId, templateId = null, content, context, metadata = {} }) {
+        const platform = reservation.guestPhone ? 'whatsapp' : 'email';
+
+        if (platform === 'email' && !reservation.guestEmail) {
+            console.warn(`⚠️ ${context}: la reserva ${reservation.id} no tiene teléfono ni email`);
+            return { success: false, skipped: true, error: 'Sin datos de contacto del huésped' };
+        }
+
+        const result = platform === 'whatsapp'
+            ? await this.whatsappService.sendWhatsAppMessage(reservation.guestPhone, content)
+            : await this.messageService.sendEmail({
+                to: reservation.guestEmail,
+                subject: reservation.property?.name || 'Tu reserva',
+                html: content.replace(/\n/g, '<br>'),
+                text: content
+            });
+
+        await this.prisma.message.create({
+            data: {
+                ownerId,
+                templateId,
+                guestName: reservation.guestName,
+                guestPhone: reservation.guestPhone || '',
+                guestEmail: reservation.guestEmail || null,
+                content,
+                platform,
+                status: result.success ? 'sent' : 'failed',
+                sentAt: result.success ? new Date() : null,
+                errorMessage: result.success ? null : result.error,
+                metadata: { ...metadata, reservationId: reservation.id }
+            }
+        });
+
+        return result;
+    }
+
+    buildVariables(reservation, preferences = {}) {
+        const property = reservation.property || {};
+
+        return {
+            guest_name: reservation.guestName,
+            property_name: property.name,
+            check_in_date: UserService.formatDate(reservation.checkIn, preferences),
+            check_out_date: UserService.formatDate(reservation.checkOut, preferences),
+            access_code: reservation.accessCode,
+            wifi_name: property.wifiName,
+            wifi_password: property.wifiPassword,
+            checkin_instructions: property.checkInInstructions,
+            checkout_instructions: property.checkOutInstructions,
+            house_rules: property.houseRules
+        };
+    }
+}
+
+module.exports = AutomationService;
@@ -1,83 +1,648 @@
 const axios = require('axios');
+const ical = require('ical');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SYNC_ERRORS = 20;
+const DEFAULT_SYNC_INTERVAL_MINUTES = 60;
+const MAX_BACKOFF_MS = DAY_MS;
+const SYNC_JITTER_RATIO = 0.1;
+
+// Los canales exportan como "bloqueos" las fechas ocupadas por otros canales;
+// importarlos duplicaría reservas que ya recibimos por su feed original.
+// Cada canal los nombra a su manera: Booking.com exporta TODAS sus reservas como
+// "CLOSED - Not available", así que en su feed no se puede descartar nada por el título.
+const BLOCKED_SUMMARY_PATTERNS = {
+    airbnb: /not available|no disponible/i, // Reservas: "Reserved"; bloqueos: "Airbnb (Not available)"
+    booking: null,
+    vrbo: /^blocked\b|not available|no disponible/i, // Reservas: "Reserved - <huésped>"
+    default: /not available|no disponible|blocked/i
+};
+
+// Títulos genéricos que no son el nombre del huésped
+const PLACEHOLDER_SUMMARY_PATTERN = /^(reserved|closed - not available)$/i;
+
+// Medianoche UTC del día de una fecha del feed. `ical` lee las fechas de día completo
+// (VALUE=DATE) como medianoche local, así que su día se toma en la hora local del servidor
+const toCalendarDay = (date) => (date.dateOnly
+    ? new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()))
+    : new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())));
 
 class ChannelManagerService {
-    constructor() {
+    constructor(prisma, notificationService = null) {
+        this.prisma = prisma;
+        this.notificationService = notificationService;
+        // Se asignan después de crear ReservationService y AuditService (dependen de este servicio)
+        this.reservationService = null;
+        this.auditService = null;
         this.supportedChannels = ['airbnb', 'booking', 'vrbo'];
     }
 
-    async syncCalendars(property) {
-        const results = [];
+    // Sincroniza un canal concreto y registra el resultado en el propio Channel
+    // y en su historial (trigger: manual | scheduled)
+    async syncChannel(channelId, ownerId = null, trigger = 'manual') {
+        const channel = await this.prisma.channel.findFirst({
+            where: {
+                id: channelId,
+                ...(ownerId && { ownerId })
+            }
+        });
 
-        for (const channel of this.supportedChannels) {
-            if (property.channels[channel]?.is_active && property.channels[channel]?.ical_url) {
-                try {
-                    const reservations = await this.syncICalCalendar(
-                        property.channels[channel].ical_url, 
-                        channel,
-                        property._id
-                    );
-                    
-                    results.push({ 
-                        platform: channel, 
-                        reservations: reservations,
-                        success: true 
-                    });
+        if (!channel) {
+            const error = new Error('Canal no encontrado');
+            error.status = 404;
+            throw error;
+        }
 
-                    // Actualizar última sincronización
-                    property.channels[channel].last_sync = new Date();
-                    await property.save();
+        if (!channel.icalUrl) {
+            return {
+                channelId: channel.id,
+                platform: channel.name,
+                success: false,
+                skipped: true,
+                error: 'El canal no tiene URL iCal configurada'
+            };
+        }
 
-                } catch (error) {
-                    console.error(`Error sync ${channel}:`, error);
-                    results.push({ 
-                        platform: channel, 
-                        error: error.message,
-                        success: false 
-                    });
+        const startedAt = new Date();
+
+        try {
+            const result = await this.syncICalCalendar(channel);
+            const conflicts = await this.detectConflicts(channel.propertyId);
+            const finishedAt = new Date();
+
+            await this.prisma.channel.update({
+                where: { id: channel.id },
+                data: {
+                    lastSync: finishedAt,
+                    consecutiveFailures: 0,
+                    nextSyncAt: this.getNextSyncAt(channel, 0, finishedAt)
+                }
+            });
+
+            await this.recordSyncLog(channel, {
+                trigger,
+                status: 'success',
+                created: result.created,
+                updated: result.updated,
+                cancelled: result.cancelled,
+                conflicts: conflicts.length,
+                startedAt,
+                finishedAt
+            });
+
+            return {
+                channelId: channel.id,
+                platform: channel.name,
+                success: true,
+                created: result.created,
+                updated: result.updated,
+                cancelled: result.cancelled,
+                conflicts: conflicts.length
+            };
+
+        } catch (error) {
+            const finishedAt = new Date();
+            const consecutiveFailures = (channel.consecutiveFailures || 0) + 1;
+
+            await this.recordSyncError(channel, error, {
+                consecutiveFailures,
+                nextSyncAt: this.getNextSyncAt(channel, consecutiveFailures, finishedAt)
+            });
+
+            await this.recordSyncLog(channel, {
+                trigger,
+                status: 'error',
+                errorMessage: error.message,
+                startedAt,
+                finishedAt
+            });
+
+            return {
+                channelId: channel.id,
+                platform: channel.name,
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Próxima sincronización: intervalo del canal + jitter, con backoff exponencial tras fallos
+    getNextSyncAt(channel, consecutiveFailures, from = new Date()) {
+        const intervalMs = (channel.syncIntervalMinutes || DEFAULT_SYNC_INTERVAL_MINUTES) * 60 * 1000;
+        const backoffMs = consecutiveFailures > 0
+            ? Math.min(intervalMs * Math.pow(2, consecutiveFailures - 1), MAX_BACKOFF_MS)
+            : intervalMs;
+        // El jitter reparte en el tiempo los canales creados a la vez
+        const jitterMs = Math.floor(Math.random() * backoffMs * SYNC_JITTER_RATIO);
+
+        return new Date(from.getTime() + backoffMs + jitterMs);
+    }
+
+    // Sincroniza todos los canales activos de una propiedad
+    async syncProperty(propertyId, ownerId = null) {
+        const property = await this.prisma.property.findFirst({
+            where: {
+                id: propertyId,
+                ...(ownerId && { ownerId })
+            },
+            include: {
+                channels: {
+                    where: { isActive: true, syncEnabled: true }
                 }
             }
+        });
+
+        if (!property) {
+            const error = new Error('Propiedad no encontrada');
+            error.status = 404;
+            throw error;
+        }
+
+        const results = [];
+        for (const channel of property.channels) {
+            results.push(await this.syncChannel(channel.id));
         }
 
         return results;
     }
 
-    async syncICalCalendar(icalUrl, platform, propertyId) {
+    // Sincroniza todos los canales activos de un usuario (o de todo el sistema)
+    async syncAllChannels(ownerId = null) {
+        const channels = await this.prisma.channel.findMany({
+            where: {
+                isActive: true,
+                syncEnabled: true,
+                ...(ownerId && { ownerId })
+            },
+            select: { id: true }
+        });
+
+        const results = [];
+        for (const channel of channels) {
+            results.push(await this.syncChannel(channel.id));
+        }
+
+        return results;
+    }
+
+    // Añade el error al historial del canal (se conservan los últimos MAX_SYNC_ERRORS)
+    async recordSyncError(channel, error, scheduling = {}) {
+        const syncErrors = Array.isArray(channel.syncErrors) ? channel.syncErrors : [];
+        syncErrors.push({
+            message: error.message,
+            occurredAt: new Date().toISOString()
+        });
+
+        try {
+            await this.prisma.channel.update({
+                where: { id: channel.id },
+                data: {
+                    syncErrors: syncErrors.slice(-MAX_SYNC_ERRORS),
+                    ...scheduling
+                }
+            });
+        } catch (updateError) {
+            console.error(`❌ Error guardando syncErrors del canal ${channel.id}:`, updateError.message);
+        }
+    }
+
+    async recordSyncLog(channel, log) {
+        try {
+            await this.prisma.channelSyncLog.create({
+                data: {
+                    channelId: channel.id,
+                    trigger: log.trigger,
+                    status: log.status,
+                    created: log.created || 0,
+                    updated: log.updated || 0,
+                    cancelled: log.cancelled || 0,
+                    conflicts: log.conflicts || 0,
+                    errorMessage: log.errorMessage || null,
+                    durationMs: log.finishedAt - log.startedAt,
+                    startedAt: log.startedAt,
+                    finishedAt: log.finishedAt
+                }
+            });
+        } catch (error) {
+            console.error(`❌ Error guardando historial del canal ${channel.id}:`, error.message);
+        }
+    }
+
+    // Descarga el feed iCal del canal y sincroniza sus reservas con la base de datos
+    async syncICalCalendar(channel) {
         try {
-            const response = await axios.get(icalUrl, {
+            const response = await axios.get(channel.icalUrl, {
                 timeout: 30000,
+                responseType: 'text',
                 headers: {
                     'User-Agent': 'AirHost-Calendar-Sync/1.0'
                 }
             });
-            
-            // Aquí se parsearía el iCal real, por ahora simulamos
-            const reservations = [];
-            
-            console.log(`✅ Sync ${platform}: ${reservations.length} reservas`);
-            return reservations;
-            
+
+            const { events, totalEvents } = this.parseICalEvents(response.data, channel.name);
+            // Un feed vacío o truncado no significa que el canal lo haya cancelado todo
+            const result = await this.upsertReservations(channel, events, { sweepRemoved: totalEvents > 0 });
+
+            console.log(`✅ Sync ${channel.name}: ${result.created} nuevas, ${result.updated} actualizadas, ${result.cancelled} canceladas`);
+            return result;
+
         } catch (error) {
-            console.error(`❌ Error sync ${platform}:`, error.message);
+            console.error(`❌ Error sync ${channel.name}:`, error.message);
             throw error;
         }
     }
 
-    async checkForConflicts(propertyId, checkIn, checkOut) {
-        const Reservation = require('../models/Reservation');
-        
-        const conflicts = await Reservation.find({
-            property: propertyId,
-            status: { $ne: 'cancelled' },
-            $or: [
-                {
-                    check_in: { $lte: checkOut },
-                    check_out: { $gte: checkIn }
+    // Convierte un feed iCal en datos de reserva (solo VEVENTs con fechas válidas).
+    // Devuelve { events, totalEvents }: totalEvents cuenta todos los VEVENTs, también los bloqueos.
+    parseICalEvents(icsData, platform) {
+        if (typeof icsData !== 'string' || !/^\s*BEGIN:VCALENDAR/i.test(icsData) || !/END:VCALENDAR\s*$/i.test(icsData)) {
+            throw new Error('El feed iCal no es válido o está incompleto');
+        }
+
+        const components = ical.parseICS(icsData);
+        const blockedPattern = platform in BLOCKED_SUMMARY_PATTERNS
+            ? BLOCKED_SUMMARY_PATTERNS[platform]
+            : BLOCKED_SUMMARY_PATTERNS.default;
+        const events = [];
+        let totalEvents = 0;
+
+        for (const component of Object.values(components)) {
+            if (component.type !== 'VEVENT') {
+                continue;
+            }
+            totalEvents++;
+
+            if (!component.uid || !component.start) {
+                continue;
+            }
+
+            const summary = (component.summary || '').trim();
+            if (blockedPattern && blockedPattern.test(summary)) {
+                continue;
+            }
+
+            const checkIn = toCalendarDay(component.start);
+            // Los eventos de día completo sin DTEND duran una noche (RFC 5545)
+            const checkOut = component.end ? toCalendarDay(component.end) : new Date(checkIn.getTime() + DAY_MS);
+            const nights = Math.round((checkOut - checkIn) / DAY_MS);
+
+            if (isNaN(checkIn.getTime()) || isNaN(checkOut.getTime()) || nights < 1) {
+                continue;
+            }
+
+            events.push({
+                externalId: component.uid,
+                guestName: summary && !PLACEHOLDER_SUMMARY_PATTERN.test(summary) ? summary : `Huésped ${platform}`,
+                checkIn,
+                checkOut,
+                nights,
+                cancelled: String(component.status || '').toUpperCase() === 'CANCELLED',
+                notes: component.description ? String(component.description).trim() : null
+            });
+        }
+
+        return { events, totalEvents };
+    }
+
+    // Crea/actualiza las reservas del feed y, con sweepRemoved, cancela las que el canal ya no publica
+    async upsertReservations(channel, events, { sweepRemoved = true } = {}) {
+        const result = { created: 0, updated: 0, cancelled: 0, reservations: [] };
+        const activeExternalIds = [];
+
+        for (const event of events) {
+            const existing = await this.prisma.reservation.findFirst({
+                where: {
+                    propertyId: channel.propertyId,
+                    source: channel.name,
+                    externalId: event.externalId
+                }
+            });
+
+            if (event.cancelled) {
+                if (existing && existing.status !== 'cancelled' && await this.cancelFromPlatform(channel, existing)) {
+                    result.cancelled++;
+                }
+                continue;
+            }
+
+            activeExternalIds.push(event.externalId);
+
+            if (existing) {
+                const reservation = await this.prisma.reservation.update({
+                    where: { id: existing.id },
+                    data: {
+                        checkIn: event.checkIn,
+                        checkOut: event.checkOut,
+                        nights: event.nights,
+                        // Una reserva que el canal canceló y vuelve a aparecer en el feed se reactiva;
+                        // las que canceló el anfitrión siguen canceladas
+                        ...(existing.status === 'cancelled' && existing.cancelledBy === 'platform' && {
+                            status: 'confirmed',
+                            cancelledAt: null,
+                            cancelledBy: null,
+                            cancellationReason: null
+                        })
+                    }
+                });
+                result.updated++;
+                result.reservations.push(reservation);
+            } else {
+                const reservation = await this.prisma.reservation.create({
+                    data: {
+                        propertyId: channel.propertyId,
+                        guestName: event.guestName,
+                        guestEmail: '',
+                        checkIn: event.checkIn,
+                        checkOut: event.checkOut,
+                        nights: event.nights,
+                        source: channel.name,
+                        externalId: event.externalId,
+                        status: 'confirmed',
+                        baseAmount: 0,
+                        totalAmount: 0,
+                        notes: event.notes
+                    }
+                });
+                result.created++;
+                result.reservations.push(reservation);
+            }
+        }
+
+        if (!sweepRemoved) {
+            return result;
+        }
+
+        // Reservas futuras que han desaparecido del feed: el canal las ha cancelado
+        const removed = await this.prisma.reservation.findMany({
+            where: {
+                propertyId: channel.propertyId,
+                source: channel.name,
+                externalId: { not: null, notIn: activeExternalIds },
+                status: 'confirmed',
+                checkOut: { gte: new Date() }
+            }
+        });
+
+        for (const reservation of removed) {
+            if (await this.cancelFromPlatform(channel, reservation)) {
+                result.cancelled++;
+            }
+        }
+
+        return result;
+    }
+
+    // Cancela una reserva por orden del canal con los mismos efectos que una cancelación
+    // del anfitrión (códigos de acceso, fianza, automatizaciones, conflictos) y la audita.
+    // Devuelve false si no se pudo (p. ej. el huésped ya hizo check-in).
+    async cancelFromPlatform(channel, reservation) {
+        try {
+            const { reservation: cancelled, previousStatus, sideEffects } = await this.reservationService.cancelReservation(
+                channel.ownerId,
+                reservation.id,
+                { cancelledBy: 'platform', reason: `Cancelada en ${channel.name}` }
+            );
+
+            await this.auditService.record({
+                ownerId: channel.ownerId,
+                action: 'reservation.cancelled',
+                entityType: 'reservation',
+                entityId: cancelled.id,
+                propertyId: cancelled.propertyId,
+                before: { status: previousStatus },
+                after: { status: cancelled.status },
+                metadata: {
+                    trigger: 'channel.sync',
+                    channelId: channel.id,
+                    platform: channel.name,
+                    sideEffects: sideEffects.map(effect => `${effect.type}:${effect.status}`)
                 }
-            ]
+            }).catch(error => console.error(`❌ Error auditando la cancelación de ${cancelled.id}:`, error.message));
+
+            return true;
+        } catch (error) {
+            console.error(`❌ No se pudo cancelar la reserva ${reservation.id} de ${channel.name}:`, error.message);
+            return false;
+        }
+    }
+
+    // Genera el feed iCal de disponibilidad de una propiedad para que los canales lo importen
+    async buildICalFeed(property) {
+        const today = new Date();
+        today.setUTCHours(0, 0, 0, 0);
+
+        const reservations = await this.prisma.reservation.findMany({
+            where: {
+                propertyId: property.id,
+                status: { not: 'cancelled' },
+                checkOut: { gt: today }
+            },
+            orderBy: { checkIn: 'asc' }
         });
 
+        const dtstamp = this.formatICalDateTime(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//AirHost AI//Channel Manager//ES',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeICalText(property.name)}`
+        ];
+
+        for (const reservation of reservations) {
+            // No publicamos datos del huésped: el feed es accesible con un simple token en la URL
+            const summary = reservation.source === 'manual' ? 'Not available' : 'Reserved';
+
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${reservation.id}@airhostai.com`,
+                `DTSTAMP:${dtstamp}`,
+                `DTSTART;VALUE=DATE:${this.formatICalDate(reservation.checkIn)}`,
+                `DTEND;VALUE=DATE:${this.formatICalDate(reservation.checkOut)}`,
+                `SUMMARY:${summary}`,
+                'TRANSP:OPAQUE',
+                'END:VEVENT'
+            );
+        }
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldICalLine(line)).join('\r\n') + '\r\n';
+    }
+
+    formatICalDate(date) {
+        return new Date(date).toISOString().slice(0, 10).replace(/-/g, '');
+    }
+
+    formatICalDateTime(date) {
+        return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    escapeICalText(text) {
+        return String(text || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // RFC 5545: las líneas de más de 75 octetos continúan en la siguiente con un espacio
+    foldICalLine(line) {
+        const chunks = [];
+        let current = '';
+
+        for (const char of line) {
+            const limit = chunks.length === 0 ? 75 : 74;
+            if (Buffer.byteLength(current + char) > limit) {
+                chunks.push(current);
+                current = '';
+            }
+            current += char;
+        }
+        chunks.push(current);
+
+        return chunks.join('\r\n ');
+    }
+
+    // Reservas activas de la propiedad que se solapan con el rango indicado
+    async findOverlappingReservations(propertyId, checkIn, checkOut, excludeReservationId = null) {
+        return await this.prisma.reservation.findMany({
+            where: {
+                propertyId,
+                status: { not: 'cancelled' },
+                // El día de salida de una reserva puede ser el de entrada de la siguiente
+                checkIn: { lt: new Date(checkOut) },
+                checkOut: { gt: new Date(checkIn) },
+                ...(excludeReservationId && { id: { not: excludeReservationId } })
+            },
+            orderBy: { checkIn: 'asc' }
+        });
+    }
+
+    async checkForConflicts(propertyId, checkIn, checkOut, excludeReservationId = null) {
+        const conflicts = await this.findOverlappingReservations(propertyId, checkIn, checkOut, excludeReservationId);
         return conflicts.length > 0;
     }
+
+    // Revisa las reservas futuras de la propiedad, registra los overbookings nuevos
+    // y cierra automáticamente los que ya no se solapan
+    async detectConflicts(propertyId) {
+        const property = await this.prisma.property.findUnique({
+            where: { id: propertyId },
+            select: { id: true, name: true, ownerId: true }
+        });
+
+        if (!property) {
+            return [];
+        }
+
+        const reservations = await this.prisma.reservation.findMany({
+            where: {
+                propertyId,
+                status: { not: 'cancelled' },
+                checkOut: { gte: new Date() }
+            },
+            orderBy: { checkIn: 'asc' }
+        });
+
+        const overlappingPairs = new Map();
+        for (let i = 0; i < reservations.length; i++) {
+            for (let j = i + 1; j < reservations.length; j++) {
+                const a = reservations[i];
+                const b = reservations[j];
+
+                // Ordenadas por checkIn: ninguna posterior puede solaparse con a
+                if (b.checkIn >= a.checkOut) {
+                    break;
+                }
+
+                const [first, second] = a.id < b.id ? [a, b] : [b, a];
+                overlappingPairs.set(`${first.id}:${second.id}`, {
+                    reservation: first,
+                    conflictingReservation: second,
+                    overlapStart: a.checkIn > b.checkIn ? a.checkIn : b.checkIn,
+                    overlapEnd: a.checkOut < b.checkOut ? a.checkOut : b.checkOut
+                });
+            }
+        }
+
+        const openConflicts = await this.prisma.bookingConflict.findMany({
+            where: { propertyId, status: 'open' }
+        });
+
+        for (const conflict of openConflicts) {
+            if (!overlappingPairs.has(`${conflict.reservationId}:${conflict.conflictingReservationId}`)) {
+                await this.prisma.bookingConflict.update({
+                    where: { id: conflict.id },
+                    data: {
+                        status: 'resolved',
+                        resolution: 'auto_resolved',
+                        resolvedAt: new Date()
+                    }
+                });
+            }
+        }
+
+        const newConflicts = [];
+        for (const pair of overlappingPairs.values()) {
+            const existing = await this.prisma.bookingConflict.findUnique({
+                where: {
+                    reservationId_conflictingReservationId: {
+                        reservationId: pair.reservation.id,
+                        conflictingReservationId: pair.conflictingReservation.id
+                    }
+                }
+            });
+
+            // Los conflictos resueltos a mano (p. ej. falso positivo) no se vuelven a abrir
+            if (existing && (existing.status === 'open' || existing.resolution !== 'auto_resolved')) {
+                continue;
+            }
+
+            const data = {
+                overlapStart: pair.overlapStart,
+                overlapEnd: pair.overlapEnd,
+                status: 'open',
+                resolution: null,
+                resolutionNotes: null,
+                resolvedById: null,
+                resolvedAt: null
+            };
+
+            const conflict = existing
+                ? await this.prisma.bookingConflict.update({ where: { id: existing.id }, data })
+                : await this.prisma.bookingConflict.create({
+                    data: {
+                        ...data,
+                        propertyId,
+                        ownerId: property.ownerId,
+                        reservationId: pair.reservation.id,
+                        conflictingReservationId: pair.conflictingReservation.id
+                    }
+                });
+
+            newConflicts.push(conflict);
+
+            if (this.notificationService) {
+                try {
+                    await this.notificationService.sendOverbookingAlert(property.ownerId, {
+                        ...conflict,
+                        property,
+                        reservation: pair.reservation,
+                        conflictingReservation: pair.conflictingReservation
+                    });
+                } catch (error) {
+                    console.error('❌ Error notificando overbooking:', error.message);
+                }
+            }
+        }
+
+        if (newConflicts.length > 0) {
+            console.warn(`⚠️ Overbooking en ${property.name}: ${newConflicts.length} conflicto(s) nuevo(s)`);
+        }
+
+        return newConflicts;
+    }
 }
 
-module.exports = ChannelManagerService;
\ No newline at end of file
+module.exports = ChannelManagerService;
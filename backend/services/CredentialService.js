@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1';
+const REDACTED = '[redacted]';
+const ROTATION_BATCH_SIZE = 200;
+
+// Response keys whose values never leave the server (nested apiKey fields included)
+const SECRET_KEYS = ['apiCredentials', 'smartLockApiToken', 'apiKey'];
+
+const b64 = buffer => buffer.toString('base64url');
+const unb64 = text => Buffer.from(text, 'base64url');
+
+const seal = (key, plaintext) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+};
+
+const open = (key, sealed) => {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, sealed.subarray(0, 12));
+    decipher.setAuthTag(sealed.subarray(12, 28));
+    return Buffer.concat([decipher.update(sealed.subarray(28)), decipher.final()]);
+};
+
+const isPlainObject = value =>
+    value !== null && typeof value === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+/**
+ * Credential Service
+ * Envelope encryption for third-party credentials stored in the database
+ * (channel API keys, smart lock tokens). Each value gets its own random data
+ * key (AES-256-GCM) which is wrapped with the master key from CREDENTIAL_KEYS.
+ *
+ * CREDENTIAL_KEYS="<id>:<base64 32 bytes>,<old id>:<old key>": the first key
+ * encrypts, the others only decrypt. After adding a new key, rotateAll()
+ * re-wraps the data keys (and encrypts any value still stored in clear).
+ *
+ * Stored format: enc:v1:<keyId>:<wrapped data key>:<ciphertext>. Json columns
+ * hold that string as a JSON string value.
+ */
+class CredentialService {
+    constructor(prisma, options = {}) {
+        this.prisma = prisma;
+        this.keys = this.parseKeys(options.keys || process.env.CREDENTIAL_KEYS);
+        this.currentKeyId = this.keys.keys().next().value;
+    }
+
+    parseKeys(config) {
+        const keys = new Map();
+
+        for (const entry of String(config || '').split(',').map(item => item.trim()).filter(Boolean)) {
+            const separator = entry.indexOf(':');
+            const id = entry.slice(0, separator);
+            const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+            if (separator < 1 || key.length !== 32) {
+                throw new Error(`CREDENTIAL_KEYS: la clave "${id || entry}" debe tener el formato id:<32 bytes en base64>`);
+            }
+            keys.set(id, key);
+        }
+
+        // Without configured keys, derive one from JWT_SECRET so data is never stored in clear.
+        // It stays available for decryption after real keys are configured, so rotateAll() can move off it.
+        const fallback = crypto.createHash('sha256')
+            .update(`credentials:${process.env.JWT_SECRET || 'your-secret-key'}`)
+            .digest();
+        if (keys.size === 0) {
+            console.warn('⚠️ CREDENTIAL_KEYS not set, deriving the credential encryption key from JWT_SECRET');
+        }
+        if (!keys.has('default')) {
+            keys.set('default', fallback);
+        }
+
+        return keys;
+    }
+
+    isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+    }
+
+    /**
+     * Encrypt a string or JSON value. null/undefined and already encrypted values pass through.
+     */
+    encrypt(value) {
+        if (value === null || value === undefined || this.isEncrypted(value)) {
+            return value;
+        }
+
+        const dataKey = crypto.randomBytes(32);
+        const wrappedKey = seal(this.keys.get(this.currentKeyId), dataKey);
+        const ciphertext = seal(dataKey, Buffer.from(JSON.stringify(value), 'utf8'));
+
+        return `${PREFIX}:${this.currentKeyId}:${b64(wrappedKey)}:${b64(ciphertext)}`;
+    }
+
+    /**
+     * Decrypt a stored value. Values stored before encryption was enabled are returned as is.
+     */
+    decrypt(value) {
+        if (!this.isEncrypted(value)) {
+            return value === undefined ? null : value;
+        }
+
+        const [, , keyId, wrappedKey, ciphertext] = value.split(':');
+        const masterKey = this.keys.get(keyId);
+        if (!masterKey) {
+            throw new Error(`Clave de cifrado "${keyId}" no configurada en CREDENTIAL_KEYS`);
+        }
+
+        const dataKey = open(masterKey, unb64(wrappedKey));
+        return JSON.parse(open(dataKey, unb64(ciphertext)).toString('utf8'));
+    }
+
+    /**
+     * Re-wrap a value with the current key. Only the data key changes; the ciphertext is kept.
+     */
+    rewrap(value) {
+        if (!this.isEncrypted(value)) {
+            return this.encrypt(value);
+        }
+
+        const [, , keyId, wrappedKey, ciphertext] = value.split(':');
+        if (keyId === this.currentKeyId) {
+            return value;
+        }
+
+        const masterKey = this.keys.get(keyId);
+        if (!masterKey) {
+            throw new Error(`Clave de cifrado "${keyId}" no configurada en CREDENTIAL_KEYS`);
+        }
+
+        const dataKey = open(masterKey, unb64(wrappedKey));
+        return `${PREFIX}:${this.currentKeyId}:${b64(seal(this.keys.get(this.currentKeyId), dataKey))}:${ciphertext}`;
+    }
+
+    /**
+     * Bring every stored credential to the current key: encrypt values still in
+     * clear and re-wrap those encrypted with an older key.
+     */
+    async rotateAll() {
+        const updated = { channels: 0, smartLocks: 0, properties: 0 };
+        const changed = (before, after) => JSON.stringify(before) !== JSON.stringify(after);
+
+        await this.forEachBatch('channel', { id: true, apiCredentials: true }, async (channel) => {
+            const apiCredentials = this.rewrap(channel.apiCredentials);
+            if (!changed(channel.apiCredentials, apiCredentials)) return;
+
+            await this.prisma.channel.update({ where: { id: channel.id }, data: { apiCredentials } });
+            updated.channels++;
+        });
+
+        await this.forEachBatch('smartLock', { id: true, apiCredentials: true }, async (lock) => {
+            const apiCredentials = this.rewrap(lock.apiCredentials);
+            if (!changed(lock.apiCredentials, apiCredentials)) return;
+
+            await this.prisma.smartLock.update({ where: { id: lock.id }, data: { apiCredentials } });
+            updated.smartLocks++;
+        });
+
+        await this.forEachBatch('property', { id: true, smartLockApiToken: true }, async (property) => {
+            const smartLockApiToken = this.rewrap(property.smartLockApiToken);
+            if (!changed(property.smartLockApiToken, smartLockApiToken)) return;
+
+            await this.prisma.property.update({ where: { id: property.id }, data: { smartLockApiToken } });
+            updated.properties++;
+        });
+
+        return { keyId: this.currentKeyId, updated };
+    }
+
+    async forEachBatch(model, select, handler) {
+        let cursor = null;
+
+        for (;;) {
+            const rows = await this.prisma[model].findMany({
+                select,
+                orderBy: { id: 'asc' },
+                take: ROTATION_BATCH_SIZE,
+                ...(cursor && { cursor: { id: cursor }, skip: 1 })
+            });
+
+            for (const row of rows) {
+                await handler(row);
+            }
+
+            if (rows.length < ROTATION_BATCH_SIZE) return;
+            cursor = rows[rows.length - 1].id;
+        }
+    }
+
+    /**
+     * Deep copy of an API response with every credential replaced by "[redacted]"
+     */
+    static redact(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => CredentialService.redact(item));
+        }
+        if (!isPlainObject(value)) {
+            return value;
+        }
+
+        return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) => [
+            key,
+            SECRET_KEYS.includes(key)
+                ? (fieldValue === null || fieldValue === undefined ? fieldValue : REDACTED)
+                : CredentialService.redact(fieldValue)
+        ]));
+    }
+}
+
+CredentialService.REDACTED = REDACTED;
+
+module.exports = CredentialService;
@@ -0,0 +1,77 @@
+const cron = require('node-cron');
+
+/**
+ * Background Deposit Scheduler
+ * Periodically sends the deposit link to guests arriving soon, renews card
+ * holds about to lapse and releases the security deposits that are due
+ * (see DepositService).
+ */
+class DepositSchedulerService {
+    constructor(depositService, options = {}) {
+        this.depositService = depositService;
+        this.cronExpression = options.cronExpression || process.env.DEPOSIT_SCHEDULER_CRON || '15 * * * *';
+        this.tasks = [];
+        this.isRunning = false;
+    }
+
+    /**
+     * Start the cron jobs
+     */
+    start() {
+        if (this.tasks.length > 0) {
+            return;
+        }
+
+        if (!cron.validate(this.cronExpression)) {
+            console.error(`❌ Invalid DEPOSIT_SCHEDULER_CRON expression: ${this.cronExpression}`);
+            return;
+        }
+
+        this.tasks.push(cron.schedule(this.cronExpression, () => this.runDueJobs()));
+
+        console.log(`⏰ Deposit scheduler started (${this.cronExpression})`);
+    }
+
+    /**
+     * Stop the cron jobs
+     */
+    stop() {
+        this.tasks.forEach(task => task.stop());
+        this.tasks = [];
+    }
+
+    /**
+     * Send due guest links, renew expiring holds and release due deposits.
+     * Skips the tick if the previous one is still running.
+     */
+    async runDueJobs() {
+        if (this.isRunning) {
+            return null;
+        }
+
+        this.isRunning = true;
+        const results = { links: [], reauthorizations: [], releases: [] };
+
+        try {
+            results.links = await this.depositService.sendDueGuestLinks();
+            results.reauthorizations = await this.depositService.reauthorizeExpiringDeposits();
+            results.releases = await this.depositService.releaseDueDeposits();
+
+            for (const [job, jobResults] of Object.entries(results)) {
+                if (jobResults.length > 0) {
+                    const failed = jobResults.filter(result => !result.success).length;
+                    console.log(`⏰ Deposit ${job}: ${jobResults.length} reservation(s), ${failed} failed`);
+                }
+            }
+
+        } catch (error) {
+            console.error('❌ Error running deposit scheduler:', error);
+        } finally {
+            this.isRunning = false;
+        }
+
+        return results;
+    }
+}
+
+module.exports = DepositSchedulerService;
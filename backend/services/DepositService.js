@@ -0,0 +1,815 @@
+const crypto = require('crypto');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// A guest visit creating the PaymentIntent holds the reservation this long at most;
+// other visits wait for it instead of creating a second intent
+const CHECKOUT_CLAIM_MS = 60 * 1000;
+const CHECKOUT_CLAIM_WAIT_MS = 10 * 1000;
+const CHECKOUT_CLAIM_POLL_MS = 250;
+
+// Once the stay is over the guest link no longer opens the checkout
+const CLOSED_RESERVATION_STATUSES = ['checked_out', 'cancelled', 'no_show'];
+
+// Incidents that may still end up charged against the deposit
+const OPEN_INCIDENT_STATUSES = ['reported', 'under_review'];
+
+// A captured, released or refunded deposit never goes back (late or repeated Stripe events);
+// only refunds of the captured charge move it on (see StripeWebhookService)
+const FINAL_STATUSES = ['captured', 'released', 'refunded'];
+
+// Stripe PaymentIntent status → Reservation.depositStatus
+const INTENT_STATUSES = {
+    requires_capture: 'authorized',
+    succeeded: 'captured',
+    canceled: 'released'
+};
+
+const httpError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Deposit Service
+ * Security deposit lifecycle on a manual-capture PaymentIntent:
+ * pending (guest has not entered the card) → authorized (hold on the card)
+ * → captured (part or all charged for an Incident) or released (hold cancelled).
+ * Authorized deposits are released automatically DEPOSIT_AUTO_RELEASE_DAYS
+ * after checkout unless an incident is still open.
+ * Each PaymentIntent is mirrored in a `deposit` Payment row.
+ *
+ * Card holds lapse after DEPOSIT_HOLD_DAYS (7 for most cards). For longer
+ * stays the hold is renewed off-session with the guest's saved card
+ * DEPOSIT_REAUTH_LEAD_HOURS before it lapses; if the bank refuses, the host is
+ * alerted and the guest link asks the guest for a new authorization.
+ *
+ * Guests authorize the deposit from a signed, expiring link
+ * (<frontend>/deposit.html?token=<reservationId>.<expires>.<HMAC>) that is
+ * sent to them DEPOSIT_LINK_LEAD_HOURS before check-in.
+ */
+class DepositService {
+    constructor(prisma, stripeService, auditService, automationService, notificationService, options = {}) {
+        this.prisma = prisma;
+        this.stripeService = stripeService;
+        this.auditService = auditService;
+        this.automationService = automationService;
+        this.notificationService = notificationService;
+        this.autoReleaseDays = options.autoReleaseDays ?? (parseInt(process.env.DEPOSIT_AUTO_RELEASE_DAYS, 10) || 3);
+        this.holdDays = options.holdDays ?? (parseInt(process.env.DEPOSIT_HOLD_DAYS, 10) || 7);
+        this.reauthLeadHours = options.reauthLeadHours ?? (parseInt(process.env.DEPOSIT_REAUTH_LEAD_HOURS, 10) || 24);
+        this.linkLeadHours = options.linkLeadHours ?? (parseInt(process.env.DEPOSIT_LINK_LEAD_HOURS, 10) || 48);
+        this.linkTtlHours = options.linkTtlHours ?? (parseInt(process.env.DEPOSIT_LINK_TTL_HOURS, 10) || 72);
+        this.linkSecret = options.linkSecret || process.env.DEPOSIT_LINK_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+        this.publishableKey = process.env.STRIPE_PUBLISHABLE_KEY;
+        this.frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+    }
+
+    /**
+     * Deposit state of the reservation. A pending intent is refreshed from Stripe
+     * in case the guest has authorized it since.
+     */
+    async getDeposit(ownerId, reservationId) {
+        let reservation = await this.findReservation(ownerId, reservationId);
+
+        if (reservation.stripePaymentIntentId && reservation.depositStatus === 'pending') {
+            reservation = await this.syncFromStripe(reservation);
+        }
+
+        return this.toDeposit(reservation);
+    }
+
+    /**
+     * Create the manual-capture PaymentIntent the guest authorizes with their card
+     */
+    async createDeposit(ownerId, reservationId, { amount, currency } = {}) {
+        const reservation = await this.findReservation(ownerId, reservationId);
+
+        if (!['confirmed', 'checked_in'].includes(reservation.status)) {
+            throw httpError(409, 'Solo se puede pedir fianza para reservas confirmadas o en curso');
+        }
+        if (reservation.stripePaymentIntentId && ['authorized', 'captured', 'refunded'].includes(reservation.depositStatus) && !this.needsNewAuthorization(reservation)) {
+            throw httpError(409, 'Esta reserva ya tiene una fianza autorizada o cobrada');
+        }
+
+        const depositAmount = amount ?? reservation.depositAmount;
+        if (!depositAmount || depositAmount <= 0) {
+            throw httpError(400, 'Indica el importe de la fianza');
+        }
+        const depositCurrency = (currency || reservation.depositCurrency || reservation.property.currency).toUpperCase();
+
+        // A new request replaces one the guest never completed
+        if (reservation.stripePaymentIntentId && reservation.depositStatus === 'pending') {
+            await this.stripeService.releaseDeposit(reservation.stripePaymentIntentId);
+            await this.prisma.payment.updateMany({
+                where: { stripePaymentIntentId: reservation.stripePaymentIntentId, status: 'pending' },
+                data: { status: 'failed', description: 'Sustituida por una nueva solicitud de fianza' }
+            });
+        }
+
+        // A hold that could not be renewed is replaced by the one the guest authorizes now
+        const replacedHoldId = this.needsNewAuthorization(reservation) ? reservation.stripePaymentIntentId : null;
+
+        const result = await this.stripeService.createSecurityDeposit({
+            amount: depositAmount,
+            currency: depositCurrency,
+            reservationId: reservation.id,
+            guest: { email: reservation.guestEmail, name: reservation.guestName }
+        });
+        if (!result.success) {
+            throw httpError(502, `Stripe: ${result.error}`);
+        }
+
+        const [updated] = await this.prisma.$transaction([
+            this.prisma.reservation.update({
+                where: { id: reservation.id },
+                data: {
+                    stripePaymentIntentId: result.payment_intent_id,
+                    depositAmount,
+                    depositCurrency,
+                    depositStatus: 'pending',
+                    depositAuthorizedAt: null,
+                    depositReleasedAt: null,
+                    depositReauthFailedAt: null
+                },
+                include: { property: true }
+            }),
+            this.prisma.payment.create({
+                data: {
+                    reservationId: reservation.id,
+                    ownerId: reservation.property.ownerId,
+                    amount: depositAmount,
+                    currency: depositCurrency,
+                    type: 'deposit',
+                    status: 'pending',
+                    stripePaymentIntentId: result.payment_intent_id,
+                    stripeCustomerId: result.customer_id,
+                    description: 'Fianza (preautorización)'
+                }
+            }),
+            ...(replacedHoldId ? [this.prisma.payment.updateMany({
+                where: { stripePaymentIntentId: replacedHoldId, type: 'deposit' },
+                data: { status: 'released', metadata: { releaseReason: 'replaced', replacedBy: result.payment_intent_id } }
+            })] : [])
+        ]);
+
+        // Cancelled once the reservation points at the new intent, so its
+        // payment_intent.canceled webhook matches nothing
+        if (replacedHoldId) {
+            const released = await this.stripeService.releaseDeposit(replacedHoldId);
+            if (!released.success) {
+                console.warn(`⚠️ No se pudo cancelar la preautorización anterior ${replacedHoldId}:`, released.error);
+            }
+        }
+
+        return {
+            deposit: this.toDeposit(updated),
+            clientSecret: result.client_secret,
+            previous: {
+                depositAmount: reservation.depositAmount,
+                depositStatus: reservation.depositStatus,
+                stripePaymentIntentId: reservation.stripePaymentIntentId
+            }
+        };
+    }
+
+    /**
+     * Charge part (or all) of the deposit for an incident of the same reservation.
+     * Stripe releases whatever is not captured.
+     */
+    async captureDeposit(ownerId, reservationId, { incidentId, amount, actorId } = {}) {
+        let reservation = await this.findReservation(ownerId, reservationId);
+        if (reservation.stripePaymentIntentId && reservation.depositStatus === 'pending') {
+            reservation = await this.syncFromStripe(reservation);
+        }
+        if (reservation.depositStatus !== 'authorized') {
+            throw httpError(409, 'La fianza no está autorizada, no se puede cobrar');
+        }
+
+        const incident = await this.prisma.incident.findFirst({
+            where: { id: incidentId, reservationId: reservation.id }
+        });
+        if (!incident) {
+            throw httpError(404, 'Incidencia no encontrada en esta reserva');
+        }
+        if (!OPEN_INCIDENT_STATUSES.includes(incident.status)) {
+            throw httpError(409, `La incidencia está en estado "${incident.status}" y no se puede cobrar`);
+        }
+
+        const chargeAmount = amount ?? Math.min(incident.estimatedCost, reservation.depositAmount);
+        if (!(chargeAmount > 0) || chargeAmount > reservation.depositAmount) {
+            throw httpError(400, `El importe debe ser mayor que 0 y no superar la fianza (${reservation.depositAmount} ${reservation.depositCurrency})`);
+        }
+
+        const result = await this.stripeService.chargeDamages(
+            reservation.stripePaymentIntentId,
+            chargeAmount,
+            `${incident.title} (incidencia ${incident.id})`
+        );
+        if (!result.success) {
+            throw httpError(502, `Stripe: ${result.error}`);
+        }
+
+        const now = new Date();
+        const [updated, chargedIncident] = await this.prisma.$transaction([
+            this.prisma.reservation.update({
+                where: { id: reservation.id },
+                data: { depositStatus: 'captured' },
+                include: { property: true }
+            }),
+            this.prisma.incident.update({
+                where: { id: incident.id },
+                data: {
+                    status: 'charged',
+                    actionTaken: 'deposit_captured',
+                    chargedAmount: chargeAmount,
+                    chargedAt: now,
+                    stripeChargeId: result.charge_id,
+                    ...(actorId && { resolvedById: actorId })
+                }
+            }),
+            this.prisma.payment.updateMany({
+                where: { stripePaymentIntentId: reservation.stripePaymentIntentId, type: 'deposit' },
+                data: {
+                    status: 'captured',
+                    capturedAt: now,
+                    stripeChargeId: result.charge_id,
+                    metadata: { capturedAmount: chargeAmount, incidentId: incident.id }
+                }
+            })
+        ]);
+
+        return {
+            deposit: this.toDeposit(updated),
+            previous: { depositStatus: reservation.depositStatus },
+            incident: chargedIncident,
+            capturedAmount: chargeAmount
+        };
+    }
+
+    /**
+     * Cancel the hold on the guest's card
+     */
+    async releaseDeposit(ownerId, reservationId, { reason = 'manual' } = {}) {
+        const reservation = await this.findReservation(ownerId, reservationId);
+
+        if (!reservation.stripePaymentIntentId || !['pending', 'authorized'].includes(reservation.depositStatus)) {
+            throw httpError(409, 'No hay ninguna fianza pendiente o autorizada que liberar');
+        }
+
+        return this.release(reservation, reason);
+    }
+
+    /**
+     * Release without ownership checks (reservation cancellation, scheduler)
+     */
+    async release(reservation, reason) {
+        const result = await this.stripeService.releaseDeposit(reservation.stripePaymentIntentId);
+        if (!result.success) {
+            throw httpError(502, `Stripe: ${result.error}`);
+        }
+
+        const now = new Date();
+        const [updated] = await this.prisma.$transaction([
+            this.prisma.reservation.update({
+                where: { id: reservation.id },
+                data: { depositStatus: 'released', depositReleasedAt: now },
+                include: { property: true }
+            }),
+            this.prisma.payment.updateMany({
+                where: { stripePaymentIntentId: reservation.stripePaymentIntentId, type: 'deposit' },
+                data: { status: 'released', metadata: { releaseReason: reason } }
+            })
+        ]);
+
+        console.log(`✅ Fianza liberada (${reason}) para la reserva ${reservation.id}`);
+        return { deposit: this.toDeposit(updated), reason };
+    }
+
+    /**
+     * Release authorized deposits of stays that ended autoReleaseDays ago
+     * and have no open incident
+     */
+    async releaseDueDeposits(now = new Date()) {
+        const cutoff = new Date(now.getTime() - this.autoReleaseDays * DAY_MS);
+
+        const due = await this.prisma.reservation.findMany({
+            where: {
+                depositStatus: 'authorized',
+                stripePaymentIntentId: { not: null },
+                checkOut: { lte: cutoff },
+                incidents: { none: { status: { in: OPEN_INCIDENT_STATUSES } } }
+            },
+            include: { property: true }
+        });
+
+        const results = [];
+        for (const reservation of due) {
+            try {
+                await this.release(reservation, 'auto_release');
+                await this.auditService.record({
+                    ownerId: reservation.property.ownerId,
+                    action: 'deposit.release',
+                    entityType: 'reservation',
+                    entityId: reservation.id,
+                    propertyId: reservation.propertyId,
+                    before: { depositStatus: 'authorized' },
+                    after: { depositStatus: 'released' },
+                    metadata: { reason: 'auto_release', daysAfterCheckout: this.autoReleaseDays }
+                });
+                results.push({ reservationId: reservation.id, success: true });
+            } catch (error) {
+                console.error(`❌ Error liberando la fianza de la reserva ${reservation.id}:`, error.message);
+                results.push({ reservationId: reservation.id, success: false, error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Renew the holds that lapse within reauthLeadHours while the deposit is still needed:
+     * the stay (plus the auto-release window) goes on after the hold, or an incident is open
+     */
+    async reauthorizeExpiringDeposits(now = new Date()) {
+        const candidates = await this.prisma.reservation.findMany({
+            where: {
+                depositStatus: 'authorized',
+                stripePaymentIntentId: { not: null },
+                status: { in: ['confirmed', 'checked_in', 'checked_out'] },
+                depositAuthorizedAt: { lte: new Date(now.getTime() + this.reauthLeadHours * HOUR_MS - this.holdDays * DAY_MS) }
+            },
+            include: {
+                property: true,
+                incidents: { where: { status: { in: OPEN_INCIDENT_STATUSES } }, select: { id: true } }
+            }
+        });
+
+        const due = candidates.filter(reservation => {
+            const holdExpiresAt = this.getHoldExpiresAt(reservation).getTime();
+            const releaseAt = new Date(reservation.checkOut).getTime() + this.autoReleaseDays * DAY_MS;
+
+            return holdExpiresAt > now.getTime() &&
+                !this.needsNewAuthorization(reservation) &&
+                (releaseAt > holdExpiresAt || reservation.incidents.length > 0);
+        });
+
+        const results = [];
+        for (const reservation of due) {
+            try {
+                results.push({ reservationId: reservation.id, ...await this.reauthorize(reservation) });
+            } catch (error) {
+                console.error(`❌ Error re-autorizando la fianza de la reserva ${reservation.id}:`, error.message);
+                results.push({ reservationId: reservation.id, success: false, error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * New hold with the saved card first, then cancel the old one, so the
+     * reservation is never left without a hold
+     */
+    async reauthorize(reservation) {
+        const previousIntentId = reservation.stripePaymentIntentId;
+        const holdExpiresAt = this.getHoldExpiresAt(reservation);
+
+        const previous = await this.stripeService.retrievePaymentIntent(previousIntentId);
+        if (!previous.success) {
+            throw httpError(502, `Stripe: ${previous.error}`);
+        }
+
+        const { customer, payment_method: paymentMethod } = previous.paymentIntent;
+        const customerId = typeof customer === 'string' ? customer : customer?.id;
+        const paymentMethodId = typeof paymentMethod === 'string' ? paymentMethod : paymentMethod?.id;
+
+        const result = customerId && paymentMethodId
+            ? await this.stripeService.reauthorizeDeposit({
+                amount: reservation.depositAmount,
+                currency: reservation.depositCurrency,
+                customerId,
+                paymentMethodId,
+                reservationId: reservation.id,
+                previousPaymentIntentId: previousIntentId
+            })
+            : { success: false, error: 'No hay tarjeta guardada del huésped', code: 'no_saved_card' };
+
+        const ownerId = reservation.property.ownerId;
+        const now = new Date();
+
+        if (!result.success) {
+            await this.prisma.$transaction([
+                this.prisma.payment.create({
+                    data: {
+                        reservationId: reservation.id,
+                        ownerId,
+                        amount: reservation.depositAmount,
+                        currency: reservation.depositCurrency,
+                        type: 'deposit',
+                        status: 'failed',
+                        stripeCustomerId: customerId || null,
+                        description: 'Fianza (re-autorización)',
+                        metadata: { reauthorizationOf: previousIntentId, error: result.error, code: result.code || null }
+                    }
+                }),
+                this.prisma.reservation.update({
+                    where: { id: reservation.id },
+                    data: { depositReauthFailedAt: now }
+                })
+            ]);
+
+            await this.auditService.record({
+                ownerId,
+                action: 'deposit.reauthorize_failed',
+                entityType: 'reservation',
+                entityId: reservation.id,
+                propertyId: reservation.propertyId,
+                metadata: { paymentIntentId: previousIntentId, holdExpiresAt, error: result.error, code: result.code || null }
+            });
+
+            await this.notificationService.sendDepositReauthorizationFailed(ownerId, reservation, holdExpiresAt, result.error)
+                .catch(error => console.error('❌ Error notifying deposit re-authorization failure:', error.message));
+
+            return { success: false, error: result.error };
+        }
+
+        // The reservation points at the new intent before the old one is cancelled,
+        // so the payment_intent.canceled webhook of the old one matches nothing
+        await this.prisma.$transaction([
+            this.prisma.reservation.update({
+                where: { id: reservation.id },
+                data: {
+                    stripePaymentIntentId: result.payment_intent_id,
+                    depositAuthorizedAt: now,
+                    depositReauthFailedAt: null
+                }
+            }),
+            this.prisma.payment.create({
+                data: {
+                    reservationId: reservation.id,
+                    ownerId,
+                    amount: reservation.depositAmount,
+                    currency: reservation.depositCurrency,
+                    type: 'deposit',
+                    status: 'authorized',
+                    authorizedAt: now,
+                    stripePaymentIntentId: result.payment_intent_id,
+                    stripeCustomerId: customerId,
+                    description: 'Fianza (re-autorización)',
+                    metadata: { reauthorizationOf: previousIntentId }
+                }
+            }),
+            this.prisma.payment.updateMany({
+                where: { stripePaymentIntentId: previousIntentId, type: 'deposit' },
+                data: { status: 'released', metadata: { releaseReason: 'reauthorized', replacedBy: result.payment_intent_id } }
+            })
+        ]);
+
+        const released = await this.stripeService.releaseDeposit(previousIntentId);
+        if (!released.success) {
+            // It lapses on its own; the guest only sees a second hold for a few hours
+            console.warn(`⚠️ No se pudo cancelar la preautorización anterior ${previousIntentId}:`, released.error);
+        }
+
+        await this.auditService.record({
+            ownerId,
+            action: 'deposit.reauthorize',
+            entityType: 'reservation',
+            entityId: reservation.id,
+            propertyId: reservation.propertyId,
+            before: { stripePaymentIntentId: previousIntentId },
+            after: { stripePaymentIntentId: result.payment_intent_id },
+            metadata: { previousHoldExpiresAt: holdExpiresAt }
+        });
+
+        console.log(`✅ Fianza re-autorizada para la reserva ${reservation.id}`);
+        return { success: true, paymentIntentId: result.payment_intent_id };
+    }
+
+    getHoldExpiresAt(reservation) {
+        return new Date(new Date(reservation.depositAuthorizedAt).getTime() + this.holdDays * DAY_MS);
+    }
+
+    // The current hold could not be renewed: the guest has to authorize again
+    needsNewAuthorization(reservation) {
+        return reservation.depositStatus === 'authorized' &&
+            Boolean(reservation.depositReauthFailedAt) &&
+            new Date(reservation.depositReauthFailedAt) >= new Date(reservation.depositAuthorizedAt);
+    }
+
+    /**
+     * Signed link for the guest to authorize the deposit. Valid for linkTtlHours,
+     * never past checkout.
+     */
+    createGuestLink(reservation, now = new Date()) {
+        const expiresAt = Math.min(now.getTime() + this.linkTtlHours * HOUR_MS, new Date(reservation.checkOut).getTime());
+        if (expiresAt <= now.getTime()) {
+            throw httpError(409, 'La estancia ya ha terminado, no se puede pedir la fianza');
+        }
+
+        const expires = Math.floor(expiresAt / 1000);
+        const token = `${reservation.id}.${expires}.${this.signGuestToken(reservation.id, expires)}`;
+
+        return {
+            url: `${this.frontendUrl}/deposit.html?token=${token}`,
+            expiresAt: new Date(expires * 1000)
+        };
+    }
+
+    /**
+     * Send the guest link by WhatsApp/email through the automation messaging
+     */
+    async sendGuestLink(reservation) {
+        const link = this.createGuestLink(reservation);
+
+        const result = await this.automationService.sendDepositLink(reservation, link);
+        if (!result.success) {
+            throw httpError(502, `No se pudo enviar el enlace al huésped: ${result.error}`);
+        }
+
+        await this.prisma.reservation.update({
+            where: { id: reservation.id },
+            data: { depositLinkSentAt: new Date() }
+        });
+
+        return link;
+    }
+
+    /**
+     * Send the link to guests arriving within linkLeadHours who have not received it yet
+     */
+    async sendDueGuestLinks(now = new Date()) {
+        const due = await this.prisma.reservation.findMany({
+            where: {
+                status: 'confirmed',
+                depositAmount: { gt: 0 },
+                depositStatus: 'pending',
+                depositLinkSentAt: null,
+                checkIn: { lte: new Date(now.getTime() + this.linkLeadHours * HOUR_MS) },
+                checkOut: { gt: now }
+            },
+            include: { property: true }
+        });
+
+        const results = [];
+        for (const reservation of due) {
+            try {
+                const link = await this.sendGuestLink(reservation);
+                await this.auditService.record({
+                    ownerId: reservation.property.ownerId,
+                    action: 'deposit.link_sent',
+                    entityType: 'reservation',
+                    entityId: reservation.id,
+                    propertyId: reservation.propertyId,
+                    metadata: { trigger: 'before_checkin', expiresAt: link.expiresAt }
+                });
+                results.push({ reservationId: reservation.id, success: true });
+            } catch (error) {
+                console.error(`❌ Error enviando el enlace de fianza de la reserva ${reservation.id}:`, error.message);
+                results.push({ reservationId: reservation.id, success: false, error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * What the guest checkout page needs. The PaymentIntent is created on the
+     * first visit if the host has not requested the deposit yet, or when the
+     * hold could not be renewed automatically.
+     */
+    async getGuestCheckout(token) {
+        let reservation = await this.findGuestReservation(token);
+        let clientSecret = null;
+
+        if ((!reservation.stripePaymentIntentId || this.needsNewAuthorization(reservation)) && !await this.claimCheckout(reservation)) {
+            // Another visit (e.g. a second tab) is creating the intent: show the one it creates
+            reservation = await this.waitForCheckout(token, reservation.stripePaymentIntentId);
+        }
+
+        if (!reservation.stripePaymentIntentId || this.needsNewAuthorization(reservation)) {
+            const created = await this.createDeposit(reservation.property.ownerId, reservation.id)
+                .finally(() => this.prisma.reservation.update({
+                    where: { id: reservation.id },
+                    data: { depositCheckoutClaimedAt: null }
+                }));
+            await this.auditService.record({
+                ownerId: reservation.property.ownerId,
+                action: 'deposit.create',
+                entityType: 'reservation',
+                entityId: reservation.id,
+                propertyId: reservation.propertyId,
+                before: created.previous,
+                after: {
+                    depositAmount: created.deposit.amount,
+                    depositStatus: created.deposit.status,
+                    stripePaymentIntentId: created.deposit.paymentIntentId
+                },
+                metadata: { trigger: 'guest_link' }
+            });
+
+            reservation = await this.findGuestReservation(token);
+            clientSecret = created.clientSecret;
+        } else if (reservation.depositStatus === 'pending') {
+            const result = await this.stripeService.retrievePaymentIntent(reservation.stripePaymentIntentId);
+            if (!result.success) {
+                throw httpError(502, `Stripe: ${result.error}`);
+            }
+
+            reservation = await this.applyIntentStatus(reservation, result.paymentIntent);
+            if (reservation.depositStatus === 'pending') {
+                clientSecret = result.paymentIntent.client_secret;
+            }
+        }
+
+        return {
+            ...this.toGuestCheckout(reservation),
+            clientSecret,
+            publishableKey: this.publishableKey
+        };
+    }
+
+    /**
+     * Take the right to create the reservation's PaymentIntent, only while it still
+     * points at the intent we read. A stale claim (crashed request) can be taken over.
+     */
+    async claimCheckout(reservation, now = new Date()) {
+        const { count } = await this.prisma.reservation.updateMany({
+            where: {
+                id: reservation.id,
+                stripePaymentIntentId: reservation.stripePaymentIntentId,
+                OR: [
+                    { depositCheckoutClaimedAt: null },
+                    { depositCheckoutClaimedAt: { lt: new Date(now.getTime() - CHECKOUT_CLAIM_MS) } }
+                ]
+            },
+            data: { depositCheckoutClaimedAt: now }
+        });
+
+        return count > 0;
+    }
+
+    async waitForCheckout(token, claimedIntentId) {
+        const deadline = Date.now() + CHECKOUT_CLAIM_WAIT_MS;
+
+        while (Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, CHECKOUT_CLAIM_POLL_MS));
+
+            const reservation = await this.findGuestReservation(token);
+            if (reservation.stripePaymentIntentId !== claimedIntentId) {
+                return reservation;
+            }
+            // The other visit failed; the next reload claims it again
+            if (!reservation.depositCheckoutClaimedAt) break;
+        }
+
+        throw httpError(409, 'La fianza se está preparando, recarga la página en unos segundos');
+    }
+
+    /**
+     * Called by the page once Stripe.js confirmed the card, without waiting for the webhook
+     */
+    async confirmGuestCheckout(token) {
+        let reservation = await this.findGuestReservation(token);
+
+        if (reservation.stripePaymentIntentId && reservation.depositStatus === 'pending') {
+            reservation = await this.syncFromStripe(reservation);
+        }
+
+        return this.toGuestCheckout(reservation);
+    }
+
+    signGuestToken(reservationId, expires) {
+        return crypto.createHmac('sha256', this.linkSecret)
+            .update(`deposit:${reservationId}:${expires}`)
+            .digest('base64url');
+    }
+
+    async findGuestReservation(token) {
+        const [reservationId, expires, signature, ...rest] = String(token || '').split('.');
+        const expected = Buffer.from(reservationId && expires ? this.signGuestToken(reservationId, expires) : '');
+        const received = Buffer.from(signature || '');
+
+        if (rest.length > 0 || expected.length === 0 || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            throw httpError(403, 'Enlace de fianza no válido');
+        }
+        if (Number(expires) * 1000 < Date.now()) {
+            throw httpError(410, 'El enlace de fianza ha caducado, pide uno nuevo al anfitrión');
+        }
+
+        const reservation = await this.prisma.reservation.findUnique({
+            where: { id: reservationId },
+            include: { property: true }
+        });
+        if (!reservation || CLOSED_RESERVATION_STATUSES.includes(reservation.status)) {
+            throw httpError(410, 'Esta reserva ya no admite fianza');
+        }
+
+        return reservation;
+    }
+
+    // Only what the guest needs to see
+    toGuestCheckout(reservation) {
+        return {
+            reservation: {
+                guestName: reservation.guestName,
+                propertyName: reservation.property.name,
+                city: reservation.property.city,
+                checkIn: reservation.checkIn,
+                checkOut: reservation.checkOut
+            },
+            deposit: {
+                amount: reservation.depositAmount,
+                currency: reservation.depositCurrency || reservation.property.currency,
+                status: reservation.stripePaymentIntentId ? reservation.depositStatus : 'not_requested',
+                autoReleaseDays: this.autoReleaseDays
+            }
+        };
+    }
+
+    /**
+     * Bring depositStatus in line with the PaymentIntent in Stripe
+     */
+    async syncFromStripe(reservation) {
+        const result = await this.stripeService.retrievePaymentIntent(reservation.stripePaymentIntentId);
+        if (!result.success) {
+            throw httpError(502, `Stripe: ${result.error}`);
+        }
+
+        return this.applyIntentStatus(reservation, result.paymentIntent);
+    }
+
+    /**
+     * Apply a PaymentIntent status (from Stripe or a webhook event) to its reservation
+     */
+    async applyIntentStatus(reservation, paymentIntent) {
+        const depositStatus = INTENT_STATUSES[paymentIntent.status];
+        if (!depositStatus || depositStatus === reservation.depositStatus || FINAL_STATUSES.includes(reservation.depositStatus)) {
+            return reservation;
+        }
+
+        const now = new Date();
+        const [updated] = await this.prisma.$transaction([
+            this.prisma.reservation.update({
+                where: { id: reservation.id },
+                data: {
+                    depositStatus,
+                    ...(depositStatus === 'authorized' && { depositAuthorizedAt: now }),
+                    ...(depositStatus === 'released' && { depositReleasedAt: now })
+                },
+                include: { property: true }
+            }),
+            this.prisma.payment.updateMany({
+                where: { stripePaymentIntentId: paymentIntent.id, type: 'deposit' },
+                data: {
+                    status: depositStatus,
+                    ...(depositStatus === 'authorized' && { authorizedAt: now }),
+                    ...(depositStatus === 'captured' && { capturedAt: now })
+                }
+            })
+        ]);
+
+        return updated;
+    }
+
+    async findReservation(ownerId, reservationId) {
+        const reservation = await this.prisma.reservation.findFirst({
+            where: { id: reservationId, property: { ownerId } },
+            include: { property: true }
+        });
+
+        if (!reservation) {
+            throw httpError(404, 'Reserva no encontrada');
+        }
+
+        return reservation;
+    }
+
+    toDeposit(reservation) {
+        const autoReleaseAt = reservation.depositStatus === 'authorized'
+            ? new Date(new Date(reservation.checkOut).getTime() + this.autoReleaseDays * DAY_MS)
+            : null;
+
+        return {
+            reservationId: reservation.id,
+            paymentIntentId: reservation.stripePaymentIntentId,
+            amount: reservation.depositAmount,
+            currency: reservation.depositCurrency,
+            status: reservation.stripePaymentIntentId ? reservation.depositStatus : 'not_requested',
+            authorizedAt: reservation.depositAuthorizedAt,
+            holdExpiresAt: reservation.depositStatus === 'authorized' && reservation.depositAuthorizedAt
+                ? this.getHoldExpiresAt(reservation)
+                : null,
+            reauthorizationFailed: this.needsNewAuthorization(reservation),
+            releasedAt: reservation.depositReleasedAt,
+            refundedAmount: reservation.depositRefundedAmount ?? null,
+            refundedAt: reservation.depositRefundedAt ?? null,
+            autoReleaseAt
+        };
+    }
+}
+
+module.exports = DepositService;
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const DEFAULT_JWKS_URI = 'https://www.googleapis.com/oauth2/v3/certs';
+const DEFAULT_JWKS_TTL_MS = 60 * 60 * 1000;
+// Unknown key ids trigger a refetch, but not more often than this
+const MIN_REFETCH_INTERVAL_MS = 60 * 1000;
+
+const httpError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Google Sign-In Service
+ * Verifies Google ID tokens against Google's JWKS (GOOGLE_JWKS_URI can point
+ * to a local stand-in for testing) and finds, links or creates the user.
+ */
+class GoogleAuthService {
+    constructor(prisma, stripeService, sessionService, options = {}) {
+        this.prisma = prisma;
+        this.stripeService = stripeService;
+        this.sessionService = sessionService;
+        this.clientIds = (options.clientIds || process.env.GOOGLE_CLIENT_ID || '')
+            .split(',')
+            .map(id => id.trim())
+            .filter(Boolean);
+        this.jwksUri = options.jwksUri || process.env.GOOGLE_JWKS_URI || DEFAULT_JWKS_URI;
+        this.keys = new Map();
+        this.keysExpireAt = 0;
+        this.lastFetchAt = 0;
+    }
+
+    /**
+     * Sign in with an ID token. Returns { user, created, linked }.
+     */
+    async signIn(idToken) {
+        const profile = await this.verifyIdToken(idToken);
+
+        let user = await this.prisma.user.findUnique({ where: { googleId: profile.sub } });
+        if (user) {
+            return { user, created: false, linked: false };
+        }
+
+        // Google verified the address, so an existing account with that email is the same person
+        const email = profile.email.toLowerCase();
+        user = await this.prisma.user.findUnique({ where: { email } });
+        if (user) {
+            if (user.googleId) {
+                throw httpError(409, 'Esta cuenta ya está vinculada a otra cuenta de Google');
+            }
+
+            user = user.emailVerified
+                ? await this.prisma.user.update({
+                    where: { id: user.id },
+                    data: { googleId: profile.sub, avatar: user.avatar || profile.picture || null }
+                })
+                : await this.takeOverUnverifiedAccount(user, profile);
+            console.log(`🔗 Google account linked to user ${user.id}`);
+            return { user, created: false, linked: true };
+        }
+
+        const name = profile.name || email.split('@')[0];
+
+        // Create Stripe customer, as in email registration
+        let stripeCustomerId = null;
+        try {
+            const customer = await this.stripeService.createCustomer({ email, name, phone: '', metadata: {} });
+            stripeCustomerId = customer.id;
+        } catch (stripeError) {
+            console.warn('Warning: Could not create Stripe customer:', stripeError);
+        }
+
+        user = await this.prisma.user.create({
+            data: {
+                email,
+                // Random password nobody knows; the user can set one with the reset flow
+                password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12),
+                name,
+                phone: '',
+                provider: 'google',
+                googleId: profile.sub,
+                avatar: profile.picture || null,
+                language: ['es', 'en', 'fr'].includes(profile.locale) ? profile.locale : 'es',
+                stripeCustomerId,
+                plan: 'basic',
+                subscriptionStatus: 'active',
+                emailVerified: true,
+                emailVerifiedAt: new Date()
+            }
+        });
+        console.log(`✅ New Google user created: ${user.id}`);
+
+        return { user, created: true, linked: false };
+    }
+
+    /**
+     * Link an account whose email was never verified. Whoever registered it may not
+     * own the address, so everything they set up to get in (password, 2FA, sessions,
+     * pending reset links) is discarded; the owner can set a password with the reset flow.
+     */
+    async takeOverUnverifiedAccount(user, profile) {
+        const linked = await this.prisma.user.update({
+            where: { id: user.id },
+            data: {
+                googleId: profile.sub,
+                avatar: user.avatar || profile.picture || null,
+                password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12),
+                emailVerified: true,
+                emailVerifiedAt: new Date(),
+                twoFactorEnabled: false,
+                twoFactorEnabledAt: null,
+                twoFactorSecret: null,
+                twoFactorLastStep: null,
+                twoFactorRecoveryCodes: []
+            }
+        });
+
+        await this.prisma.authToken.deleteMany({ where: { userId: user.id } });
+        await this.sessionService.revokeAllSessions(user.id, 'google_link');
+
+        return linked;
+    }
+
+    /**
+     * Verify signature, issuer, audience and expiry of a Google ID token
+     */
+    async verifyIdToken(idToken) {
+        if (this.clientIds.length === 0) {
+            throw httpError(503, 'El inicio de sesión con Google no está configurado');
+        }
+
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded || !decoded.header || !decoded.header.kid) {
+            throw httpError(401, 'Token de Google inválido');
+        }
+
+        const key = await this.getSigningKey(decoded.header.kid);
+        if (!key) {
+            throw httpError(401, 'Token de Google inválido');
+        }
+
+        let payload;
+        try {
+            payload = jwt.verify(idToken, key, {
+                algorithms: ['RS256'],
+                audience: this.clientIds,
+                issuer: GOOGLE_ISSUERS
+            });
+        } catch (error) {
+            throw httpError(401, error.name === 'TokenExpiredError'
+                ? 'El token de Google ha caducado'
+                : 'Token de Google inválido');
+        }
+
+        if (!payload.sub || !payload.email || payload.email_verified !== true) {
+            throw httpError(401, 'La cuenta de Google no tiene un email verificado');
+        }
+
+        return payload;
+    }
+
+    async getSigningKey(kid) {
+        const now = Date.now();
+        const stale = now >= this.keysExpireAt;
+        const unknownKid = !this.keys.has(kid) && now - this.lastFetchAt >= MIN_REFETCH_INTERVAL_MS;
+
+        if (stale || unknownKid) {
+            await this.fetchKeys();
+        }
+
+        return this.keys.get(kid) || null;
+    }
+
+    async fetchKeys() {
+        this.lastFetchAt = Date.now();
+
+        const response = await axios.get(this.jwksUri, { timeout: 5000 });
+        const keys = new Map();
+        for (const jwk of response.data.keys || []) {
+            if (jwk.kty === 'RSA' && jwk.kid) {
+                keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+            }
+        }
+
+        // Honour Cache-Control: max-age like Google's client libraries
+        const maxAge = /max-age=(\d+)/.exec(response.headers['cache-control'] || '');
+        this.keys = keys;
+        this.keysExpireAt = Date.now() + (maxAge ? parseInt(maxAge[1], 10) * 1000 : DEFAULT_JWKS_TTL_MS);
+    }
+}
+
+module.exports = GoogleAuthService;
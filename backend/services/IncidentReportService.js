@@ -0,0 +1,724 @@
+const zlib = require('zlib');
+const UserService = require('./UserService');
+
+// ====================================
+// Minimal PDF writer: A4 pages, Helvetica (WinAnsi) text, lines, JPEG/PNG images
+// ====================================
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 50;
+const FOOTER_HEIGHT = 30;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126; bold text is measured 10% wider
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// Characters of WinAnsiEncoding outside Latin-1
+const WIN_ANSI_EXTRA = {
+    '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+    '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const MAX_IMAGE_PIXELS = 25 * 1000 * 1000;
+
+// Unsupported characters (emoji, other scripts) are printed as '?'
+const toWinAnsi = (text) => Array.from(String(text), char => {
+    if (WIN_ANSI_EXTRA[char]) return WIN_ANSI_EXTRA[char];
+    // Intl uses narrow no-break spaces in some locales
+    if (char === '\u202f' || char === '\t') return 0x20;
+    const code = char.codePointAt(0);
+    return (code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code < 0x100) ? code : 0x3f;
+});
+
+const pdfString = (text) => '(' + toWinAnsi(text).map(code => {
+    if (code === 0x28 || code === 0x29 || code === 0x5c) return '\\' + String.fromCharCode(code);
+    if (code < 0x20 || code > 0x7e) return '\\' + code.toString(8).padStart(3, '0');
+    return String.fromCharCode(code);
+}).join('') + ')';
+
+const charWidth = (code) => {
+    if (code >= 32 && code <= 126) return HELVETICA_WIDTHS[code - 32];
+    // Accented letters take the width of their base letter
+    const base = String.fromCharCode(code).normalize('NFD')[0].charCodeAt(0);
+    return base >= 32 && base <= 126 ? HELVETICA_WIDTHS[base - 32] : 556;
+};
+
+const textWidth = (text, size, bold = false) =>
+    toWinAnsi(text).reduce((sum, code) => sum + charWidth(code), 0) * size / 1000 * (bold ? 1.1 : 1);
+
+const parseJpeg = (buffer) => {
+    if (buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+        const marker = buffer[offset + 1];
+        if (marker === 0xff) {
+            offset += 1;
+            continue;
+        }
+        if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+            offset += 2;
+            continue;
+        }
+        // Start of frame (any SOFn except DHT/JPG/DAC)
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            const components = buffer[offset + 9];
+            return {
+                width: buffer.readUInt16BE(offset + 7),
+                height: buffer.readUInt16BE(offset + 5),
+                colorSpace: { 1: '/DeviceGray', 3: '/DeviceRGB', 4: '/DeviceCMYK' }[components],
+                // Photoshop/Adobe CMYK JPEGs are stored inverted
+                decode: components === 4 ? '/Decode [1 0 1 0 1 0 1 0]' : '',
+                filter: '/DCTDecode',
+                data: buffer
+            };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+};
+
+const unfilterPng = (raw, width, height, bytesPerPixel) => {
+    const stride = width * bytesPerPixel;
+    const pixels = Buffer.alloc(stride * height);
+
+    for (let y = 0, position = 0; y < height; y++) {
+        const filter = raw[position++];
+        const row = y * stride;
+        const previous = row - stride;
+
+        for (let i = 0; i < stride; i++) {
+            const left = i >= bytesPerPixel ? pixels[row + i - bytesPerPixel] : 0;
+            const up = y > 0 ? pixels[previous + i] : 0;
+            const upLeft = y > 0 && i >= bytesPerPixel ? pixels[previous + i - bytesPerPixel] : 0;
+            let predictor = 0;
+
+            if (filter === 1) predictor = left;
+            else if (filter === 2) predictor = up;
+            else if (filter === 3) predictor = (left + up) >> 1;
+            else if (filter === 4) {
+                const estimate = left + up - upLeft;
+                const [distLeft, distUp, distUpLeft] = [left, up, upLeft].map(value => Math.abs(estimate - value));
+                predictor = distLeft <= distUp && distLeft <= distUpLeft ? left : distUp <= distUpLeft ? up : upLeft;
+            }
+
+            pixels[row + i] = (raw[position++] + predictor) & 0xff;
+        }
+    }
+
+    return pixels;
+};
+
+const parsePng = (buffer) => {
+    if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return null;
+
+    let header = null;
+    let palette = null;
+    const chunks = [];
+
+    for (let offset = 8; offset + 8 <= buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+
+        if (type === 'IHDR') {
+            header = { width: data.readUInt32BE(0), height: data.readUInt32BE(4), bitDepth: data[8], colorType: data[9], interlace: data[12] };
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'IDAT') {
+            chunks.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset += 12 + length;
+    }
+
+    // 16-bit and interlaced PNGs are rare for phone photos: they are listed by URL instead
+    if (!header || header.bitDepth !== 8 || header.interlace !== 0 || header.width * header.height > MAX_IMAGE_PIXELS) {
+        return null;
+    }
+
+    const { width, height, colorType } = header;
+    const data = Buffer.concat(chunks);
+
+    // Without alpha the PNG stream is valid PDF Flate data with the PNG predictors
+    if (colorType === 0 || colorType === 2 || (colorType === 3 && palette)) {
+        const colors = colorType === 2 ? 3 : 1;
+        return {
+            width,
+            height,
+            colorSpace: colorType === 3
+                ? `[/Indexed /DeviceRGB ${palette.length / 3 - 1} <${palette.toString('hex')}>]`
+                : colors === 3 ? '/DeviceRGB' : '/DeviceGray',
+            filter: '/FlateDecode',
+            decodeParms: `<< /Predictor 15 /Colors ${colors} /BitsPerComponent 8 /Columns ${width} >>`,
+            data
+        };
+    }
+
+    // With alpha: flatten onto a white background
+    if (colorType === 4 || colorType === 6) {
+        const channels = colorType === 6 ? 4 : 2;
+        const colors = channels - 1;
+        const pixels = unfilterPng(zlib.inflateSync(data), width, height, channels);
+        const flattened = Buffer.alloc(width * height * colors);
+
+        for (let pixel = 0; pixel < width * height; pixel++) {
+            const alpha = pixels[pixel * channels + colors] / 255;
+            for (let c = 0; c < colors; c++) {
+                flattened[pixel * colors + c] = Math.round(pixels[pixel * channels + c] * alpha + 255 * (1 - alpha));
+            }
+        }
+
+        return {
+            width,
+            height,
+            colorSpace: colors === 3 ? '/DeviceRGB' : '/DeviceGray',
+            filter: '/FlateDecode',
+            data: zlib.deflateSync(flattened)
+        };
+    }
+
+    return null;
+};
+
+class PdfWriter {
+    constructor({ title }) {
+        this.title = title;
+        this.pages = [];
+        this.images = [];
+        this.addPage();
+    }
+
+    addPage() {
+        this.page = { operations: [], images: [] };
+        this.pages.push(this.page);
+        this.y = PAGE_HEIGHT - MARGIN;
+    }
+
+    // Start a new page unless `height` points still fit above the footer
+    ensureSpace(height) {
+        if (this.y - height < MARGIN + FOOTER_HEIGHT) {
+            this.addPage();
+        }
+    }
+
+    moveDown(points) {
+        this.y -= points;
+    }
+
+    drawText(text, x, y, { size = 10, bold = false, color = '0.1 0.1 0.1' } = {}) {
+        this.page.operations.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${color} rg 1 0 0 1 ${x.toFixed(2)} ${y.toFixed(2)} Tm ${pdfString(text)} Tj ET`);
+    }
+
+    drawLine(x1, y1, x2, y2, color = '0.8 0.8 0.8') {
+        this.page.operations.push(`${color} RG 0.5 w ${x1.toFixed(2)} ${y1.toFixed(2)} m ${x2.toFixed(2)} ${y2.toFixed(2)} l S`);
+    }
+
+    wrap(text, width, size, bold = false) {
+        const lines = [];
+
+        for (const paragraph of String(text).split(/\r?\n/)) {
+            let line = '';
+            for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+                const candidate = line ? `${line} ${word}` : word;
+                if (textWidth(candidate, size, bold) <= width) {
+                    line = candidate;
+                    continue;
+                }
+                if (line) lines.push(line);
+
+                // Words longer than the line (URLs, ids) are cut
+                line = word;
+                while (textWidth(line, size, bold) > width) {
+                    let cut = line.length - 1;
+                    while (cut > 1 && textWidth(line.slice(0, cut), size, bold) > width) cut--;
+                    lines.push(line.slice(0, cut));
+                    line = line.slice(cut);
+                }
+            }
+            lines.push(line);
+        }
+
+        return lines;
+    }
+
+    /**
+     * Wrapped text at the cursor; returns nothing, moves the cursor
+     */
+    paragraph(text, { x = MARGIN, width = CONTENT_WIDTH, size = 10, bold = false, color, gap = 4 } = {}) {
+        const lineHeight = size * 1.4;
+        for (const line of this.wrap(text, width, size, bold)) {
+            this.ensureSpace(lineHeight);
+            this.moveDown(lineHeight);
+            this.drawText(line, x, this.y + lineHeight - size, { size, bold, color });
+        }
+        this.moveDown(gap);
+    }
+
+    heading(text) {
+        this.ensureSpace(50);
+        this.moveDown(14);
+        this.paragraph(text, { size: 13, bold: true, gap: 2 });
+        this.drawLine(MARGIN, this.y, PAGE_WIDTH - MARGIN, this.y);
+        this.moveDown(6);
+    }
+
+    /**
+     * Two-column rows: [label, value]; rows without a value are skipped
+     */
+    table(rows, { labelWidth = 150, size = 10 } = {}) {
+        const lineHeight = size * 1.4;
+
+        for (const [label, value] of rows) {
+            if (value === null || value === undefined || value === '') continue;
+
+            const lines = this.wrap(value, CONTENT_WIDTH - labelWidth, size);
+            lines.forEach((line, index) => {
+                this.ensureSpace(lineHeight);
+                this.moveDown(lineHeight);
+                const baseline = this.y + lineHeight - size;
+                if (index === 0) this.drawText(label, MARGIN, baseline, { size, bold: true, color: '0.35 0.35 0.35' });
+                this.drawText(line, MARGIN + labelWidth, baseline, { size });
+            });
+            this.moveDown(2);
+        }
+    }
+
+    /**
+     * Embed a JPEG or PNG scaled to fit; returns false for unsupported data
+     */
+    image(buffer, { maxWidth = CONTENT_WIDTH, maxHeight = 320 } = {}) {
+        const image = parseJpeg(buffer) || parsePng(buffer);
+        if (!image || !image.colorSpace || !image.width || !image.height) {
+            return false;
+        }
+
+        const scale = Math.min(maxWidth / image.width, maxHeight / image.height, 1);
+        const width = image.width * scale;
+        const height = image.height * scale;
+
+        this.ensureSpace(height + 6);
+        this.moveDown(height + 6);
+
+        const name = `Im${this.images.length + 1}`;
+        this.images.push({ name, ...image });
+        this.page.images.push(name);
+        this.page.operations.push(`q ${width.toFixed(2)} 0 0 ${height.toFixed(2)} ${MARGIN.toFixed(2)} ${this.y.toFixed(2)} cm /${name} Do Q`);
+
+        return true;
+    }
+
+    /**
+     * Serialize the document; `footer(pageNumber, pageCount)` is written on every page
+     */
+    toBuffer(footer) {
+        this.pages.forEach((page, index) => {
+            const text = footer(index + 1, this.pages.length);
+            page.operations.push(`BT /F1 8 Tf 0.5 0.5 0.5 rg 1 0 0 1 ${MARGIN} ${MARGIN - 20} Tm ${pdfString(text)} Tj ET`);
+        });
+
+        const objects = [];
+        const addObject = (body, stream = null) => {
+            objects.push({ body, stream });
+            return objects.length;
+        };
+
+        const catalogId = addObject(null);
+        const pagesId = addObject(null);
+        const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+        const imageIds = {};
+        for (const image of this.images) {
+            imageIds[image.name] = addObject(
+                `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace ${image.colorSpace}` +
+                ` /BitsPerComponent 8 /Filter ${image.filter}${image.decodeParms ? ` /DecodeParms ${image.decodeParms}` : ''}` +
+                `${image.decode ? ` ${image.decode}` : ''} /Length ${image.data.length} >>`,
+                image.data
+            );
+        }
+
+        const pageIds = this.pages.map(page => {
+            const content = zlib.deflateSync(Buffer.from(page.operations.join('\n'), 'latin1'));
+            const contentId = addObject(`<< /Filter /FlateDecode /Length ${content.length} >>`, content);
+            const xObjects = page.images.map(name => `/${name} ${imageIds[name]} 0 R`).join(' ');
+
+            return addObject(
+                `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Contents ${contentId} 0 R` +
+                ` /Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> >>`
+            );
+        });
+
+        objects[catalogId - 1].body = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1].body = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        const now = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+        const infoId = addObject(`<< /Title ${pdfString(this.title)} /Producer (AirHost AI) /CreationDate (D:${now}Z) >>`);
+
+        const parts = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+        const offsets = [];
+        let length = parts[0].length;
+
+        objects.forEach((object, index) => {
+            const chunks = [Buffer.from(`${index + 1} 0 obj\n${object.body}\n`, 'latin1')];
+            if (object.stream) {
+                chunks.push(Buffer.from('stream\n', 'latin1'), object.stream, Buffer.from('\nendstream\n', 'latin1'));
+            }
+            chunks.push(Buffer.from('endobj\n', 'latin1'));
+
+            offsets.push(length);
+            for (const chunk of chunks) {
+                parts.push(chunk);
+                length += chunk.length;
+            }
+        });
+
+        const xref = [
+            'xref',
+            `0 ${objects.length + 1}`,
+            '0000000000 65535 f ',
+            ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+            'trailer',
+            `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+            'startxref',
+            String(length),
+            '%%EOF'
+        ].join('\n');
+        parts.push(Buffer.from(xref + '\n', 'latin1'));
+
+        return Buffer.concat(parts);
+    }
+}
+
+// ====================================
+// Incident report
+// ====================================
+
+const TYPE_LABELS = {
+    damage: 'Daños',
+    missing_items: 'Objetos desaparecidos',
+    cleanliness: 'Limpieza',
+    noise: 'Ruido',
+    other: 'Otro'
+};
+
+const STATUS_LABELS = {
+    reported: 'Reportada',
+    under_review: 'En revisión',
+    charged: 'Cobrada de la fianza',
+    resolved: 'Resuelta',
+    dismissed: 'Descartada'
+};
+
+// Audit actions shown in the timeline, with their description
+const TIMELINE_ACTIONS = {
+    'incident.report': 'Incidencia reportada',
+    'incident.update': 'Incidencia modificada',
+    'incident.review': 'Incidencia en revisión',
+    'incident.charge': 'Daños cobrados de la fianza',
+    'incident.resolve': 'Incidencia resuelta',
+    'incident.dismiss': 'Incidencia descartada',
+    'incident.dispute_evidence': 'Informe enviado como prueba en la disputa',
+    'reservation.checked_in': 'Check-in registrado',
+    'reservation.checked_out': 'Check-out registrado',
+    'deposit.create': 'Fianza solicitada al huésped',
+    'deposit.link_sent': 'Enlace de fianza enviado al huésped',
+    'deposit.reauthorize': 'Retención de la fianza renovada',
+    'deposit.reauthorize_failed': 'Fallo al renovar la retención de la fianza',
+    'deposit.capture': 'Fianza cobrada',
+    'deposit.release': 'Fianza liberada'
+};
+
+// Stripe limits the evidence files of a dispute to about 5 MB in total
+const DISPUTE_IMAGE_BUDGET = 3.5 * 1024 * 1024;
+const DISPUTE_OPEN_STATUSES = ['warning_needs_response', 'needs_response'];
+
+const httpError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Incident Report Service
+ * Builds the evidence PDF of a damage claim (reservation, guest, description,
+ * costs, audit timeline and photos) and attaches it to Stripe disputes.
+ */
+class IncidentReportService {
+    constructor(prisma, accessService, storageService, stripeService, userService) {
+        this.prisma = prisma;
+        this.accessService = accessService;
+        this.storageService = storageService;
+        this.stripeService = stripeService;
+        this.userService = userService;
+    }
+
+    /**
+     * PDF report of an incident. Photos beyond `imageBudget` bytes are listed by URL.
+     * Returns { fileName, buffer, incident }
+     */
+    async generateReport(userId, incidentId, { imageBudget = Infinity } = {}) {
+        const incident = await this.loadIncident(userId, incidentId);
+        const preferences = await this.userService.getPreferences(incident.property.ownerId);
+        const { reservation, property } = incident;
+
+        const formatDate = date => date ? UserService.formatDate(date, preferences) : null;
+        const formatDateTime = date => date ? UserService.formatDateTime(date, preferences) : null;
+        const formatMoney = (amount, currency) => amount !== null && amount !== undefined
+            ? UserService.formatMoney(amount, currency || incident.currency, preferences)
+            : null;
+
+        const pdf = new PdfWriter({ title: `Informe de incidencia ${incident.id}` });
+
+        pdf.paragraph('Informe de incidencia', { size: 20, bold: true, gap: 2 });
+        pdf.paragraph(`${incident.title} — ${property.name}`, { size: 12, color: '0.35 0.35 0.35', gap: 2 });
+        pdf.paragraph(`Generado el ${formatDateTime(new Date())} · Referencia ${incident.id}`, { size: 9, color: '0.5 0.5 0.5' });
+
+        pdf.heading('Reserva');
+        pdf.table([
+            ['Alojamiento', [property.name, property.address, property.city, property.country].filter(Boolean).join(', ')],
+            ['Canal', reservation.source],
+            ['Referencia del canal', reservation.externalId],
+            ['Referencia interna', reservation.id],
+            ['Entrada', formatDate(reservation.checkIn)],
+            ['Salida', formatDate(reservation.checkOut)],
+            ['Noches', String(reservation.nights)],
+            ['Check-in registrado', formatDateTime(reservation.actualCheckIn)],
+            ['Check-out registrado', formatDateTime(reservation.actualCheckOut)],
+            ['Importe de la estancia', formatMoney(reservation.totalAmount, reservation.currency)]
+        ]);
+
+        pdf.heading('Huésped');
+        pdf.table([
+            ['Nombre', reservation.guestName],
+            ['Email', reservation.guestEmail],
+            ['Teléfono', reservation.guestPhone],
+            ['País', reservation.guestCountry],
+            ['Número de huéspedes', String(reservation.guestCount)]
+        ]);
+
+        pdf.heading('Incidencia');
+        pdf.table([
+            ['Tipo', TYPE_LABELS[incident.type] || incident.type],
+            ['Estado', STATUS_LABELS[incident.status] || incident.status],
+            ['Reportada por', incident.reportedBy?.name],
+            ['Fecha del reporte', formatDateTime(incident.createdAt)],
+            ['Resuelta por', incident.resolvedBy?.name],
+            ['Fecha de resolución', formatDateTime(incident.resolvedAt)],
+            ['Medida adoptada', incident.actionTaken],
+            ['Notas de resolución', incident.resolutionNotes]
+        ]);
+        pdf.moveDown(4);
+        pdf.paragraph('Descripción', { bold: true, color: '0.35 0.35 0.35', gap: 0 });
+        pdf.paragraph(incident.description);
+
+        const depositCurrency = reservation.depositCurrency || incident.currency;
+        // Whatever was not captured, plus what was refunded of the charge afterwards
+        const refunded = reservation.depositRefundedAmount || 0;
+        const released = ['captured', 'refunded'].includes(reservation.depositStatus) && incident.chargedAmount !== null
+            ? Math.max(reservation.depositAmount - incident.chargedAmount, 0) + refunded
+            : null;
+
+        pdf.heading('Desglose de costes');
+        pdf.table([
+            ['Coste estimado', formatMoney(incident.estimatedCost, incident.currency)],
+            ['Fianza preautorizada', reservation.depositAmount ? formatMoney(reservation.depositAmount, depositCurrency) : null],
+            ['Autorizada el', formatDateTime(reservation.depositAuthorizedAt)],
+            ['Importe cobrado', formatMoney(incident.chargedAmount, depositCurrency)],
+            ['Cobrado el', formatDateTime(incident.chargedAt)],
+            ['Reembolsado del cobro', refunded ? formatMoney(refunded, depositCurrency) : null],
+            ['Reembolsado el', formatDateTime(reservation.depositRefundedAt)],
+            ['Devuelto al huésped', formatMoney(released, depositCurrency)],
+            ['Cargo de Stripe', incident.stripeChargeId],
+            ['Pago de Stripe', reservation.stripePaymentIntentId]
+        ]);
+
+        pdf.heading('Cronología');
+        const timeline = await this.buildTimeline(incident);
+        for (const event of timeline) {
+            const reference = event.sequence ? ` [registro nº ${event.sequence}]` : '';
+            pdf.table([[formatDateTime(event.at), `${event.description}${event.actor ? ` — ${event.actor}` : ''}${reference}`]], { labelWidth: 110 });
+        }
+        pdf.paragraph('Los eventos con número de registro proceden del registro de auditoría encadenado de AirHost AI, que no se puede modificar sin romper la cadena.', {
+            size: 8,
+            color: '0.5 0.5 0.5'
+        });
+
+        const photos = Array.isArray(incident.evidencePhotos) ? incident.evidencePhotos : [];
+        if (photos.length > 0) {
+            pdf.heading(`Fotografías (${photos.length})`);
+            let budget = imageBudget;
+
+            for (const [index, url] of photos.entries()) {
+                const image = await this.storageService.readImage(url).catch(error => {
+                    console.error(`❌ Error loading incident photo ${url}:`, error.message);
+                    return null;
+                });
+
+                const embedded = image && image.buffer.length <= budget && pdf.image(image.buffer);
+                if (embedded) budget -= image.buffer.length;
+
+                pdf.paragraph(`Foto ${index + 1}${embedded ? '' : ' (no incluida en el documento)'}: ${url}`, {
+                    size: 8,
+                    color: '0.4 0.4 0.4',
+                    gap: 10
+                });
+            }
+        }
+
+        return {
+            fileName: `incidencia-${incident.id}.pdf`,
+            buffer: pdf.toBuffer((page, pageCount) => `AirHost AI · Incidencia ${incident.id} · Página ${page} de ${pageCount}`),
+            incident
+        };
+    }
+
+    /**
+     * Upload the report to the open Stripe dispute of the charged deposit.
+     * With `submit`, the evidence is sent to the bank right away; otherwise it stays as a draft in Stripe.
+     */
+    async attachToDispute(userId, incidentId, { disputeId, submit = false } = {}) {
+        const incident = await this.loadIncident(userId, incidentId);
+
+        if (!incident.stripeChargeId) {
+            throw httpError(409, 'La incidencia no se ha cobrado de la fianza, no hay disputa a la que responder');
+        }
+
+        const listed = await this.stripeService.listDisputes(incident.stripeChargeId);
+        if (!listed.success) {
+            throw httpError(502, `Error consultando las disputas en Stripe: ${listed.error}`);
+        }
+
+        const dispute = disputeId
+            ? listed.disputes.find(candidate => candidate.id === disputeId)
+            : listed.disputes.find(candidate => DISPUTE_OPEN_STATUSES.includes(candidate.status));
+
+        if (!dispute) {
+            throw httpError(404, disputeId ? 'Disputa no encontrada para este cargo' : 'No hay ninguna disputa abierta para este cargo');
+        }
+        if (!DISPUTE_OPEN_STATUSES.includes(dispute.status)) {
+            throw httpError(409, `La disputa está en estado "${dispute.status}" y ya no admite pruebas`);
+        }
+
+        const report = await this.generateReport(userId, incidentId, { imageBudget: DISPUTE_IMAGE_BUDGET });
+        const { reservation, property } = incident;
+
+        const result = await this.stripeService.submitDisputeEvidence(dispute.id, {
+            file: report.buffer,
+            fileName: report.fileName,
+            submit,
+            evidence: {
+                customer_name: reservation.guestName,
+                customer_email_address: reservation.guestEmail,
+                service_date: reservation.checkIn.toISOString().slice(0, 10),
+                product_description: `Fianza de la estancia en ${property.name} (${reservation.checkIn.toISOString().slice(0, 10)} - ${reservation.checkOut.toISOString().slice(0, 10)})`,
+                uncategorized_text: `${incident.title}: ${incident.description}`.slice(0, 20000)
+            }
+        });
+
+        if (!result.success) {
+            throw httpError(502, `Error enviando las pruebas a Stripe: ${result.error}`);
+        }
+
+        return {
+            incident,
+            disputeId: dispute.id,
+            disputeStatus: result.dispute.status,
+            fileId: result.file_id,
+            submitted: submit
+        };
+    }
+
+    /**
+     * Audit entries of the incident and of its reservation's stay and deposit,
+     * plus the facts that have no entry of their own (e.g. the guest authorizing the deposit)
+     */
+    async buildTimeline(incident) {
+        const entries = await this.prisma.auditLog.findMany({
+            where: {
+                action: { in: Object.keys(TIMELINE_ACTIONS) },
+                OR: [
+                    { entityType: 'incident', entityId: incident.id },
+                    { entityType: 'reservation', entityId: incident.reservationId }
+                ]
+            },
+            orderBy: { sequence: 'asc' }
+        });
+
+        const actorIds = [...new Set(entries.map(entry => entry.actorId).filter(Boolean))];
+        const actors = await this.prisma.user.findMany({
+            where: { id: { in: actorIds } },
+            select: { id: true, name: true }
+        });
+        const actorNames = Object.fromEntries(actors.map(actor => [actor.id, actor.name]));
+
+        const events = entries.map(entry => ({
+            at: entry.createdAt,
+            sequence: entry.sequence,
+            actor: entry.actorId ? actorNames[entry.actorId] || null : 'Sistema',
+            description: this.describeEntry(entry)
+        }));
+
+        const { reservation } = incident;
+        if (reservation.depositAuthorizedAt) {
+            events.push({ at: reservation.depositAuthorizedAt, description: 'Fianza preautorizada en la tarjeta del huésped' });
+        }
+        if (!entries.some(entry => entry.action === 'incident.report')) {
+            events.push({ at: incident.createdAt, description: TIMELINE_ACTIONS['incident.report'], actor: incident.reportedBy?.name });
+        }
+        if (incident.chargedAt && !entries.some(entry => entry.action === 'incident.charge')) {
+            events.push({ at: incident.chargedAt, description: TIMELINE_ACTIONS['incident.charge'] });
+        }
+
+        return events.sort((a, b) => new Date(a.at) - new Date(b.at));
+    }
+
+    describeEntry(entry) {
+        const metadata = entry.metadata || {};
+        const after = entry.after || {};
+
+        if (entry.action === 'incident.update' && metadata.photosAdded) {
+            return `Fotos añadidas (${metadata.photosAdded})`;
+        }
+        if (entry.action === 'incident.charge' && after.chargedAmount) {
+            return `${TIMELINE_ACTIONS[entry.action]}: ${after.chargedAmount} ${metadata.currency || ''}`.trim();
+        }
+        if (entry.action === 'deposit.release' && metadata.reason) {
+            return `${TIMELINE_ACTIONS[entry.action]} (${metadata.reason})`;
+        }
+
+        return TIMELINE_ACTIONS[entry.action];
+    }
+
+    // Same access scope as IncidentService.getIncident
+    async loadIncident(userId, incidentId) {
+        const incident = await this.prisma.incident.findFirst({
+            where: { id: incidentId, property: this.accessService.propertyFilter(userId) },
+            include: {
+                reservation: true,
+                property: { select: { id: true, name: true, address: true, city: true, country: true, ownerId: true } },
+                reportedBy: { select: { id: true, name: true } },
+                resolvedBy: { select: { id: true, name: true } }
+            }
+        });
+
+        if (!incident) {
+            throw httpError(404, 'Incidencia no encontrada');
+        }
+
+        return incident;
+    }
+}
+
+module.exports = IncidentReportService;
@@ -0,0 +1,321 @@
+/**
+ * Incident Service
+ * Damage claims reported on a reservation: reported → under_review →
+ * charged (against the guest's deposit, see DepositService.captureDeposit)
+ * → resolved, or dismissed while still open.
+ */
+
+// Allowed status transitions; resolved and dismissed are final
+const STATUS_TRANSITIONS = {
+    reported: ['under_review', 'charged', 'dismissed'],
+    under_review: ['charged', 'resolved', 'dismissed'],
+    charged: ['resolved'],
+    resolved: [],
+    dismissed: []
+};
+
+// Details and evidence can change until money is involved or the claim is closed
+const EDITABLE_STATUSES = ['reported', 'under_review'];
+const UPDATABLE_FIELDS = ['type', 'title', 'description', 'estimatedCost', 'currency'];
+const MAX_PHOTOS = 20;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const INCIDENT_INCLUDE = {
+    reservation: {
+        select: {
+            id: true,
+            guestName: true,
+            checkIn: true,
+            checkOut: true,
+            depositAmount: true,
+            depositCurrency: true,
+            depositStatus: true
+        }
+    },
+    property: { select: { id: true, name: true, ownerId: true } },
+    reportedBy: { select: { id: true, name: true } },
+    resolvedBy: { select: { id: true, name: true } }
+};
+
+const httpError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+class IncidentService {
+    constructor(prisma, accessService, storageService, depositService, notificationService) {
+        this.prisma = prisma;
+        this.accessService = accessService;
+        this.storageService = storageService;
+        this.depositService = depositService;
+        this.notificationService = notificationService;
+    }
+
+    /**
+     * Incidents of the properties the user can see.
+     * Query: propertyId, reservationId, status, type (comma-separated), limit, cursor
+     */
+    async listIncidents(userId, query = {}) {
+        const toList = value => String(value).split(',').map(item => item.trim()).filter(Boolean);
+        const where = { property: this.accessService.propertyFilter(userId, 'view_reservations') };
+
+        if (query.propertyId) where.propertyId = query.propertyId;
+        if (query.reservationId) where.reservationId = query.reservationId;
+        if (query.status) where.status = { in: toList(query.status) };
+        if (query.type) where.type = { in: toList(query.type) };
+
+        const limit = query.limit !== undefined ? parseInt(query.limit, 10) : DEFAULT_PAGE_SIZE;
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            throw httpError(400, `limit debe ser un entero entre 1 y ${MAX_PAGE_SIZE}`);
+        }
+
+        const rows = await this.prisma.incident.findMany({
+            where,
+            include: INCIDENT_INCLUDE,
+            orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+            take: limit + 1,
+            ...(query.cursor && { cursor: { id: query.cursor }, skip: 1 })
+        });
+
+        const hasMore = rows.length > limit;
+        const incidents = hasMore ? rows.slice(0, limit) : rows;
+
+        return {
+            incidents,
+            pagination: {
+                limit,
+                hasMore,
+                nextCursor: hasMore ? incidents[incidents.length - 1].id : null
+            }
+        };
+    }
+
+    /**
+     * Incident on a property the user owns or has a grant on, same scope as listIncidents
+     * (the route's authorize() checks the permission the action needs)
+     */
+    async getIncident(userId, incidentId) {
+        const incident = await this.prisma.incident.findFirst({
+            where: { id: incidentId, property: this.accessService.propertyFilter(userId) },
+            include: INCIDENT_INCLUDE
+        });
+
+        if (!incident) {
+            throw httpError(404, 'Incidencia no encontrada');
+        }
+
+        return incident;
+    }
+
+    /**
+     * Report an incident on a reservation, with optional photos (data URLs)
+     */
+    async reportIncident(reporterId, data) {
+        const reservation = await this.prisma.reservation.findFirst({
+            where: { id: data.reservationId, property: this.accessService.propertyFilter(reporterId, 'view_reservations') },
+            include: { property: { select: { id: true, name: true, currency: true, ownerId: true } } }
+        });
+
+        if (!reservation) {
+            throw httpError(404, 'Reserva no encontrada');
+        }
+        if (reservation.status === 'cancelled') {
+            throw httpError(409, 'No se pueden registrar incidencias en una reserva cancelada');
+        }
+
+        const photos = data.photos || [];
+        if (photos.length > MAX_PHOTOS) {
+            throw httpError(400, `Máximo ${MAX_PHOTOS} fotos por incidencia`);
+        }
+
+        const incident = await this.prisma.incident.create({
+            data: {
+                reservationId: reservation.id,
+                propertyId: reservation.propertyId,
+                reportedById: reporterId,
+                type: data.type,
+                title: data.title,
+                description: data.description,
+                estimatedCost: data.estimatedCost,
+                currency: (data.currency || reservation.depositCurrency || reservation.property.currency).toUpperCase(),
+                evidencePhotos: []
+            }
+        });
+
+        let created = incident;
+        if (photos.length > 0) {
+            try {
+                created = await this.addPhotos(reporterId, incident.id, photos);
+            } catch (error) {
+                // No half-reported incidents: the reporter sends it again
+                await this.prisma.incident.delete({ where: { id: incident.id } });
+                await this.deletePhotos(incident.id);
+                throw error;
+            }
+        }
+
+        // Team members (e.g. cleaners) report; the owner decides
+        const { ownerId } = reservation.property;
+        if (reporterId !== ownerId) {
+            await this.notificationService.sendIncidentReported(ownerId, { ...created, property: reservation.property })
+                .catch(error => console.error('❌ Error notifying incident:', error.message));
+        }
+
+        return this.getIncident(reporterId, incident.id);
+    }
+
+    /**
+     * Edit the details of an open incident
+     */
+    async updateIncident(userId, incidentId, data) {
+        const incident = await this.getIncident(userId, incidentId);
+        this.assertEditable(incident);
+
+        const updates = {};
+        for (const field of UPDATABLE_FIELDS) {
+            if (data[field] !== undefined && data[field] !== null) {
+                updates[field] = field === 'currency' ? data[field].toUpperCase() : data[field];
+            }
+        }
+
+        return this.prisma.incident.update({
+            where: { id: incident.id },
+            data: updates,
+            include: INCIDENT_INCLUDE
+        });
+    }
+
+    /**
+     * Add evidence photos (data URLs) to an open incident
+     */
+    async addPhotos(userId, incidentId, photos) {
+        const incident = await this.getIncident(userId, incidentId);
+        this.assertEditable(incident);
+
+        const current = Array.isArray(incident.evidencePhotos) ? incident.evidencePhotos : [];
+        if (current.length + photos.length > MAX_PHOTOS) {
+            throw httpError(400, `Máximo ${MAX_PHOTOS} fotos por incidencia (ya tiene ${current.length})`);
+        }
+
+        const urls = await this.storageService.uploadImages(`incidents/${incident.id}`, photos);
+
+        return this.prisma.incident.update({
+            where: { id: incident.id },
+            data: { evidencePhotos: [...current, ...urls] },
+            include: INCIDENT_INCLUDE
+        });
+    }
+
+    /**
+     * Start reviewing a reported incident
+     */
+    async reviewIncident(userId, incidentId) {
+        const incident = await this.getIncident(userId, incidentId);
+        this.assertTransition(incident, 'under_review');
+
+        return this.prisma.incident.update({
+            where: { id: incident.id },
+            data: { status: 'under_review' },
+            include: INCIDENT_INCLUDE
+        });
+    }
+
+    /**
+     * Charge the damage against the reservation's authorized deposit.
+     * The amount defaults to the estimated cost (capped at the deposit).
+     */
+    async chargeIncident(userId, incidentId, { amount } = {}) {
+        const incident = await this.getIncident(userId, incidentId);
+        this.assertTransition(incident, 'charged');
+
+        const result = await this.depositService.captureDeposit(incident.property.ownerId, incident.reservationId, {
+            incidentId: incident.id,
+            amount,
+            actorId: userId
+        });
+
+        return {
+            incident: await this.getIncident(userId, incident.id),
+            deposit: result.deposit,
+            capturedAmount: result.capturedAmount
+        };
+    }
+
+    /**
+     * Close the incident: after charging it, or when it was settled another way
+     */
+    async resolveIncident(userId, incidentId, { actionTaken, resolutionNotes } = {}) {
+        const incident = await this.getIncident(userId, incidentId);
+        this.assertTransition(incident, 'resolved');
+
+        return this.prisma.incident.update({
+            where: { id: incident.id },
+            data: {
+                status: 'resolved',
+                resolvedById: userId,
+                resolvedAt: new Date(),
+                ...(actionTaken && { actionTaken }),
+                ...(resolutionNotes && { resolutionNotes })
+            },
+            include: INCIDENT_INCLUDE
+        });
+    }
+
+    /**
+     * Close an open incident without charging the guest
+     */
+    async dismissIncident(userId, incidentId, { resolutionNotes } = {}) {
+        const incident = await this.getIncident(userId, incidentId);
+        this.assertTransition(incident, 'dismissed');
+
+        return this.prisma.incident.update({
+            where: { id: incident.id },
+            data: {
+                status: 'dismissed',
+                actionTaken: 'dismissed',
+                resolvedById: userId,
+                resolvedAt: new Date(),
+                ...(resolutionNotes && { resolutionNotes })
+            },
+            include: INCIDENT_INCLUDE
+        });
+    }
+
+    /**
+     * Delete an incident nothing was charged for, with its photos
+     */
+    async deleteIncident(userId, incidentId) {
+        const incident = await this.getIncident(userId, incidentId);
+
+        if (!['reported', 'dismissed'].includes(incident.status)) {
+            throw httpError(409, 'Solo se pueden eliminar incidencias reportadas o descartadas');
+        }
+
+        await this.prisma.incident.delete({ where: { id: incident.id } });
+        await this.deletePhotos(incident.id);
+        return incident;
+    }
+
+    // Stored photos of a deleted incident; a leftover file must not fail the request
+    async deletePhotos(incidentId) {
+        await this.storageService.deleteFolder(`incidents/${incidentId}`)
+            .catch(error => console.error(`❌ Error deleting photos of incident ${incidentId}:`, error.message));
+    }
+
+    assertEditable(incident) {
+        if (!EDITABLE_STATUSES.includes(incident.status)) {
+            throw httpError(409, `La incidencia está en estado "${incident.status}" y ya no se puede modificar`);
+        }
+    }
+
+    assertTransition(incident, toStatus) {
+        if (!STATUS_TRANSITIONS[incident.status]?.includes(toStatus)) {
+            throw httpError(409, `No se puede pasar una incidencia de "${incident.status}" a "${toStatus}"`);
+        }
+    }
+}
+
+module.exports = IncidentService;
@@ -1,5 +1,9 @@
 const nodemailer = require('nodemailer');
 
+// Los textos de los emails incluyen datos de terceros (nombres de usuarios, huéspedes de feeds iCal...)
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = value => String(value ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
 class MessageService {
     constructor() {
         // Configurar transportador de email
@@ -19,13 +23,15 @@ class MessageService {
                 welcome: '¡Hola {{guest_name}}! 👋 Bienvenido a {{property_name}}. Tu código de acceso es: {{access_code}}',
                 access_info: '🏠 Información de acceso:\n🔑 Código: {{access_code}}\n📶 WiFi: {{wifi_name}}\n🔐 Contraseña: {{wifi_password}}',
                 checkout_reminder: '🕐 Recordatorio: Check-out hoy a las {{checkout_time}}. ¡Esperamos tu reseña de 5⭐!',
-                review_request: '⭐ ¡Esperamos que hayas disfrutado tu estadía en {{property_name}}! Nos encantaría recibir tu reseña.'
+                review_request: '⭐ ¡Esperamos que hayas disfrutado tu estadía en {{property_name}}! Nos encantaría recibir tu reseña.',
+                deposit_request: '💳 ¡Hola {{guest_name}}! Antes de tu llegada a {{property_name}} el {{check_in_date}} necesitamos preautorizar una fianza de {{deposit_amount}} en tu tarjeta. No se cobra nada: se libera tras el check-out si no hay incidencias. Complétalo aquí: {{deposit_link}}'
             },
             en: {
                 welcome: 'Hello {{guest_name}}! 👋 Welcome to {{property_name}}. Your access code is: {{access_code}}',
                 access_info: '🏠 Access information:\n🔑 Code: {{access_code}}\n📶 WiFi: {{wifi_name}}\n🔐 Password: {{wifi_password}}',
                 checkout_reminder: '🕐 Reminder: Check-out today at {{checkout_time}}. We hope for your 5⭐ review!',
-                review_request: '⭐ We hope you enjoyed your stay at {{property_name}}! We would love to receive your review.'
+                review_request: '⭐ We hope you enjoyed your stay at {{property_name}}! We would love to receive your review.',
+                deposit_request: '💳 Hello {{guest_name}}! Before your arrival at {{property_name}} on {{check_in_date}} we need to pre-authorize a security deposit of {{deposit_amount}} on your card. Nothing is charged: it is released after check-out if there are no incidents. Complete it here: {{deposit_link}}'
             }
         };
     }
@@ -118,6 +124,108 @@ class MessageService {
         });
     }
 
+    // Email de cuenta con un único botón de acción (verificación, recuperación de contraseña).
+    // Todos los campos son texto plano y se escapan.
+    buildAccountEmail(fields) {
+        const { title, intro, actionText, actionUrl, footer } = Object.fromEntries(
+            Object.entries(fields).map(([key, value]) => [key, escapeHtml(value)])
+        );
+
+        return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="UTF-8">
+            <title>${title}</title>
+            <style>
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+                .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+                .button { display: inline-block; background: #667eea; color: white; padding: 12px 24px; border-radius: 8px; text-decoration: none; font-weight: bold; }
+                .muted { color: #777; font-size: 13px; word-break: break-all; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>${title}</h1>
+                </div>
+
+                <div class="content">
+                    <p>${intro}</p>
+                    <p style="text-align: center;"><a class="button" href="${actionUrl}">${actionText}</a></p>
+                    <p class="muted">Si el botón no funciona, copia este enlace en tu navegador:<br>${actionUrl}</p>
+                    <p class="muted">${footer}</p>
+                </div>
+            </div>
+        </body>
+        </html>
+        `;
+    }
+
+    // Enviar email de verificación de cuenta
+    async sendVerificationEmail(user, verificationUrl) {
+        return await this.sendEmail({
+            to: user.email,
+            subject: 'Confirma tu email - AirHost AI',
+            html: this.buildAccountEmail({
+                title: 'Confirma tu email ✉️',
+                intro: `Hola ${user.name}, confirma tu dirección de email para activar todas las funciones de tu cuenta.`,
+                actionText: 'Confirmar email',
+                actionUrl: verificationUrl,
+                footer: 'El enlace caduca en 24 horas. Si no has creado una cuenta en AirHost AI, ignora este mensaje.'
+            })
+        });
+    }
+
+    // Enviar email de recuperación de contraseña
+    async sendPasswordResetEmail(user, resetUrl) {
+        return await this.sendEmail({
+            to: user.email,
+            subject: 'Restablece tu contraseña - AirHost AI',
+            html: this.buildAccountEmail({
+                title: 'Restablecer contraseña 🔐',
+                intro: `Hola ${user.name}, hemos recibido una solicitud para restablecer tu contraseña.`,
+                actionText: 'Elegir nueva contraseña',
+                actionUrl: resetUrl,
+                footer: 'El enlace caduca en 1 hora y solo puede usarse una vez. Si no lo has solicitado, ignora este mensaje: tu contraseña no cambiará.'
+            })
+        });
+    }
+
+    // Enviar invitación para unirse al equipo de un propietario
+    async sendTeamInviteEmail(owner, email, role, inviteUrl) {
+        const roleLabel = role === 'cleaner' ? 'personal de limpieza' : 'co-anfitrión';
+
+        return await this.sendEmail({
+            to: email,
+            subject: `${owner.name} te invita a su equipo - AirHost AI`,
+            html: this.buildAccountEmail({
+                title: 'Invitación al equipo 🤝',
+                intro: `${owner.name} te ha invitado a colaborar como ${roleLabel} en sus propiedades de AirHost AI. Inicia sesión o crea una cuenta con este email para aceptar.`,
+                actionText: 'Aceptar invitación',
+                actionUrl: inviteUrl,
+                footer: 'La invitación caduca en 7 días. Si no conoces a esta persona, ignora este mensaje.'
+            })
+        });
+    }
+
+    // Enviar por email una notificación importante de la cuenta
+    async sendNotificationEmail(user, notification, actionUrl) {
+        return await this.sendEmail({
+            to: user.email,
+            subject: `${notification.title} - AirHost AI`,
+            html: this.buildAccountEmail({
+                title: notification.title,
+                intro: notification.message,
+                actionText: notification.actionText || 'Abrir AirHost AI',
+                actionUrl,
+                footer: 'Puedes desactivar los avisos por email en las preferencias de tu cuenta.'
+            })
+        });
+    }
+
     // Reemplazar variables en templates
     replaceVariables(template, variables) {
         let message = template;
@@ -133,7 +241,9 @@ class MessageService {
 
     // Quitar HTML de texto
     stripHtml(html) {
-        return html.replace(/<[^>]*>/g, '');
+        return html
+            .replace(/<[^>]*>/g, '')
+            .replace(/&(amp|lt|gt|quot|#39);/g, entity => Object.keys(HTML_ENTITIES).find(char => HTML_ENTITIES[char] === entity));
     }
 
     // Verificar configuración de email
@@ -3,12 +3,18 @@
  * Handles all types of notifications: in-app, email, WhatsApp, push notifications
  */
 
+const UserService = require('./UserService');
+
+// Only these also leave the app, through the channels the user enabled
+const EXTERNAL_PRIORITIES = ['high'];
+
 class NotificationService {
     constructor(prisma, websocketService) {
         this.prisma = prisma;
         this.wsService = websocketService;
         this.emailService = null; // Will be initialized later
         this.whatsappService = null; // Will be initialized later
+        this.frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
         
         this.notificationTypes = {
             BOOKING_CONFIRMED: 'booking_confirmed',
@@ -61,6 +67,12 @@ class NotificationService {
             }
 
             console.log(`✅ Notification created: ${notification.title} for user ${userId}`);
+
+            if (EXTERNAL_PRIORITIES.includes(newNotification.priority)) {
+                await this.deliverExternally(userId, newNotification).catch(error =>
+                    console.error('❌ Error delivering notification externally:', error.message));
+            }
+
             return newNotification;
 
         } catch (error) {
@@ -69,6 +81,59 @@ class NotificationService {
         }
     }
 
+    /**
+     * Send the notification by email and/or WhatsApp according to the user's preferences.
+     * Delivery failures are logged; the in-app notification already exists.
+     */
+    async deliverExternally(userId, notification) {
+        const recipient = await this.getRecipient(userId);
+        if (!recipient) return { email: null, whatsapp: null };
+
+        const delivery = { email: null, whatsapp: null };
+
+        if (recipient.emailNotifications && this.emailService) {
+            const result = await this.emailService.sendNotificationEmail(
+                recipient,
+                notification,
+                `${this.frontendUrl}${notification.actionUrl || '/dashboard.html'}`
+            );
+            delivery.email = result.success;
+        }
+
+        if (recipient.whatsappNotifications && recipient.phone && this.whatsappService) {
+            const result = await this.whatsappService.sendWhatsAppMessage(
+                recipient.phone,
+                `*${notification.title}*\n${notification.message}`
+            );
+            delivery.whatsapp = result.success;
+        }
+
+        if (delivery.email === false || delivery.whatsapp === false) {
+            console.warn(`⚠️ Notification ${notification.id} could not be delivered externally:`, delivery);
+        }
+
+        return delivery;
+    }
+
+    /**
+     * Contact data and preferences of the user a notification is for
+     */
+    async getRecipient(userId) {
+        return this.prisma.user.findUnique({
+            where: { id: userId },
+            select: {
+                email: true,
+                name: true,
+                phone: true,
+                language: true,
+                currency: true,
+                timezone: true,
+                emailNotifications: true,
+                whatsappNotifications: true
+            }
+        });
+    }
+
     /**
      * Get notifications for a user
      */
@@ -200,9 +265,10 @@ class NotificationService {
      * Send booking confirmation notification
      */
     async sendBookingConfirmation(userId, reservation) {
+        const preferences = await this.getRecipient(userId);
         const notification = {
             title: 'Nueva Reserva Confirmada',
-            message: `Reserva de ${reservation.guestName} en ${reservation.property?.name} del ${this.formatDate(reservation.checkIn)} al ${this.formatDate(reservation.checkOut)}`,
+            message: `Reserva de ${reservation.guestName} en ${reservation.property?.name} del ${this.formatDate(reservation.checkIn, preferences)} al ${this.formatDate(reservation.checkOut, preferences)}`,
             type: 'success',
             category: 'reservation',
             entityType: 'reservation',
@@ -219,9 +285,10 @@ class NotificationService {
      * Send payment received notification
      */
     async sendPaymentReceived(userId, payment) {
+        const preferences = await this.getRecipient(userId);
         const notification = {
             title: 'Pago Recibido',
-            message: `Pago de €${payment.amount} recibido correctamente`,
+            message: `Pago de ${UserService.formatMoney(payment.amount, payment.currency, preferences || {})} recibido correctamente`,
             type: 'success',
             category: 'payment',
             entityType: 'payment',
@@ -232,6 +299,91 @@ class NotificationService {
         return await this.createNotification(userId, notification);
     }
 
+    /**
+     * Send payment failed notification
+     */
+    async sendPaymentFailed(userId, payment, reason) {
+        const preferences = await this.getRecipient(userId);
+        const notification = {
+            title: 'Pago Fallido',
+            message: `El pago de ${UserService.formatMoney(payment.amount, payment.currency, preferences || {})}${payment.description ? ` (${payment.description})` : ''} no se ha podido completar${reason ? `: ${reason}` : ''}`,
+            type: 'error',
+            category: 'payment',
+            entityType: 'payment',
+            entityId: payment.id,
+            priority: 'high',
+            metadata: { reason: reason || null }
+        };
+
+        return await this.createNotification(userId, notification);
+    }
+
+    /**
+     * Send alert when a deposit hold could not be renewed with the guest's saved card
+     */
+    async sendDepositReauthorizationFailed(userId, reservation, holdExpiresAt, reason) {
+        const preferences = await this.getRecipient(userId);
+        const notification = {
+            title: 'Fianza sin Renovar',
+            message: `No se ha podido renovar la fianza de ${reservation.guestName} en ${reservation.property?.name}${reason ? ` (${reason})` : ''}. La retención actual caduca el ${UserService.formatDateTime(holdExpiresAt, preferences || {})}: envía al huésped un nuevo enlace de fianza.`,
+            type: 'warning',
+            category: 'payment',
+            entityType: 'reservation',
+            entityId: reservation.id,
+            actionUrl: `/reservations/${reservation.id}`,
+            actionText: 'Ver Reserva',
+            priority: 'high',
+            metadata: { holdExpiresAt, reason: reason || null }
+        };
+
+        return await this.createNotification(userId, notification);
+    }
+
+    /**
+     * Send alert when a team member reports an incident on a reservation
+     */
+    async sendIncidentReported(userId, incident) {
+        const preferences = await this.getRecipient(userId);
+        const notification = {
+            title: 'Nueva Incidencia',
+            message: `Se ha reportado una incidencia en ${incident.property?.name}: ${incident.title} (coste estimado ${UserService.formatMoney(incident.estimatedCost, incident.currency, preferences || {})})`,
+            type: 'warning',
+            category: 'reservation',
+            entityType: 'incident',
+            entityId: incident.id,
+            actionUrl: `/incidents/${incident.id}`,
+            actionText: 'Ver Incidencia',
+            priority: 'high',
+            metadata: { reservationId: incident.reservationId, type: incident.type }
+        };
+
+        return await this.createNotification(userId, notification);
+    }
+
+    /**
+     * Send overbooking (double booking) alert
+     */
+    async sendOverbookingAlert(userId, conflict) {
+        const preferences = await this.getRecipient(userId);
+        const notification = {
+            title: 'Overbooking Detectado',
+            message: `${conflict.reservation.guestName} (${conflict.reservation.source}) y ${conflict.conflictingReservation.guestName} (${conflict.conflictingReservation.source}) se solapan en ${conflict.property?.name} del ${this.formatDate(conflict.overlapStart, preferences)} al ${this.formatDate(conflict.overlapEnd, preferences)}`,
+            type: 'error',
+            category: 'reservation',
+            entityType: 'conflict',
+            entityId: conflict.id,
+            actionUrl: `/conflicts/${conflict.id}`,
+            actionText: 'Resolver Conflicto',
+            priority: 'high',
+            metadata: {
+                reservationId: conflict.reservationId,
+                conflictingReservationId: conflict.conflictingReservationId
+            }
+        };
+
+        return await this.createNotification(userId, notification);
+    }
+
     /**
      * Send channel sync success notification
      */
@@ -376,23 +528,13 @@ class NotificationService {
         }
     }
 
-    // Helper methods
-    formatDate(dateString) {
-        return new Date(dateString).toLocaleDateString('es-ES', {
-            day: '2-digit',
-            month: '2-digit',
-            year: 'numeric'
-        });
+    // Helper methods: dates in the user's language and timezone
+    formatDate(dateString, preferences) {
+        return UserService.formatDate(dateString, preferences || {});
     }
 
-    formatDateTime(dateString) {
-        return new Date(dateString).toLocaleString('es-ES', {
-            day: '2-digit',
-            month: '2-digit',
-            year: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        });
+    formatDateTime(dateString, preferences) {
+        return UserService.formatDateTime(dateString, preferences || {});
     }
 }
 
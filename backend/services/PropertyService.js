@@ -2,16 +2,35 @@
  * Simple Property Service using Prisma
  * For the 4 core modules simplified system
  */
+
+const CredentialService = require('./CredentialService');
+
+// Columns an owner may set from the API; anything else (ownerId, tokens, sync dates...) is ignored
+const UPDATABLE_FIELDS = [
+    'name', 'description', 'address', 'city', 'country', 'postalCode', 'propertyType', 'images',
+    'maxGuests', 'bedrooms', 'bathrooms',
+    'airbnbListingId', 'airbnbIcalUrl', 'airbnbIsActive',
+    'bookingListingId', 'bookingIcalUrl', 'bookingIsActive',
+    'vrboListingId', 'vrboIcalUrl', 'vrboIsActive',
+    'smartLockBrand', 'smartLockId', 'smartLockApiToken', 'smartLockIsActive',
+    'basePrice', 'currency', 'cleaningFee', 'depositAmount',
+    'wifiName', 'wifiPassword', 'checkInInstructions', 'checkOutInstructions', 'houseRules',
+    'welcomeTemplate', 'accessInfoTemplate', 'checkoutReminderTemplate', 'reviewRequestTemplate',
+    'isActive', 'autoMessaging'
+];
+
 class PropertyService {
-    constructor(prisma) {
+    constructor(prisma, accessService, credentialService) {
         this.prisma = prisma;
+        this.accessService = accessService;
+        this.credentialService = credentialService;
     }
 
-    // Get all properties for user
+    // Get all properties for user (owned and shared through a team grant)
     async getProperties(userId) {
         try {
             const properties = await this.prisma.property.findMany({
-                where: { ownerId: userId },
+                where: this.accessService.propertyFilter(userId),
                 include: {
                     channels: true,
                     reservations: {
@@ -27,7 +46,7 @@ class PropertyService {
 
             return {
                 success: true,
-                properties
+                properties: await this.applyAccess(userId, properties)
             };
         } catch (error) {
             console.error('Error fetching properties:', error);
@@ -41,15 +60,22 @@ class PropertyService {
     // Create new property
     async createProperty(userId, propertyData) {
         try {
+            const { data } = this.pickUpdatableFields(propertyData);
+
+            // Prices default to the currency chosen in the owner's preferences
+            const owner = await this.prisma.user.findUnique({
+                where: { id: userId },
+                select: { currency: true }
+            });
+
             const property = await this.prisma.property.create({
                 data: {
+                    ...data,
                     ownerId: userId,
-                    ...propertyData,
-                    currency: propertyData.currency || 'EUR',
-                    cleaningFee: propertyData.cleaningFee || 0,
-                    channelsConfig: propertyData.channelsConfig || {},
+                    currency: data.currency || owner?.currency || 'EUR',
+                    cleaningFee: data.cleaningFee || 0,
                     isActive: true,
-                    autoMessaging: propertyData.autoMessaging !== undefined ? propertyData.autoMessaging : true
+                    autoMessaging: data.autoMessaging !== undefined ? data.autoMessaging : true
                 }
             });
 
@@ -66,7 +92,7 @@ class PropertyService {
         }
     }
 
-    // Update property
+    // Update property (only whitelisted fields)
     async updateProperty(userId, propertyId, updateData) {
         try {
             // Verify ownership
@@ -80,18 +106,22 @@ class PropertyService {
             if (!existingProperty) {
                 return {
                     success: false,
-                    error: 'Property not found or access denied'
+                    status: 404,
+                    error: 'Propiedad no encontrada'
                 };
             }
 
+            const { data, ignoredFields } = this.pickUpdatableFields(updateData);
+
             const property = await this.prisma.property.update({
                 where: { id: propertyId },
-                data: updateData
+                data
             });
 
             return {
                 success: true,
-                property
+                property,
+                ignoredFields
             };
         } catch (error) {
             console.error('Error updating property:', error);
@@ -102,13 +132,36 @@ class PropertyService {
         }
     }
 
+    // Split request data into writable columns and ignored keys
+    pickUpdatableFields(input = {}) {
+        const data = {};
+        const ignoredFields = [];
+
+        for (const [key, value] of Object.entries(input)) {
+            if (UPDATABLE_FIELDS.includes(key)) {
+                data[key] = value;
+            } else {
+                ignoredFields.push(key);
+            }
+        }
+
+        // Forms send back the redacted placeholder when the token was not touched
+        if (data.smartLockApiToken === CredentialService.REDACTED) {
+            delete data.smartLockApiToken;
+        } else if (data.smartLockApiToken) {
+            data.smartLockApiToken = this.credentialService.encrypt(data.smartLockApiToken);
+        }
+
+        return { data, ignoredFields };
+    }
+
     // Get single property
     async getProperty(userId, propertyId) {
         try {
             const property = await this.prisma.property.findFirst({
                 where: { 
                     id: propertyId, 
-                    ownerId: userId 
+                    ...this.accessService.propertyFilter(userId)
                 },
                 include: {
                     channels: true,
@@ -122,13 +175,15 @@ class PropertyService {
             if (!property) {
                 return {
                     success: false,
-                    error: 'Property not found'
+                    status: 404,
+                    error: 'Propiedad no encontrada'
                 };
             }
 
+            const [sharedProperty] = await this.applyAccess(userId, [property]);
             return {
                 success: true,
-                property
+                property: sharedProperty
             };
         } catch (error) {
             console.error('Error fetching property:', error);
@@ -153,7 +208,25 @@ class PropertyService {
             if (!existingProperty) {
                 return {
                     success: false,
-                    error: 'Property not found or access denied'
+                    status: 404,
+                    error: 'Propiedad no encontrada'
+                };
+            }
+
+            // Deleting cascades to reservations, so refuse while guests are still expected
+            const upcomingReservations = await this.prisma.reservation.count({
+                where: {
+                    propertyId,
+                    status: { in: ['confirmed', 'checked_in'] },
+                    checkOut: { gte: new Date() }
+                }
+            });
+
+            if (upcomingReservations > 0) {
+                return {
+                    success: false,
+                    status: 409,
+                    error: `La propiedad tiene ${upcomingReservations} reserva(s) activa(s) o futura(s). Cancélalas antes de eliminarla.`
                 };
             }
 
@@ -202,8 +275,8 @@ class PropertyService {
     // Get properties with basic stats for dashboard
     async getPropertiesWithStats(userId) {
         try {
-            const properties = await this.prisma.property.findMany({
-                where: { ownerId: userId },
+            const properties = await this.applyAccess(userId, await this.prisma.property.findMany({
+                where: this.accessService.propertyFilter(userId),
                 include: {
                     channels: true,
                     reservations: {
@@ -212,7 +285,7 @@ class PropertyService {
                         }
                     }
                 }
-            });
+            }));
 
             // Add calculated stats
             const propertiesWithStats = properties.map(property => ({
@@ -235,6 +308,27 @@ class PropertyService {
             };
         }
     }
+
+    // Tag each property with the user's access and hide reservations from members not allowed to see them
+    async applyAccess(userId, properties) {
+        const granted = await this.accessService.getGrantedPermissions(userId);
+
+        return properties.map(property => {
+            if (property.ownerId === userId) {
+                return { ...property, access: { isOwner: true } };
+            }
+
+            // Owner-only secrets
+            const { smartLockApiToken, icalExportToken, ...shared } = property;
+            const permissions = granted.get(property.id) || [];
+            return {
+                ...shared,
+                channels: permissions.includes('manage_property') ? property.channels : [],
+                reservations: permissions.includes('view_reservations') ? property.reservations : [],
+                access: { isOwner: false, permissions }
+            };
+        });
+    }
 }
 
 module.exports = PropertyService;
\ No newline at end of file
@@ -0,0 +1,535 @@
+/**
+ * Reservation Service using Prisma
+ * Validation, ownership and overlap checks for reservations created or
+ * edited from the dashboard (channel reservations come from ChannelManagerService)
+ */
+
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Midnight UTC of the day of a date or timestamp; check-in/out are stored as days
+const toCalendarDay = (value) => {
+    const date = new Date(value);
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+const RESERVATION_SOURCES = ['direct', 'manual', 'airbnb', 'booking', 'vrbo'];
+
+// Allowed status transitions; checked_out, cancelled and no_show are final
+const STATUS_TRANSITIONS = {
+    confirmed: ['checked_in', 'cancelled', 'no_show'],
+    checked_in: ['checked_out'],
+    checked_out: [],
+    cancelled: [],
+    no_show: []
+};
+
+// AutomationRule.eventType fired after each transition
+const TRANSITION_EVENTS = {
+    checked_in: 'checked_in',
+    checked_out: 'checked_out',
+    cancelled: 'booking_cancelled',
+    no_show: 'no_show'
+};
+
+const SORTABLE_FIELDS = ['checkIn', 'checkOut', 'createdAt', 'totalAmount', 'guestName', 'nights'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const PROPERTY_SUMMARY = {
+    select: {
+        id: true,
+        name: true,
+        address: true,
+        city: true,
+        maxGuests: true
+    }
+};
+
+const httpError = (status, message, details) => {
+    const error = new Error(message);
+    error.status = status;
+    if (details) error.details = details;
+    return error;
+};
+
+class ReservationService {
+    constructor(prisma, channelManagerService, stripeService, automationService, accessService, depositService) {
+        this.prisma = prisma;
+        this.accessService = accessService;
+        this.channelManager = channelManagerService;
+        this.stripeService = stripeService;
+        this.automationService = automationService;
+        this.depositService = depositService;
+    }
+
+    // Search reservations with filters, sorting, cursor pagination and totals
+    async listReservations(userId, query = {}) {
+        const where = this.buildListFilter(userId, query);
+
+        const sortBy = query.sortBy || 'checkIn';
+        const sortOrder = query.sortOrder || 'asc';
+        if (!SORTABLE_FIELDS.includes(sortBy)) {
+            throw httpError(400, `sortBy inválido. Valores permitidos: ${SORTABLE_FIELDS.join(', ')}`);
+        }
+        if (!['asc', 'desc'].includes(sortOrder)) {
+            throw httpError(400, 'sortOrder debe ser asc o desc');
+        }
+
+        const limit = query.limit !== undefined ? parseInt(query.limit, 10) : DEFAULT_PAGE_SIZE;
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            throw httpError(400, `limit debe ser un entero entre 1 y ${MAX_PAGE_SIZE}`);
+        }
+
+        const [rows, aggregate, byStatus] = await Promise.all([
+            this.prisma.reservation.findMany({
+                where,
+                include: {
+                    property: PROPERTY_SUMMARY,
+                    payments: true
+                },
+                // id as tie-breaker keeps the cursor stable when sort values repeat
+                orderBy: [{ [sortBy]: sortOrder }, { id: sortOrder }],
+                take: limit + 1,
+                ...(query.cursor && { cursor: { id: query.cursor }, skip: 1 })
+            }),
+            this.prisma.reservation.aggregate({
+                where,
+                _count: { _all: true },
+                _sum: { totalAmount: true, nights: true }
+            }),
+            this.prisma.reservation.groupBy({
+                by: ['status'],
+                where,
+                _count: { status: true }
+            })
+        ]);
+
+        const hasMore = rows.length > limit;
+        const reservations = hasMore ? rows.slice(0, limit) : rows;
+
+        return {
+            reservations,
+            pagination: {
+                limit,
+                hasMore,
+                nextCursor: hasMore ? reservations[reservations.length - 1].id : null
+            },
+            totals: {
+                count: aggregate._count._all,
+                totalAmount: aggregate._sum.totalAmount || 0,
+                nights: aggregate._sum.nights || 0,
+                byStatus: byStatus.reduce((acc, item) => {
+                    acc[item.status] = item._count.status;
+                    return acc;
+                }, {})
+            }
+        };
+    }
+
+    // Owned properties plus those where a team grant allows viewing reservations
+    buildListFilter(userId, query) {
+        const where = { property: this.accessService.propertyFilter(userId, 'view_reservations') };
+        const toList = value => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+        if (query.propertyId) {
+            where.propertyId = { in: toList(query.propertyId) };
+        }
+        if (query.status) {
+            where.status = { in: toList(query.status) };
+        }
+        if (query.source) {
+            where.source = { in: toList(query.source) };
+        }
+
+        // from/to select stays that overlap the range (same rule as the calendar)
+        const from = query.from ? new Date(query.from) : null;
+        const to = query.to ? new Date(query.to) : null;
+        if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+            throw httpError(400, 'Los parámetros from y to deben ser fechas válidas');
+        }
+        if (from) where.checkOut = { gt: from };
+        if (to) where.checkIn = { lt: to };
+
+        if (query.q) {
+            where.OR = [
+                { guestName: { contains: query.q, mode: 'insensitive' } },
+                { guestEmail: { contains: query.q, mode: 'insensitive' } }
+            ];
+        }
+
+        return where;
+    }
+
+    // Get single reservation owned by the user
+    async getReservation(userId, reservationId) {
+        const reservation = await this.prisma.reservation.findFirst({
+            where: {
+                id: reservationId,
+                property: { ownerId: userId }
+            },
+            include: {
+                property: PROPERTY_SUMMARY,
+                payments: true
+            }
+        });
+
+        if (!reservation) {
+            throw httpError(404, 'Reserva no encontrada');
+        }
+
+        return reservation;
+    }
+
+    // Create reservation (direct booking or manual block)
+    async createReservation(userId, data) {
+        const { propertyId, guest = {}, pricing = {}, notes } = data;
+        const source = data.source || 'direct';
+
+        if (!RESERVATION_SOURCES.includes(source)) {
+            throw httpError(400, `Origen inválido. Valores permitidos: ${RESERVATION_SOURCES.join(', ')}`);
+        }
+
+        const property = await this.prisma.property.findFirst({
+            where: { id: propertyId, ownerId: userId }
+        });
+
+        if (!property) {
+            throw httpError(404, 'Propiedad no encontrada');
+        }
+
+        // Manual blocks only reserve dates, they have no guest
+        const isBlock = source === 'manual';
+        if (!isBlock && (!guest.name || !guest.email)) {
+            throw httpError(400, 'Nombre y email del huésped son obligatorios');
+        }
+
+        const guestCount = guest.guestCount !== undefined ? guest.guestCount : 1;
+        const stay = this.validateStay(property, data.checkIn, data.checkOut, guestCount);
+        await this.assertAvailable(propertyId, stay.checkIn, stay.checkOut);
+
+        const baseAmount = pricing.baseAmount !== undefined ? pricing.baseAmount : property.basePrice * stay.nights;
+        const cleaningFee = pricing.cleaningFee !== undefined ? pricing.cleaningFee : property.cleaningFee;
+
+        const reservation = await this.prisma.reservation.create({
+            data: {
+                propertyId,
+                guestName: guest.name || 'Bloqueo manual',
+                guestEmail: guest.email || '',
+                guestPhone: guest.phone || null,
+                guestLanguage: guest.language || 'es',
+                guestCountry: guest.country || null,
+                guestCount,
+                checkIn: stay.checkIn,
+                checkOut: stay.checkOut,
+                nights: stay.nights,
+                source,
+                status: 'confirmed',
+                baseAmount: isBlock ? 0 : baseAmount,
+                cleaningFee: isBlock ? 0 : cleaningFee,
+                totalAmount: isBlock ? 0 : (pricing.totalAmount !== undefined ? pricing.totalAmount : baseAmount + cleaningFee),
+                currency: property.currency,
+                depositAmount: isBlock ? null : property.depositAmount,
+                depositCurrency: isBlock ? null : property.currency,
+                notes: notes || null
+            },
+            include: { property: PROPERTY_SUMMARY }
+        });
+
+        console.log(`✅ Nueva reserva creada: ${reservation.guestName} (${reservation.id})`);
+
+        await this.channelManager.detectConflicts(propertyId);
+        return reservation;
+    }
+
+    // Update guest details, dates or pricing
+    async updateReservation(userId, reservationId, data) {
+        const { guest = {}, pricing = {}, notes } = data;
+
+        const existing = await this.prisma.reservation.findFirst({
+            where: {
+                id: reservationId,
+                property: { ownerId: userId }
+            },
+            include: { property: true }
+        });
+
+        if (!existing) {
+            throw httpError(404, 'Reserva no encontrada');
+        }
+
+        if (existing.status === 'cancelled') {
+            throw httpError(409, 'No se puede modificar una reserva cancelada');
+        }
+
+        if (data.status !== undefined && data.status !== existing.status) {
+            throw httpError(400, 'El estado se cambia con los endpoints check-in, check-out, cancel y no-show');
+        }
+
+        const datesChanged = data.checkIn !== undefined || data.checkOut !== undefined;
+        const guestCount = guest.guestCount !== undefined ? guest.guestCount : existing.guestCount;
+        const stay = this.validateStay(
+            existing.property,
+            data.checkIn !== undefined ? data.checkIn : existing.checkIn,
+            data.checkOut !== undefined ? data.checkOut : existing.checkOut,
+            guestCount
+        );
+
+        if (datesChanged) {
+            await this.assertAvailable(existing.propertyId, stay.checkIn, stay.checkOut, existing.id);
+        }
+
+        const updateData = {
+            ...(guest.name && { guestName: guest.name }),
+            ...(guest.email && { guestEmail: guest.email }),
+            ...(guest.phone !== undefined && { guestPhone: guest.phone || null }),
+            ...(guest.language && { guestLanguage: guest.language }),
+            ...(guest.country !== undefined && { guestCountry: guest.country || null }),
+            ...(guest.guestCount !== undefined && { guestCount }),
+            ...(datesChanged && {
+                checkIn: stay.checkIn,
+                checkOut: stay.checkOut,
+                nights: stay.nights
+            }),
+            ...(pricing.baseAmount !== undefined && { baseAmount: pricing.baseAmount }),
+            ...(pricing.cleaningFee !== undefined && { cleaningFee: pricing.cleaningFee }),
+            ...(pricing.totalAmount !== undefined && { totalAmount: pricing.totalAmount }),
+            ...(notes !== undefined && { notes: notes || null })
+        };
+
+        const reservation = await this.prisma.reservation.update({
+            where: { id: existing.id },
+            data: updateData,
+            include: { property: PROPERTY_SUMMARY }
+        });
+
+        console.log(`✅ Reserva actualizada: ${reservation.id}`);
+
+        if (datesChanged) {
+            await this.channelManager.detectConflicts(existing.propertyId);
+        }
+        return reservation;
+    }
+
+    // Cancel reservation (kept in the database, never deleted)
+    async cancelReservation(userId, reservationId, options = {}) {
+        return await this.transitionStatus(userId, reservationId, 'cancelled', options);
+    }
+
+    // Move a reservation to a new status, timestamp it and run the side effects
+    async transitionStatus(userId, reservationId, toStatus, options = {}) {
+        const existing = await this.prisma.reservation.findFirst({
+            where: {
+                id: reservationId,
+                property: { ownerId: userId }
+            },
+            include: { property: true }
+        });
+
+        if (!existing) {
+            throw httpError(404, 'Reserva no encontrada');
+        }
+
+        const allowed = STATUS_TRANSITIONS[existing.status] || [];
+        if (!allowed.includes(toStatus)) {
+            throw httpError(409, `No se puede pasar una reserva de "${existing.status}" a "${toStatus}"`, {
+                currentStatus: existing.status,
+                allowedTransitions: allowed
+            });
+        }
+
+        const now = new Date();
+        if (toStatus === 'no_show' && now < existing.checkIn) {
+            throw httpError(409, 'No se puede marcar como no presentado antes de la fecha de check-in');
+        }
+
+        const statusData = {
+            checked_in: { actualCheckIn: now },
+            checked_out: { actualCheckOut: now },
+            no_show: { noShowAt: now },
+            cancelled: {
+                cancelledAt: now,
+                cancelledBy: options.cancelledBy || 'host',
+                cancellationReason: options.reason || null
+            }
+        }[toStatus];
+
+        // Only from the status we checked: a concurrent transition that got there first wins
+        const { count } = await this.prisma.reservation.updateMany({
+            where: { id: existing.id, status: existing.status },
+            data: { status: toStatus, ...statusData }
+        });
+
+        if (count === 0) {
+            throw httpError(409, 'La reserva acaba de cambiar de estado. Recarga e inténtalo de nuevo.');
+        }
+
+        let reservation = await this.prisma.reservation.findUnique({
+            where: { id: existing.id },
+            include: { property: true }
+        });
+
+        console.log(`✅ Reserva ${reservation.id}: ${existing.status} → ${toStatus}`);
+
+        const sideEffects = [];
+        const runSideEffect = async (type, effect) => {
+            try {
+                const result = await effect();
+                if (result) sideEffects.push({ type, ...result });
+            } catch (error) {
+                console.error(`❌ Error en ${type} para la reserva ${reservation.id}:`, error.message);
+                sideEffects.push({ type, status: 'error', error: error.message });
+            }
+        };
+
+        if (toStatus === 'checked_in') {
+            await runSideEffect('access_code', async () => {
+                const result = await this.activateAccessCodes(reservation);
+                reservation = result.reservation;
+                return { status: 'activated', codes: result.codes };
+            });
+            await runSideEffect('deposit', async () => this.checkDepositAuthorized(reservation));
+        } else {
+            await runSideEffect('access_code', async () => this.revokeAccessCodes(reservation));
+        }
+
+        // No-shows keep the deposit hold so the host can still claim the cancellation policy
+        if (toStatus === 'cancelled') {
+            await runSideEffect('deposit', async () => this.releaseDeposit(reservation));
+            await runSideEffect('conflicts', async () => {
+                await this.channelManager.detectConflicts(reservation.propertyId);
+                return null;
+            });
+        }
+
+        await runSideEffect('automation', async () =>
+            this.automationService.triggerEvent(reservation.property.ownerId, TRANSITION_EVENTS[toStatus], reservation));
+
+        return {
+            reservation: await this.prisma.reservation.findUnique({
+                where: { id: reservation.id },
+                include: { property: PROPERTY_SUMMARY }
+            }),
+            previousStatus: existing.status,
+            sideEffects
+        };
+    }
+
+    // Make sure the guest has a code at check-in and open any smart lock codes early
+    async activateAccessCodes(reservation) {
+        let updated = reservation;
+
+        if (!reservation.accessCode) {
+            updated = await this.prisma.reservation.update({
+                where: { id: reservation.id },
+                data: {
+                    accessCode: crypto.randomInt(0, 1000000).toString().padStart(6, '0'),
+                    accessCodeGeneratedAt: new Date(),
+                    accessCodeExpiresAt: reservation.checkOut
+                },
+                include: { property: true }
+            });
+        }
+
+        const lockCodes = await this.prisma.accessCode.updateMany({
+            where: {
+                bookingId: reservation.id,
+                status: 'active',
+                validFrom: { gt: new Date() }
+            },
+            data: { validFrom: new Date() }
+        });
+
+        return { reservation: updated, codes: lockCodes.count };
+    }
+
+    async revokeAccessCodes(reservation) {
+        const now = new Date();
+
+        const lockCodes = await this.prisma.accessCode.updateMany({
+            where: { bookingId: reservation.id, status: 'active' },
+            data: { status: 'revoked', revokedAt: now }
+        });
+
+        if (reservation.accessCode) {
+            await this.prisma.reservation.update({
+                where: { id: reservation.id },
+                data: { accessCodeExpiresAt: now }
+            });
+        }
+
+        return { status: 'revoked', codes: lockCodes.count };
+    }
+
+    async checkDepositAuthorized(reservation) {
+        if (!reservation.depositAmount) {
+            return null;
+        }
+
+        return reservation.depositStatus === 'authorized'
+            ? { status: 'authorized' }
+            : { status: 'missing', warning: 'El huésped ha hecho check-in sin fianza autorizada' };
+    }
+
+    // A cancelled stay also drops a deposit request the guest never completed
+    async releaseDeposit(reservation) {
+        if (!reservation.stripePaymentIntentId || !['pending', 'authorized'].includes(reservation.depositStatus)) {
+            return null;
+        }
+
+        const { deposit } = await this.depositService.release(reservation, 'reservation_cancelled');
+
+        return { status: deposit.status };
+    }
+
+    // Validate dates and capacity, returning parsed dates and nights.
+    // Stays are whole calendar days: any time of day is dropped (UTC midnight),
+    // so a same-day check-in and check-out is rejected instead of giving 0 nights.
+    validateStay(property, checkIn, checkOut, guestCount) {
+        const checkInDate = toCalendarDay(checkIn);
+        const checkOutDate = toCalendarDay(checkOut);
+
+        if (!checkIn || !checkOut || isNaN(checkInDate.getTime()) || isNaN(checkOutDate.getTime())) {
+            throw httpError(400, 'Fechas de check-in y check-out inválidas');
+        }
+
+        if (checkInDate >= checkOutDate) {
+            throw httpError(400, 'La fecha de check-out debe ser al menos un día posterior a la de check-in');
+        }
+
+        if (!Number.isInteger(guestCount) || guestCount < 1) {
+            throw httpError(400, 'El número de huéspedes debe ser un entero mayor que 0');
+        }
+
+        if (guestCount > property.maxGuests) {
+            throw httpError(400, `La propiedad admite un máximo de ${property.maxGuests} huéspedes`);
+        }
+
+        return {
+            checkIn: checkInDate,
+            checkOut: checkOutDate,
+            nights: Math.round((checkOutDate - checkInDate) / DAY_MS)
+        };
+    }
+
+    async assertAvailable(propertyId, checkIn, checkOut, excludeReservationId = null) {
+        const conflicts = await this.channelManager.findOverlappingReservations(
+            propertyId, checkIn, checkOut, excludeReservationId
+        );
+
+        if (conflicts.length > 0) {
+            throw httpError(409, 'Las fechas se solapan con otra reserva', {
+                conflicts: conflicts.map(conflict => ({
+                    id: conflict.id,
+                    guestName: conflict.guestName,
+                    source: conflict.source,
+                    checkIn: conflict.checkIn,
+                    checkOut: conflict.checkOut
+                }))
+            });
+        }
+    }
+}
+
+module.exports = ReservationService;
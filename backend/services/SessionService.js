@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long the refresh token replaced by the last rotation still counts as a
+// concurrent refresh (e.g. two tabs) instead of a replayed, stolen token
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const SESSION_SUMMARY = {
+    id: true,
+    userAgent: true,
+    ipAddress: true,
+    createdAt: true,
+    lastUsedAt: true,
+    expiresAt: true
+};
+
+const httpError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Session Service
+ * Issues short-lived JWT access tokens and rotating refresh tokens.
+ * Refresh tokens have the form `<sessionId>.<secret>` and only the SHA-256 of
+ * the secret is stored, so a leaked database cannot be used to resume sessions.
+ * Presenting an already-rotated refresh token revokes the whole session, except
+ * for the token replaced by the last rotation within ROTATION_GRACE_MS, which
+ * is answered with 409 so the client picks up the tokens the winner stored.
+ */
+class SessionService {
+    constructor(prisma, options = {}) {
+        this.prisma = prisma;
+        this.jwtSecret = options.jwtSecret || process.env.JWT_SECRET || 'your-secret-key';
+        this.accessTokenTtl = options.accessTokenTtl || process.env.ACCESS_TOKEN_TTL || '15m';
+        this.refreshTokenTtlDays = options.refreshTokenTtlDays || parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+        this.twoFactorService = options.twoFactorService || null;
+    }
+
+    /**
+     * Start a new session for the user and return its tokens
+     */
+    async createSession(user, context = {}) {
+        const secret = this.generateSecret();
+
+        // Drop this user's expired sessions so the table does not grow forever
+        await this.prisma.userSession.deleteMany({
+            where: { userId: user.id, expiresAt: { lt: new Date() } }
+        });
+
+        const session = await this.prisma.userSession.create({
+            data: {
+                userId: user.id,
+                refreshTokenHash: this.hashSecret(secret),
+                expiresAt: new Date(Date.now() + this.refreshTokenTtlDays * DAY_MS),
+                userAgent: context.userAgent ? context.userAgent.slice(0, 500) : null,
+                ipAddress: context.ipAddress || null
+            }
+        });
+
+        return this.buildTokens(user, session, secret);
+    }
+
+    /**
+     * Exchange a refresh token for a new access token and a rotated refresh token
+     */
+    async refreshSession(refreshToken, context = {}) {
+        const [sessionId, secret] = String(refreshToken || '').split('.');
+        if (!sessionId || !secret) {
+            throw httpError(401, 'Refresh token inválido');
+        }
+
+        const session = await this.prisma.userSession.findUnique({
+            where: { id: sessionId },
+            include: { user: true }
+        });
+
+        if (!session || session.revokedAt || session.expiresAt < new Date()) {
+            throw httpError(401, 'Sesión expirada. Por favor, inicia sesión de nuevo.');
+        }
+
+        if (!this.matchesHash(secret, session.refreshTokenHash)) {
+            if (this.isConcurrentRefresh(session, secret)) {
+                throw httpError(409, 'La sesión se acaba de renovar en otra pestaña');
+            }
+
+            // An old refresh token was replayed: assume it was stolen and kill the session
+            await this.revokeSession(session.userId, session.id, 'token_reuse');
+            console.warn(`⚠️ Refresh token reuse detected for session ${session.id}, session revoked`);
+            throw httpError(401, 'Sesión revocada. Por favor, inicia sesión de nuevo.');
+        }
+
+        if (!session.user.isActive) {
+            await this.revokeSession(session.userId, session.id, 'admin');
+            throw httpError(401, 'Usuario no encontrado o desactivado');
+        }
+
+        const nextSecret = this.generateSecret();
+        const now = new Date();
+        const data = {
+            refreshTokenHash: this.hashSecret(nextSecret),
+            previousRefreshTokenHash: session.refreshTokenHash,
+            rotatedAt: now,
+            lastUsedAt: now,
+            ipAddress: context.ipAddress || session.ipAddress,
+            userAgent: context.userAgent ? context.userAgent.slice(0, 500) : session.userAgent
+        };
+
+        // Only rotate the token we just checked: a concurrent refresh that won
+        // the race has already replaced it, which is not token theft
+        const { count } = await this.prisma.userSession.updateMany({
+            where: { id: session.id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+            data
+        });
+
+        if (count === 0) {
+            throw httpError(409, 'La sesión se acaba de renovar en otra pestaña');
+        }
+
+        return this.buildTokens(session.user, { ...session, ...data }, nextSecret);
+    }
+
+    /**
+     * Whether the secret is the one replaced by a rotation a moment ago
+     */
+    isConcurrentRefresh(session, secret) {
+        return Boolean(session.previousRefreshTokenHash && session.rotatedAt)
+            && Date.now() - session.rotatedAt.getTime() < ROTATION_GRACE_MS
+            && this.matchesHash(secret, session.previousRefreshTokenHash);
+    }
+
+    /**
+     * Revoke one session of the user
+     */
+    async revokeSession(userId, sessionId, reason = 'logout') {
+        const result = await this.prisma.userSession.updateMany({
+            where: { id: sessionId, userId, revokedAt: null },
+            data: { revokedAt: new Date(), revokedReason: reason }
+        });
+
+        return result.count > 0;
+    }
+
+    /**
+     * Revoke every active session of the user, optionally keeping one
+     */
+    async revokeAllSessions(userId, reason = 'logout_all', exceptSessionId = null) {
+        const where = { userId, revokedAt: null };
+        if (exceptSessionId) {
+            where.id = { not: exceptSessionId };
+        }
+
+        const result = await this.prisma.userSession.updateMany({
+            where,
+            data: { revokedAt: new Date(), revokedReason: reason }
+        });
+
+        return result.count;
+    }
+
+    /**
+     * Active sessions of the user, most recently used first
+     */
+    async listSessions(userId, currentSessionId = null) {
+        const sessions = await this.prisma.userSession.findMany({
+            where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+            select: SESSION_SUMMARY,
+            orderBy: { lastUsedAt: 'desc' }
+        });
+
+        return sessions.map(session => ({
+            ...session,
+            current: session.id === currentSessionId
+        }));
+    }
+
+    buildTokens(user, session, secret) {
+        // Users whose plan requires 2FA get a token that only reaches the enrollment routes
+        const twoFactorSetupRequired = Boolean(this.twoFactorService)
+            && !user.twoFactorEnabled && this.twoFactorService.isRequired(user);
+
+        const token = jwt.sign(
+            {
+                userId: user.id,
+                email: user.email,
+                role: user.role,
+                sessionId: session.id,
+                ...(twoFactorSetupRequired && { twoFactorSetupRequired: true })
+            },
+            this.jwtSecret,
+            { expiresIn: this.accessTokenTtl }
+        );
+        const { exp } = jwt.decode(token);
+
+        return {
+            token,
+            expiresIn: exp - Math.floor(Date.now() / 1000),
+            refreshToken: `${session.id}.${secret}`,
+            refreshTokenExpiresAt: session.expiresAt
+        };
+    }
+
+    generateSecret() {
+        return crypto.randomBytes(32).toString('base64url');
+    }
+
+    hashSecret(secret) {
+        return crypto.createHash('sha256').update(secret).digest('hex');
+    }
+
+    matchesHash(secret, hash) {
+        const candidate = Buffer.from(this.hashSecret(secret), 'hex');
+        const stored = Buffer.from(hash, 'hex');
+        return candidate.length === stored.length && crypto.timingSafeEqual(candidate, stored);
+    }
+}
+
+module.exports = SessionService;
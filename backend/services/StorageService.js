@@ -0,0 +1,156 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Images accepted as base64 data URLs in JSON bodies
+const IMAGE_TYPES = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif'
+};
+const DATA_URL_PATTERN = /^data:(image\/[a-z]+);base64,([A-Za-z0-9+/]+={0,2})$/;
+
+const httpError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Storage Service
+ * Stores uploaded images in Cloudinary when CLOUDINARY_CLOUD_NAME is set,
+ * otherwise on disk under UPLOADS_DIR, served by the backend at /uploads.
+ * Files get random names, so their URLs cannot be guessed.
+ */
+class StorageService {
+    constructor(options = {}) {
+        this.maxBytes = options.maxBytes || (parseInt(process.env.UPLOAD_MAX_MB, 10) || 5) * 1024 * 1024;
+        this.uploadsDir = path.resolve(options.uploadsDir || process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads'));
+        this.publicUrl = (process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 8080}`).replace(/\/$/, '');
+
+        if (process.env.CLOUDINARY_CLOUD_NAME) {
+            this.cloudinary = require('cloudinary').v2;
+            this.cloudinary.config({
+                cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+                api_key: process.env.CLOUDINARY_API_KEY,
+                api_secret: process.env.CLOUDINARY_API_SECRET,
+                secure: true
+            });
+        }
+    }
+
+    /**
+     * Check a data URL and return { mimeType, buffer }
+     */
+    parseImage(dataUrl) {
+        const match = DATA_URL_PATTERN.exec(typeof dataUrl === 'string' ? dataUrl : '');
+        if (!match || !IMAGE_TYPES[match[1]]) {
+            throw httpError(400, `Las imágenes deben enviarse como data URL (${Object.keys(IMAGE_TYPES).join(', ')})`);
+        }
+
+        const buffer = Buffer.from(match[2], 'base64');
+        if (buffer.length > this.maxBytes) {
+            throw httpError(413, `Cada imagen puede ocupar como máximo ${Math.round(this.maxBytes / 1024 / 1024)} MB`);
+        }
+
+        return { mimeType: match[1], buffer };
+    }
+
+    /**
+     * Store the images of a folder (e.g. incidents/<id>) and return their public URLs.
+     * Everything is validated before the first upload.
+     */
+    async uploadImages(folder, dataUrls) {
+        const images = dataUrls.map(dataUrl => this.parseImage(dataUrl));
+        const urls = [];
+
+        for (const image of images) {
+            urls.push(this.cloudinary
+                ? await this.uploadToCloudinary(folder, image)
+                : await this.saveLocally(folder, image));
+        }
+
+        return urls;
+    }
+
+    async uploadToCloudinary(folder, { mimeType, buffer }) {
+        const result = await this.cloudinary.uploader.upload(`data:${mimeType};base64,${buffer.toString('base64')}`, {
+            folder: `airhost/${folder}`,
+            resource_type: 'image'
+        });
+
+        return result.secure_url;
+    }
+
+    async saveLocally(folder, { mimeType, buffer }) {
+        const directory = path.join(this.uploadsDir, folder);
+        const fileName = `${crypto.randomUUID()}.${IMAGE_TYPES[mimeType]}`;
+
+        await fs.mkdir(directory, { recursive: true });
+        await fs.writeFile(path.join(directory, fileName), buffer);
+
+        return `${this.publicUrl}/uploads/${folder}/${fileName}`;
+    }
+
+    /**
+     * Delete every image stored under a folder (e.g. incidents/<id>)
+     */
+    async deleteFolder(folder) {
+        if (this.cloudinary) {
+            await this.cloudinary.api.delete_resources_by_prefix(`airhost/${folder}/`, { resource_type: 'image' });
+            await this.cloudinary.api.delete_folder(`airhost/${folder}`).catch(() => null);
+            return;
+        }
+
+        const directory = path.resolve(this.uploadsDir, folder);
+        if (!directory.startsWith(this.uploadsDir + path.sep)) {
+            throw new Error(`Folder outside the uploads directory: ${folder}`);
+        }
+
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+
+    /**
+     * Read back an image stored by this service, e.g. to embed it in a PDF.
+     * Cloudinary images are requested as JPEG, capped at `maxWidth` pixels.
+     * Returns { mimeType, buffer }, or null for URLs this service did not produce.
+     */
+    async readImage(url, { maxWidth = 1600 } = {}) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return null;
+        }
+
+        if (parsed.pathname.startsWith('/uploads/')) {
+            const filePath = path.resolve(this.uploadsDir, decodeURIComponent(parsed.pathname.slice('/uploads/'.length)));
+            const extension = path.extname(filePath).slice(1);
+            const mimeType = Object.keys(IMAGE_TYPES).find(type => IMAGE_TYPES[type] === extension);
+
+            if (filePath.startsWith(this.uploadsDir + path.sep) && mimeType) {
+                try {
+                    return { mimeType, buffer: await fs.readFile(filePath) };
+                } catch (error) {
+                    return null;
+                }
+            }
+        }
+
+        if (parsed.hostname === 'res.cloudinary.com' && parsed.pathname.includes('/image/upload/')) {
+            const transformed = url.replace('/image/upload/', `/image/upload/f_jpg,q_80,c_limit,w_${maxWidth}/`);
+            const response = await axios.get(transformed, {
+                responseType: 'arraybuffer',
+                timeout: 15000,
+                maxContentLength: this.maxBytes
+            });
+            return { mimeType: 'image/jpeg', buffer: Buffer.from(response.data) };
+        }
+
+        return null;
+    }
+}
+
+module.exports = StorageService;
@@ -1,6 +1,14 @@
+// Precio de Stripe de cada plan
+const PLAN_PRICE_IDS = {
+    basic: 'price_basic_monthly',
+    pro: 'price_pro_monthly',
+    enterprise: 'price_enterprise_monthly'
+};
+
 class StripeService {
     constructor() {
         this.stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+        this.webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
     }
 
     // Crear cliente
@@ -27,12 +35,21 @@ class StripeService {
     async createSecurityDeposit(reservationData) {
         try {
             const { amount, currency, guest, reservationId } = reservationData;
+
+            // Cliente del huésped: la tarjeta queda guardada para re-autorizar estancias largas
+            const customer = await this.stripe.customers.create({
+                email: guest.email,
+                name: guest.name,
+                metadata: { reservation_id: reservationId }
+            });
             
             const paymentIntent = await this.stripe.paymentIntents.create({
-                amount: amount * 100, // Stripe usa centavos
+                amount: Math.round(amount * 100), // Stripe usa centavos
                 currency: currency.toLowerCase(),
                 capture_method: 'manual', // Solo autorizar, no cobrar
                 payment_method_types: ['card'],
+                customer: customer.id,
+                setup_future_usage: 'off_session',
                 metadata: {
                     type: 'security_deposit',
                     reservation_id: reservationId,
@@ -44,18 +61,49 @@ class StripeService {
             return {
                 success: true,
                 client_secret: paymentIntent.client_secret,
-                payment_intent_id: paymentIntent.id
+                payment_intent_id: paymentIntent.id,
+                customer_id: customer.id
             };
         } catch (error) {
             return { success: false, error: error.message };
         }
     }
 
+    // Nueva preautorización con la tarjeta guardada, sin el huésped presente
+    async reauthorizeDeposit({ amount, currency, customerId, paymentMethodId, reservationId, previousPaymentIntentId }) {
+        try {
+            const paymentIntent = await this.stripe.paymentIntents.create({
+                amount: Math.round(amount * 100),
+                currency: currency.toLowerCase(),
+                capture_method: 'manual',
+                customer: customerId,
+                payment_method: paymentMethodId,
+                off_session: true,
+                confirm: true,
+                metadata: {
+                    type: 'security_deposit',
+                    reservation_id: reservationId,
+                    reauthorization_of: previousPaymentIntentId
+                }
+            });
+
+            if (paymentIntent.status !== 'requires_capture') {
+                await this.stripe.paymentIntents.cancel(paymentIntent.id).catch(() => null);
+                return { success: false, error: `Estado inesperado: ${paymentIntent.status}` };
+            }
+
+            return { success: true, payment_intent_id: paymentIntent.id };
+        } catch (error) {
+            // authentication_required: el banco pide que el huésped confirme (3DS)
+            return { success: false, error: error.message, code: error.code };
+        }
+    }
+
     // Cobrar daños
     async chargeDamages(paymentIntentId, amount, description) {
         try {
             const capture = await this.stripe.paymentIntents.capture(paymentIntentId, {
-                amount_to_capture: amount * 100,
+                amount_to_capture: Math.round(amount * 100),
                 metadata: {
                     damage_description: description,
                     charged_at: new Date().toISOString()
@@ -65,13 +113,23 @@ class StripeService {
             return { 
                 success: true, 
                 captured_amount: amount,
-                charge_id: capture.id 
+                charge_id: capture.latest_charge || capture.id
             };
         } catch (error) {
             return { success: false, error: error.message };
         }
     }
 
+    // Consultar el estado de una fianza
+    async retrievePaymentIntent(paymentIntentId) {
+        try {
+            const paymentIntent = await this.stripe.paymentIntents.retrieve(paymentIntentId);
+            return { success: true, paymentIntent };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
     // Liberar fianza
     async releaseDeposit(paymentIntentId) {
         try {
@@ -85,15 +143,9 @@ class StripeService {
     // Crear suscripción
     async createSubscription(customerId, planType) {
         try {
-            const priceIds = {
-                basic: 'price_basic_monthly',
-                pro: 'price_pro_monthly',
-                enterprise: 'price_enterprise_monthly'
-            };
-
             const subscription = await this.stripe.subscriptions.create({
                 customer: customerId,
-                items: [{ price: priceIds[planType] }],
+                items: [{ price: PLAN_PRICE_IDS[planType] }],
                 payment_behavior: 'default_incomplete',
                 expand: ['latest_invoice.payment_intent']
             });
@@ -107,6 +159,55 @@ class StripeService {
             return { success: false, error: error.message };
         }
     }
+
+    // Disputas abiertas sobre un cobro (chargeId puede ser un ch_ o, en su defecto, un pi_)
+    async listDisputes(chargeId) {
+        try {
+            const filter = chargeId.startsWith('pi_') ? { payment_intent: chargeId } : { charge: chargeId };
+            const disputes = await this.stripe.disputes.list({ ...filter, limit: 10 });
+            return { success: true, disputes: disputes.data };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Añadir un documento como prueba a una disputa (submit: false la deja como borrador en Stripe)
+    async submitDisputeEvidence(disputeId, { file, fileName, evidence = {}, submit = false }) {
+        try {
+            const upload = await this.stripe.files.create({
+                purpose: 'dispute_evidence',
+                file: { data: file, name: fileName, type: 'application/pdf' }
+            });
+
+            const dispute = await this.stripe.disputes.update(disputeId, {
+                evidence: { ...evidence, uncategorized_file: upload.id },
+                submit
+            });
+
+            return { success: true, file_id: upload.id, dispute };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Plan al que corresponde un precio de Stripe
+    planForPrice(priceId) {
+        return Object.keys(PLAN_PRICE_IDS).find(plan => PLAN_PRICE_IDS[plan] === priceId) || null;
+    }
+
+    // Verificar la firma de un webhook (rawBody: los bytes tal cual los envió Stripe)
+    constructWebhookEvent(rawBody, signature) {
+        if (!this.webhookSecret) {
+            return { success: false, error: 'STRIPE_WEBHOOK_SECRET no configurado' };
+        }
+
+        try {
+            const event = this.stripe.webhooks.constructEvent(rawBody, signature, this.webhookSecret);
+            return { success: true, event };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
 }
 
 module.exports = StripeService;
\ No newline at end of file
@@ -0,0 +1,284 @@
+// A delivery still "processing" after this long crashed mid-way and may be retried
+const STALE_PROCESSING_MS = 10 * 60 * 1000;
+
+// Stripe subscription status → User.subscriptionStatus
+const SUBSCRIPTION_STATUSES = {
+    active: 'active',
+    trialing: 'active',
+    past_due: 'past_due',
+    unpaid: 'past_due',
+    incomplete: 'past_due',
+    canceled: 'canceled',
+    incomplete_expired: 'canceled'
+};
+
+// Stripe amounts are in cents
+const fromCents = amount => (amount || 0) / 100;
+
+/**
+ * Stripe Webhook Service
+ * Applies asynchronous Stripe events to Payment, Reservation (deposits) and
+ * User (subscription). Stripe may deliver an event more than once or out of
+ * order: every event id is recorded in StripeEvent and handled only once,
+ * and deposits never leave a final status.
+ */
+class StripeWebhookService {
+    constructor(prisma, stripeService, depositService, notificationService) {
+        this.prisma = prisma;
+        this.stripeService = stripeService;
+        this.depositService = depositService;
+        this.notificationService = notificationService;
+
+        this.handlers = {
+            'payment_intent.amount_capturable_updated': event => this.handlePaymentIntentUpdate(event.data.object),
+            'payment_intent.succeeded': event => this.handlePaymentIntentSucceeded(event.data.object),
+            'payment_intent.canceled': event => this.handlePaymentIntentUpdate(event.data.object),
+            'payment_intent.payment_failed': event => this.handlePaymentIntentFailed(event.data.object),
+            'charge.refunded': event => this.handleChargeRefunded(event.data.object),
+            'customer.subscription.created': event => this.handleSubscriptionChange(event.data.object),
+            'customer.subscription.updated': event => this.handleSubscriptionChange(event.data.object),
+            'customer.subscription.deleted': event => this.handleSubscriptionChange({ ...event.data.object, status: 'canceled' }),
+            'invoice.paid': event => this.handleInvoice(event.data.object, true),
+            'invoice.payment_failed': event => this.handleInvoice(event.data.object, false)
+        };
+    }
+
+    /**
+     * Process a verified event once. Returns { duplicate, handled }; throws if
+     * processing failed so the endpoint answers 500 and Stripe retries.
+     */
+    async handleEvent(event) {
+        if (!await this.claim(event)) {
+            return { duplicate: true, handled: false };
+        }
+
+        try {
+            const handler = this.handlers[event.type];
+            const handled = handler ? await handler(event) : false;
+
+            await this.prisma.stripeEvent.update({
+                where: { id: event.id },
+                data: { status: handled ? 'processed' : 'ignored', processedAt: new Date() }
+            });
+
+            return { duplicate: false, handled };
+        } catch (error) {
+            await this.prisma.stripeEvent.update({
+                where: { id: event.id },
+                data: { status: 'failed', error: error.message.slice(0, 1000) }
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Record the event id. False when it was already handled or is being handled.
+     */
+    async claim(event) {
+        try {
+            await this.prisma.stripeEvent.create({
+                data: { id: event.id, type: event.type, livemode: Boolean(event.livemode) }
+            });
+            return true;
+        } catch (error) {
+            if (error.code !== 'P2002') throw error;
+        }
+
+        // Failed or abandoned deliveries are processed again
+        const { count } = await this.prisma.stripeEvent.updateMany({
+            where: {
+                id: event.id,
+                OR: [
+                    { status: 'failed' },
+                    { status: 'processing', updatedAt: { lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+                ]
+            },
+            data: { status: 'processing', error: null }
+        });
+
+        return count > 0;
+    }
+
+    /**
+     * Deposit authorized by the guest (amount_capturable_updated) or cancelled
+     */
+    async handlePaymentIntentUpdate(paymentIntent) {
+        const reservation = await this.findDepositReservation(paymentIntent.id);
+        if (!reservation) {
+            return false;
+        }
+
+        await this.depositService.applyIntentStatus(reservation, paymentIntent);
+        return true;
+    }
+
+    async handlePaymentIntentSucceeded(paymentIntent) {
+        const reservation = await this.findDepositReservation(paymentIntent.id);
+        if (reservation) {
+            await this.depositService.applyIntentStatus(reservation, paymentIntent);
+        }
+
+        const payments = await this.prisma.payment.findMany({
+            where: { stripePaymentIntentId: paymentIntent.id }
+        });
+        if (payments.length === 0) {
+            return Boolean(reservation);
+        }
+
+        const chargeId = typeof paymentIntent.latest_charge === 'string'
+            ? paymentIntent.latest_charge
+            : paymentIntent.latest_charge?.id;
+
+        for (const payment of payments) {
+            // Deposits are already marked captured by applyIntentStatus, but without the charge
+            if (payment.status !== 'captured' || (chargeId && !payment.stripeChargeId)) {
+                await this.prisma.payment.update({
+                    where: { id: payment.id },
+                    data: {
+                        status: 'captured',
+                        capturedAt: payment.capturedAt || new Date(),
+                        ...(chargeId && !payment.stripeChargeId && { stripeChargeId: chargeId })
+                    }
+                });
+            }
+
+            await this.notificationService.sendPaymentReceived(payment.ownerId, {
+                id: payment.id,
+                amount: fromCents(paymentIntent.amount_received),
+                currency: paymentIntent.currency.toUpperCase()
+            });
+        }
+
+        return true;
+    }
+
+    /**
+     * The guest's card was declined. A deposit stays pending so the guest can try again.
+     */
+    async handlePaymentIntentFailed(paymentIntent) {
+        const payments = await this.prisma.payment.findMany({
+            where: { stripePaymentIntentId: paymentIntent.id, status: 'pending' }
+        });
+        const reason = paymentIntent.last_payment_error?.message || null;
+
+        for (const payment of payments) {
+            await this.prisma.payment.update({
+                where: { id: payment.id },
+                data: {
+                    metadata: {
+                        ...payment.metadata,
+                        lastError: reason,
+                        lastErrorCode: paymentIntent.last_payment_error?.code || null
+                    }
+                }
+            });
+
+            await this.notificationService.sendPaymentFailed(payment.ownerId, payment, reason);
+        }
+
+        return payments.length > 0;
+    }
+
+    /**
+     * Refund of a charge. A refunded deposit capture also updates the reservation:
+     * refunded when the whole charge was returned, still captured for partial refunds.
+     */
+    async handleChargeRefunded(charge) {
+        const reservation = charge.payment_intent ? await this.findDepositReservation(charge.payment_intent) : null;
+        if (reservation && ['captured', 'refunded'].includes(reservation.depositStatus)) {
+            await this.prisma.reservation.update({
+                where: { id: reservation.id },
+                data: {
+                    depositStatus: charge.refunded ? 'refunded' : 'captured',
+                    depositRefundedAmount: fromCents(charge.amount_refunded),
+                    depositRefundedAt: new Date()
+                }
+            });
+        }
+
+        const payments = await this.prisma.payment.findMany({
+            where: {
+                OR: [
+                    { stripeChargeId: charge.id },
+                    ...(charge.payment_intent ? [{ stripePaymentIntentId: charge.payment_intent }] : [])
+                ]
+            }
+        });
+
+        for (const payment of payments) {
+            await this.prisma.payment.update({
+                where: { id: payment.id },
+                data: {
+                    // Partial refunds keep the payment captured
+                    ...(charge.refunded && { status: 'refunded' }),
+                    refundedAt: new Date(),
+                    metadata: { ...payment.metadata, refundedAmount: fromCents(charge.amount_refunded) }
+                }
+            });
+        }
+
+        return payments.length > 0 || Boolean(reservation);
+    }
+
+    async handleSubscriptionChange(subscription) {
+        const user = await this.prisma.user.findFirst({
+            where: { stripeCustomerId: subscription.customer }
+        });
+        if (!user) {
+            return false;
+        }
+
+        const item = subscription.items?.data?.[0];
+        const plan = this.stripeService.planForPrice(item?.price?.id);
+        const periodEnd = subscription.current_period_end || item?.current_period_end;
+
+        await this.prisma.user.update({
+            where: { id: user.id },
+            data: {
+                stripeSubscriptionId: subscription.id,
+                subscriptionStatus: SUBSCRIPTION_STATUSES[subscription.status] || user.subscriptionStatus,
+                ...(periodEnd && { currentPeriodEnd: new Date(periodEnd * 1000) }),
+                ...(plan && { plan })
+            }
+        });
+
+        return true;
+    }
+
+    /**
+     * Subscription invoices only notify; the status comes with customer.subscription.updated
+     */
+    async handleInvoice(invoice, paid) {
+        const user = await this.prisma.user.findFirst({
+            where: { stripeCustomerId: invoice.customer },
+            select: { id: true }
+        });
+        if (!user) {
+            return false;
+        }
+
+        const payment = {
+            id: invoice.id,
+            amount: fromCents(paid ? invoice.amount_paid : invoice.amount_due),
+            currency: invoice.currency.toUpperCase(),
+            description: 'Suscripción AirHost AI'
+        };
+
+        if (paid) {
+            await this.notificationService.sendPaymentReceived(user.id, payment);
+        } else {
+            await this.notificationService.sendPaymentFailed(user.id, payment, 'revisa el método de pago de tu suscripción');
+        }
+
+        return true;
+    }
+
+    async findDepositReservation(paymentIntentId) {
+        return this.prisma.reservation.findFirst({
+            where: { stripePaymentIntentId: paymentIntentId },
+            include: { property: true }
+        });
+    }
+}
+
+module.exports = StripeWebhookService;
@@ -0,0 +1,119 @@
+const cron = require('node-cron');
+
+/**
+ * Background Channel Sync Scheduler
+ * Periodically syncs every enabled channel whose nextSyncAt is due.
+ * Per-channel intervals, jitter and failure backoff are computed by
+ * ChannelManagerService.syncChannel when it stores nextSyncAt.
+ */
+class SyncSchedulerService {
+    constructor(prisma, channelManagerService, options = {}) {
+        this.prisma = prisma;
+        this.channelManager = channelManagerService;
+        this.cronExpression = options.cronExpression || process.env.CHANNEL_SYNC_CRON || '* * * * *';
+        this.batchSize = options.batchSize || parseInt(process.env.CHANNEL_SYNC_BATCH_SIZE, 10) || 20;
+        this.logRetentionDays = options.logRetentionDays || 30;
+        this.tasks = [];
+        this.isRunning = false;
+    }
+
+    /**
+     * Start the cron jobs
+     */
+    start() {
+        if (this.tasks.length > 0) {
+            return;
+        }
+
+        if (!cron.validate(this.cronExpression)) {
+            console.error(`❌ Invalid CHANNEL_SYNC_CRON expression: ${this.cronExpression}`);
+            return;
+        }
+
+        this.tasks.push(cron.schedule(this.cronExpression, () => this.runDueSyncs()));
+        // Daily cleanup of old sync history at 03:30
+        this.tasks.push(cron.schedule('30 3 * * *', () => this.cleanupSyncLogs()));
+
+        console.log(`⏰ Channel sync scheduler started (${this.cronExpression})`);
+    }
+
+    /**
+     * Stop the cron jobs
+     */
+    stop() {
+        this.tasks.forEach(task => task.stop());
+        this.tasks = [];
+    }
+
+    /**
+     * Sync every channel that is due. Skips the tick if the previous one is still running.
+     */
+    async runDueSyncs() {
+        if (this.isRunning) {
+            return [];
+        }
+
+        this.isRunning = true;
+        const results = [];
+
+        try {
+            const now = new Date();
+            const dueChannels = await this.prisma.channel.findMany({
+                where: {
+                    isActive: true,
+                    syncEnabled: true,
+                    icalUrl: { not: null },
+                    OR: [
+                        { nextSyncAt: null },
+                        { nextSyncAt: { lte: now } }
+                    ]
+                },
+                select: { id: true },
+                orderBy: { nextSyncAt: { sort: 'asc', nulls: 'first' } },
+                take: this.batchSize
+            });
+
+            for (const channel of dueChannels) {
+                try {
+                    results.push(await this.channelManager.syncChannel(channel.id, null, 'scheduled'));
+                } catch (error) {
+                    console.error(`❌ Scheduled sync failed for channel ${channel.id}:`, error.message);
+                }
+            }
+
+            if (results.length > 0) {
+                const failed = results.filter(result => !result.success).length;
+                console.log(`⏰ Scheduled sync: ${results.length} channel(s), ${failed} failed`);
+            }
+
+        } catch (error) {
+            console.error('❌ Error running scheduled channel sync:', error);
+        } finally {
+            this.isRunning = false;
+        }
+
+        return results;
+    }
+
+    /**
+     * Remove sync history older than the retention window
+     */
+    async cleanupSyncLogs() {
+        try {
+            const cutoffDate = new Date();
+            cutoffDate.setDate(cutoffDate.getDate() - this.logRetentionDays);
+
+            const result = await this.prisma.channelSyncLog.deleteMany({
+                where: { startedAt: { lt: cutoffDate } }
+            });
+
+            console.log(`🧹 Cleaned up ${result.count} old channel sync logs`);
+            return result;
+
+        } catch (error) {
+            console.error('❌ Error cleaning up channel sync logs:', error);
+        }
+    }
+}
+
+module.exports = SyncSchedulerService;
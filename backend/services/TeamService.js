@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const { PERMISSIONS } = require('./AccessService');
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const MEMBER_INCLUDE = {
+    user: { select: { id: true, name: true, email: true, phone: true } },
+    propertyAccess: {
+        select: {
+            propertyId: true,
+            permissions: true,
+            property: { select: { id: true, name: true } }
+        }
+    }
+};
+
+const httpError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Team Service
+ * Owners invite co-hosts and cleaners by email and grant them per-property
+ * permissions. The grants are enforced through AccessService.
+ */
+class TeamService {
+    constructor(prisma, accessService, messageService) {
+        this.prisma = prisma;
+        this.accessService = accessService;
+        this.messageService = messageService;
+        this.frontendUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+        // Permissions used when a grant does not list any
+        this.defaultPermissions = {
+            co_host: [
+                PERMISSIONS.VIEW_RESERVATIONS,
+                PERMISSIONS.MANAGE_RESERVATIONS,
+                PERMISSIONS.MANAGE_MESSAGES,
+                PERMISSIONS.MANAGE_LOCKS,
+                PERMISSIONS.MANAGE_PROPERTY
+            ],
+            cleaner: [PERMISSIONS.VIEW_RESERVATIONS]
+        };
+    }
+
+    /**
+     * Members of the owner's team (revoked ones excluded)
+     */
+    async listMembers(ownerId) {
+        const members = await this.prisma.teamMember.findMany({
+            where: { ownerId, status: { not: 'revoked' } },
+            include: MEMBER_INCLUDE,
+            orderBy: { invitedAt: 'desc' }
+        });
+
+        return members.map(member => this.toPublicMember(member));
+    }
+
+    /**
+     * Invite someone by email. Re-inviting a pending or revoked member sends a fresh link.
+     */
+    async inviteMember(owner, { email, role = 'co_host', grants = [] }) {
+        const normalizedEmail = email.toLowerCase().trim();
+
+        if (normalizedEmail === owner.email) {
+            throw httpError(400, 'No puedes invitarte a ti mismo');
+        }
+
+        const accessRows = await this.buildAccessRows(owner.id, role, grants);
+
+        const existing = await this.prisma.teamMember.findUnique({
+            where: { ownerId_email: { ownerId: owner.id, email: normalizedEmail } }
+        });
+
+        if (existing && existing.status === 'active') {
+            throw httpError(409, 'Esta persona ya forma parte de tu equipo');
+        }
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const inviteData = {
+            role,
+            status: 'invited',
+            inviteTokenHash: this.hashToken(token),
+            inviteExpiresAt: new Date(Date.now() + INVITE_TTL_MS),
+            invitedAt: new Date(),
+            acceptedAt: null,
+            userId: null
+        };
+
+        const member = await this.prisma.$transaction(async (tx) => {
+            const saved = existing
+                ? await tx.teamMember.update({ where: { id: existing.id }, data: inviteData })
+                : await tx.teamMember.create({ data: { ownerId: owner.id, email: normalizedEmail, ...inviteData } });
+
+            await tx.propertyAccess.deleteMany({ where: { memberId: saved.id } });
+            if (accessRows.length > 0) {
+                await tx.propertyAccess.createMany({
+                    data: accessRows.map(row => ({ ...row, memberId: saved.id }))
+                });
+            }
+
+            return tx.teamMember.findUnique({ where: { id: saved.id }, include: MEMBER_INCLUDE });
+        });
+
+        const emailResult = await this.messageService.sendTeamInviteEmail(
+            owner,
+            normalizedEmail,
+            role,
+            `${this.frontendUrl}/login.html?action=accept-invite&token=${token}`
+        );
+
+        return {
+            member: this.toPublicMember(member),
+            emailSent: emailResult.success
+        };
+    }
+
+    /**
+     * Join the team. The logged-in account must use the invited email.
+     */
+    async acceptInvite(user, token) {
+        const member = await this.prisma.teamMember.findUnique({
+            where: { inviteTokenHash: this.hashToken(String(token)) },
+            include: { owner: { select: { id: true, name: true } } }
+        });
+
+        if (!member || member.status !== 'invited') {
+            throw httpError(400, 'La invitación no es válida o ya se ha utilizado');
+        }
+        if (member.inviteExpiresAt < new Date()) {
+            throw httpError(400, 'La invitación ha caducado. Pide al propietario que te invite de nuevo.');
+        }
+        if (member.email !== user.email) {
+            throw httpError(403, `Esta invitación es para ${member.email}. Inicia sesión con esa cuenta.`);
+        }
+
+        const accepted = await this.prisma.teamMember.update({
+            where: { id: member.id },
+            data: {
+                userId: user.id,
+                status: 'active',
+                acceptedAt: new Date(),
+                inviteTokenHash: null,
+                inviteExpiresAt: null
+            },
+            include: MEMBER_INCLUDE
+        });
+
+        return { ...this.toPublicMember(accepted), owner: member.owner };
+    }
+
+    /**
+     * Replace every property grant of a member
+     */
+    async updateGrants(ownerId, memberId, grants) {
+        const member = await this.findMember(ownerId, memberId);
+        const accessRows = await this.buildAccessRows(ownerId, member.role, grants);
+
+        const updated = await this.prisma.$transaction(async (tx) => {
+            await tx.propertyAccess.deleteMany({ where: { memberId } });
+            if (accessRows.length > 0) {
+                await tx.propertyAccess.createMany({
+                    data: accessRows.map(row => ({ ...row, memberId }))
+                });
+            }
+            return tx.teamMember.findUnique({ where: { id: memberId }, include: MEMBER_INCLUDE });
+        });
+
+        return this.toPublicMember(updated);
+    }
+
+    /**
+     * Remove a member (or cancel a pending invite). Access is lost immediately.
+     */
+    async removeMember(ownerId, memberId) {
+        await this.findMember(ownerId, memberId);
+
+        await this.prisma.$transaction([
+            this.prisma.propertyAccess.deleteMany({ where: { memberId } }),
+            this.prisma.teamMember.update({
+                where: { id: memberId },
+                data: { status: 'revoked', inviteTokenHash: null, inviteExpiresAt: null }
+            })
+        ]);
+
+        return { success: true };
+    }
+
+    /**
+     * Teams the user belongs to, with the properties granted in each
+     */
+    async listMemberships(userId) {
+        const memberships = await this.prisma.teamMember.findMany({
+            where: { userId, status: 'active' },
+            include: {
+                ...MEMBER_INCLUDE,
+                owner: { select: { id: true, name: true, email: true } }
+            },
+            orderBy: { acceptedAt: 'desc' }
+        });
+
+        return memberships.map(member => ({ ...this.toPublicMember(member), owner: member.owner }));
+    }
+
+    async findMember(ownerId, memberId) {
+        const member = await this.prisma.teamMember.findFirst({
+            where: { id: memberId, ownerId, status: { not: 'revoked' } }
+        });
+
+        if (!member) {
+            throw httpError(404, 'Miembro del equipo no encontrado');
+        }
+
+        return member;
+    }
+
+    /**
+     * Validate that every granted property belongs to the owner and normalize permissions
+     */
+    async buildAccessRows(ownerId, role, grants) {
+        const propertyIds = [...new Set(grants.map(grant => grant.propertyId))];
+
+        if (propertyIds.length !== grants.length) {
+            throw httpError(400, 'Cada propiedad solo puede aparecer una vez');
+        }
+
+        const owned = await this.prisma.property.count({
+            where: { id: { in: propertyIds }, ownerId }
+        });
+
+        if (owned !== propertyIds.length) {
+            throw httpError(400, 'Solo puedes dar acceso a tus propias propiedades');
+        }
+
+        return grants.map(grant => ({
+            propertyId: grant.propertyId,
+            permissions: this.accessService.normalizePermissions(
+                grant.permissions && grant.permissions.length > 0 ? grant.permissions : this.defaultPermissions[role]
+            )
+        }));
+    }
+
+    toPublicMember(member) {
+        const { inviteTokenHash, propertyAccess, ...rest } = member;
+
+        return {
+            ...rest,
+            grants: propertyAccess.map(access => ({
+                propertyId: access.propertyId,
+                propertyName: access.property.name,
+                permissions: access.permissions
+            }))
+        };
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+}
+
+module.exports = TeamService;
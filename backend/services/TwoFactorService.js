@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept the previous and next code to absorb clock drift on the phone
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = '2fa_challenge';
+
+const httpError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    let bits = '';
+    for (const char of input.replace(/=+$/, '').toUpperCase()) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        bits += index.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Two-Factor Authentication Service
+ * RFC 6238 TOTP (SHA-1, 6 digits, 30 s) compatible with Google Authenticator,
+ * Authy and 1Password, plus single-use recovery codes stored as bcrypt hashes.
+ */
+class TwoFactorService {
+    constructor(prisma, options = {}) {
+        this.prisma = prisma;
+        this.issuer = options.issuer || 'AirHost AI';
+        this.jwtSecret = options.jwtSecret || process.env.JWT_SECRET || 'your-secret-key';
+        this.enforcedPlans = (options.enforcedPlans || process.env.TWO_FACTOR_ENFORCED_PLANS || 'enterprise')
+            .split(',')
+            .map(plan => plan.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Whether the user's plan requires 2FA
+     */
+    isRequired(user) {
+        return this.enforcedPlans.includes(user.plan);
+    }
+
+    /**
+     * Generate a new (pending) secret. It only becomes active after confirmEnrollment.
+     */
+    async startEnrollment(userId) {
+        const user = await this.prisma.user.findUnique({ where: { id: userId } });
+        if (!user) throw httpError(404, 'Usuario no encontrado');
+        if (user.twoFactorEnabled) throw httpError(409, 'La verificación en dos pasos ya está activada');
+
+        const secret = base32Encode(crypto.randomBytes(20));
+
+        await this.prisma.user.update({
+            where: { id: userId },
+            data: { twoFactorSecret: secret }
+        });
+
+        const label = encodeURIComponent(`${this.issuer}:${user.email}`);
+        const params = new URLSearchParams({
+            secret,
+            issuer: this.issuer,
+            algorithm: 'SHA1',
+            digits: String(TOTP_DIGITS),
+            period: String(TOTP_STEP_SECONDS)
+        });
+
+        return {
+            secret,
+            otpauthUrl: `otpauth://totp/${label}?${params.toString()}`
+        };
+    }
+
+    /**
+     * Activate 2FA once the user proves the authenticator app works.
+     * Returns the recovery codes; they are never shown again.
+     */
+    async confirmEnrollment(userId, code) {
+        const user = await this.prisma.user.findUnique({ where: { id: userId } });
+        if (!user) throw httpError(404, 'Usuario no encontrado');
+        if (user.twoFactorEnabled) throw httpError(409, 'La verificación en dos pasos ya está activada');
+        if (!user.twoFactorSecret) throw httpError(400, 'Inicia la configuración antes de confirmarla');
+
+        const step = this.verifyTotp(user.twoFactorSecret, code, null);
+        if (step === null) throw httpError(400, 'Código de verificación incorrecto');
+
+        const recoveryCodes = this.generateRecoveryCodes();
+
+        await this.prisma.user.update({
+            where: { id: userId },
+            data: {
+                twoFactorEnabled: true,
+                twoFactorEnabledAt: new Date(),
+                twoFactorLastStep: step,
+                twoFactorRecoveryCodes: await this.hashRecoveryCodes(recoveryCodes)
+            }
+        });
+
+        return { recoveryCodes };
+    }
+
+    /**
+     * Turn 2FA off. Requires the password and a current code (or recovery code).
+     */
+    async disable(userId, password, code) {
+        const user = await this.prisma.user.findUnique({ where: { id: userId } });
+        if (!user) throw httpError(404, 'Usuario no encontrado');
+        if (!user.twoFactorEnabled) throw httpError(400, 'La verificación en dos pasos no está activada');
+        if (this.isRequired(user)) {
+            throw httpError(403, 'Tu plan requiere la verificación en dos pasos');
+        }
+
+        if (!await bcrypt.compare(password, user.password)) {
+            throw httpError(401, 'Contraseña incorrecta');
+        }
+        if (!await this.verifyCode(user, code)) {
+            throw httpError(400, 'Código de verificación incorrecto');
+        }
+
+        await this.prisma.user.update({
+            where: { id: userId },
+            data: {
+                twoFactorEnabled: false,
+                twoFactorEnabledAt: null,
+                twoFactorSecret: null,
+                twoFactorLastStep: null,
+                twoFactorRecoveryCodes: []
+            }
+        });
+
+        return { success: true };
+    }
+
+    /**
+     * Replace the recovery codes, invalidating the old ones
+     */
+    async regenerateRecoveryCodes(userId, code) {
+        const user = await this.prisma.user.findUnique({ where: { id: userId } });
+        if (!user) throw httpError(404, 'Usuario no encontrado');
+        if (!user.twoFactorEnabled) throw httpError(400, 'La verificación en dos pasos no está activada');
+
+        if (!await this.verifyCode(user, code, { allowRecoveryCode: false })) {
+            throw httpError(400, 'Código de verificación incorrecto');
+        }
+
+        const recoveryCodes = this.generateRecoveryCodes();
+        await this.prisma.user.update({
+            where: { id: userId },
+            data: { twoFactorRecoveryCodes: await this.hashRecoveryCodes(recoveryCodes) }
+        });
+
+        return { recoveryCodes };
+    }
+
+    /**
+     * Status summary for the account settings page
+     */
+    async getStatus(userId) {
+        const user = await this.prisma.user.findUnique({ where: { id: userId } });
+        if (!user) throw httpError(404, 'Usuario no encontrado');
+
+        return {
+            enabled: user.twoFactorEnabled,
+            enabledAt: user.twoFactorEnabledAt,
+            required: this.isRequired(user),
+            recoveryCodesRemaining: Array.isArray(user.twoFactorRecoveryCodes) ? user.twoFactorRecoveryCodes.length : 0
+        };
+    }
+
+    /**
+     * Check a TOTP or recovery code for the login second step. Consumes what it accepts.
+     */
+    async verifyCode(user, code, { allowRecoveryCode = true } = {}) {
+        const normalized = String(code || '').replace(/\s+/g, '');
+
+        if (/^\d{6}$/.test(normalized)) {
+            const step = this.verifyTotp(user.twoFactorSecret, normalized, user.twoFactorLastStep);
+            if (step === null) return false;
+
+            // Remember the step so the same code cannot be replayed
+            const { count } = await this.prisma.user.updateMany({
+                where: {
+                    id: user.id,
+                    OR: [{ twoFactorLastStep: null }, { twoFactorLastStep: { lt: step } }]
+                },
+                data: { twoFactorLastStep: step }
+            });
+            return count > 0;
+        }
+
+        if (!allowRecoveryCode || !Array.isArray(user.twoFactorRecoveryCodes)) {
+            return false;
+        }
+
+        const candidate = normalized.toUpperCase().replace(/-/g, '');
+        for (const hash of user.twoFactorRecoveryCodes) {
+            if (await bcrypt.compare(candidate, hash)) {
+                // Only consume it from the list we read: if a concurrent login used a
+                // code first, the list changed and this attempt must not succeed too
+                const { count } = await this.prisma.user.updateMany({
+                    where: { id: user.id, twoFactorRecoveryCodes: { equals: user.twoFactorRecoveryCodes } },
+                    data: { twoFactorRecoveryCodes: user.twoFactorRecoveryCodes.filter(h => h !== hash) }
+                });
+                if (count === 0) return false;
+
+                console.log(`🔑 Recovery code used for user ${user.id}`);
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Short-lived token proving the password step succeeded
+     */
+    createChallenge(user) {
+        return jwt.sign(
+            { userId: user.id, purpose: CHALLENGE_PURPOSE },
+            this.jwtSecret,
+            { expiresIn: '5m' }
+        );
+    }
+
+    verifyChallenge(challengeToken) {
+        try {
+            const payload = jwt.verify(challengeToken, this.jwtSecret);
+            if (payload.purpose !== CHALLENGE_PURPOSE) throw new Error('Wrong token purpose');
+            return payload.userId;
+        } catch (error) {
+            throw httpError(401, 'El inicio de sesión ha caducado. Vuelve a introducir tu contraseña.');
+        }
+    }
+
+    // ====================================
+    // TOTP (RFC 6238)
+    // ====================================
+
+    generateTotp(secret, step) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+
+        const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+        return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+    }
+
+    /**
+     * Return the matching time step, or null. Steps at or before lastStep are rejected.
+     */
+    verifyTotp(secret, code, lastStep, now = Date.now()) {
+        if (!secret || !/^\d{6}$/.test(String(code))) return null;
+
+        const currentStep = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+        for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+            const step = currentStep + offset;
+            if (lastStep !== null && lastStep !== undefined && step <= lastStep) continue;
+
+            const expected = Buffer.from(this.generateTotp(secret, step));
+            if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+                return step;
+            }
+        }
+
+        return null;
+    }
+
+    generateRecoveryCodes() {
+        return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const raw = base32Encode(crypto.randomBytes(5));
+            return `${raw.slice(0, 4)}-${raw.slice(4, 8)}`;
+        });
+    }
+
+    hashRecoveryCodes(codes) {
+        // Codes are typed with or without the dash
+        return Promise.all(codes.map(code => bcrypt.hash(code.replace('-', ''), 10)));
+    }
+}
+
+module.exports = TwoFactorService;
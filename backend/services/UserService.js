@@ -0,0 +1,194 @@
+const bcrypt = require('bcryptjs');
+
+// Intl locale used for each supported interface language
+const LOCALES = {
+    es: 'es-ES',
+    en: 'en-GB',
+    fr: 'fr-FR'
+};
+
+const DEFAULT_PREFERENCES = {
+    language: 'es',
+    currency: 'EUR',
+    timezone: 'Europe/Madrid',
+    emailNotifications: true,
+    whatsappNotifications: true
+};
+
+const PREFERENCE_FIELDS = {
+    language: true,
+    currency: true,
+    timezone: true,
+    emailNotifications: true,
+    whatsappNotifications: true
+};
+
+const PROFILE_FIELDS = {
+    id: true,
+    email: true,
+    name: true,
+    phone: true,
+    company: true,
+    avatar: true,
+    provider: true,
+    role: true,
+    plan: true,
+    subscriptionStatus: true,
+    emailVerified: true,
+    twoFactorEnabled: true,
+    lastLogin: true,
+    createdAt: true,
+    ...PREFERENCE_FIELDS
+};
+
+const UPDATABLE_FIELDS = ['name', 'phone', 'company', 'avatar', ...Object.keys(PREFERENCE_FIELDS)];
+// Can be cleared with null or an empty string; the rest keep their value
+const CLEARABLE_FIELDS = ['company', 'avatar'];
+
+const httpError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * User Service
+ * Profile, preferences and password change of the logged-in user. The static
+ * helpers format dates and amounts with a user's language, timezone and currency.
+ */
+class UserService {
+    constructor(prisma, sessionService) {
+        this.prisma = prisma;
+        this.sessionService = sessionService;
+    }
+
+    /**
+     * Profile and preferences of the user
+     */
+    async getProfile(userId) {
+        const user = await this.prisma.user.findUnique({
+            where: { id: userId },
+            select: PROFILE_FIELDS
+        });
+
+        if (!user) {
+            throw httpError(404, 'Usuario no encontrado');
+        }
+
+        return user;
+    }
+
+    /**
+     * Update profile fields and preferences. Email and role are not editable here.
+     */
+    async updateProfile(userId, data) {
+        const updates = {};
+        for (const field of UPDATABLE_FIELDS) {
+            if (CLEARABLE_FIELDS.includes(field) && (data[field] === null || data[field] === '')) {
+                updates[field] = null;
+            } else if (data[field] !== undefined && data[field] !== null) {
+                updates[field] = data[field];
+            }
+        }
+
+        if (updates.timezone !== undefined && !isValidTimezone(updates.timezone)) {
+            throw httpError(400, 'Zona horaria no válida');
+        }
+
+        return this.prisma.user.update({
+            where: { id: userId },
+            data: updates,
+            select: PROFILE_FIELDS
+        });
+    }
+
+    /**
+     * Change the password and sign out every other device
+     */
+    async changePassword(userId, currentSessionId, currentPassword, newPassword) {
+        const user = await this.prisma.user.findUnique({ where: { id: userId } });
+        if (!user) {
+            throw httpError(404, 'Usuario no encontrado');
+        }
+
+        if (!await bcrypt.compare(currentPassword, user.password)) {
+            throw httpError(401, 'La contraseña actual no es correcta');
+        }
+        if (await bcrypt.compare(newPassword, user.password)) {
+            throw httpError(400, 'La nueva contraseña debe ser distinta de la actual');
+        }
+
+        await this.prisma.user.update({
+            where: { id: userId },
+            data: { password: await bcrypt.hash(newPassword, 12) }
+        });
+
+        // A pending reset link would let someone undo the change
+        await this.prisma.authToken.deleteMany({
+            where: { userId, type: 'password_reset', usedAt: null }
+        });
+
+        const revoked = await this.sessionService.revokeAllSessions(userId, 'password_change', currentSessionId);
+
+        return { revoked };
+    }
+
+    /**
+     * Preferences of the user, with defaults if the user no longer exists
+     */
+    async getPreferences(userId) {
+        const user = await this.prisma.user.findUnique({
+            where: { id: userId },
+            select: PREFERENCE_FIELDS
+        });
+
+        return { ...DEFAULT_PREFERENCES, ...user };
+    }
+
+    static getLocale(preferences = {}) {
+        return LOCALES[preferences.language] || LOCALES[DEFAULT_PREFERENCES.language];
+    }
+
+    // Date-only values (check-in/out, stored at UTC midnight): shifting them to the
+    // user's timezone would show the previous day west of UTC
+    static formatDate(date, preferences = {}) {
+        return new Date(date).toLocaleDateString(UserService.getLocale(preferences), {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric',
+            timeZone: 'UTC'
+        });
+    }
+
+    // Points in time, shown in the user's timezone
+    static formatDateTime(date, preferences = {}) {
+        return new Date(date).toLocaleString(UserService.getLocale(preferences), {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+            timeZone: preferences.timezone || DEFAULT_PREFERENCES.timezone
+        });
+    }
+
+    static formatMoney(amount, currency, preferences = {}) {
+        return new Intl.NumberFormat(UserService.getLocale(preferences), {
+            style: 'currency',
+            currency: (currency || preferences.currency || DEFAULT_PREFERENCES.currency).toUpperCase()
+        }).format(Number(amount));
+    }
+}
+
+UserService.DEFAULT_PREFERENCES = DEFAULT_PREFERENCES;
+
+module.exports = UserService;
@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const AuditService = require('../services/AuditService');
+
+// In-memory auditLog table with the unique sequence of the real one.
+// Json fields left out on create come back as null, like in Postgres.
+const fakePrisma = () => {
+    const rows = [];
+    const bySequence = (a, b) => a.sequence - b.sequence;
+
+    return {
+        rows,
+        auditLog: {
+            findFirst: async () => {
+                const last = [...rows].sort(bySequence).pop();
+                return last ? { sequence: last.sequence, hash: last.hash } : null;
+            },
+            create: async ({ data }) => {
+                if (rows.some(row => row.sequence === data.sequence)) {
+                    throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+                }
+                const row = { id: `a${data.sequence}`, before: null, after: null, metadata: null, ...data };
+                rows.push(row);
+                return row;
+            },
+            findMany: async ({ where, take }) => rows
+                .filter(row => row.sequence >= where.sequence.gte)
+                .sort(bySequence)
+                .slice(0, take)
+                .map(row => ({ ...row }))
+        }
+    };
+};
+
+describe('AuditService chain', () => {
+    const setup = async (count = 3) => {
+        const prisma = fakePrisma();
+        const service = new AuditService(prisma, { secret: 'test-secret' });
+        for (let index = 1; index <= count; index++) {
+            await service.record({
+                ownerId: 'owner',
+                actorId: 'owner',
+                action: 'reservation.updated',
+                entityType: 'reservation',
+                entityId: `r${index}`,
+                before: { status: 'pending', password: 'old' },
+                after: { status: 'confirmed', password: 'new' },
+                context: { ipAddress: '127.0.0.1' }
+            });
+        }
+        return { prisma, service };
+    };
+
+    it('links each entry to the previous one and verifies an untouched chain', async () => {
+        const { prisma, service } = await setup();
+
+        assert.deepEqual(prisma.rows.map(row => row.sequence), [1, 2, 3]);
+        assert.equal(prisma.rows[1].prevHash, prisma.rows[0].hash);
+        assert.deepEqual(prisma.rows[0].after, { status: 'confirmed', password: '[redacted]' });
+        assert.deepEqual(await service.verifyChain(), { valid: true, checked: 3, lastHash: prisma.rows[2].hash });
+    });
+
+    it('gives concurrent appends their own sequence numbers', async () => {
+        const { prisma, service } = await setup(0);
+
+        await Promise.all([1, 2, 3].map(index => service.record({ action: 'test', entityType: 'test', entityId: String(index) })));
+
+        assert.deepEqual(prisma.rows.map(row => row.sequence).sort(), [1, 2, 3]);
+        assert.equal((await service.verifyChain()).valid, true);
+    });
+
+    it('reports an edited row as modified_entry', async () => {
+        const { prisma, service } = await setup();
+        prisma.rows[1].after = { status: 'cancelled' };
+
+        assert.deepEqual(await service.verifyChain(), {
+            valid: false,
+            checked: 1,
+            brokenAt: { sequence: 2, id: 'a2', problem: 'modified_entry' }
+        });
+    });
+
+    it('reports a deleted row as missing_entry', async () => {
+        const { prisma, service } = await setup();
+        prisma.rows.splice(1, 1);
+
+        assert.deepEqual(await service.verifyChain(), {
+            valid: false,
+            checked: 1,
+            brokenAt: { sequence: 2, id: 'a3', problem: 'missing_entry' }
+        });
+    });
+
+    it('reports the first problem when a row was edited and a later one deleted', async () => {
+        const { prisma, service } = await setup(4);
+        prisma.rows[0].actorId = 'someone-else';
+        prisma.rows.splice(2, 1);
+
+        assert.equal((await service.verifyChain()).brokenAt.problem, 'modified_entry');
+
+        prisma.rows[0].actorId = 'owner';
+        assert.deepEqual((await service.verifyChain()).brokenAt, { sequence: 3, id: 'a4', problem: 'missing_entry' });
+    });
+
+    it('rejects a chain rebuilt without the HMAC key', async () => {
+        const { prisma } = await setup();
+        const forger = new AuditService(prisma, { secret: 'guessed' });
+
+        assert.equal((await forger.verifyChain()).brokenAt.problem, 'modified_entry');
+    });
+});
@@ -0,0 +1,160 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ChannelManagerService = require('../services/ChannelManagerService');
+
+const feed = (...events) => [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    ...events.flatMap(([uid, summary, start, end]) => [
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTART;VALUE=DATE:${start}`,
+        `DTEND;VALUE=DATE:${end}`,
+        `SUMMARY:${summary}`,
+        'END:VEVENT'
+    ]),
+    'END:VCALENDAR',
+    ''
+].join('\r\n');
+
+describe('ChannelManagerService.parseICalEvents', () => {
+    const service = new ChannelManagerService(null);
+
+    it('keeps Booking.com reservations exported as "CLOSED - Not available"', () => {
+        const { events, totalEvents } = service.parseICalEvents(
+            feed(['b1', 'CLOSED - Not available', '20300101', '20300104']),
+            'booking'
+        );
+
+        assert.equal(totalEvents, 1);
+        assert.equal(events.length, 1);
+        assert.equal(events[0].nights, 3);
+        assert.equal(events[0].guestName, 'Huésped booking');
+    });
+
+    it('drops Airbnb blocked dates but keeps its reservations', () => {
+        const { events, totalEvents } = service.parseICalEvents(feed(
+            ['a1', 'Reserved', '20300101', '20300103'],
+            ['a2', 'Airbnb (Not available)', '20300110', '20300112']
+        ), 'airbnb');
+
+        assert.equal(totalEvents, 2);
+        assert.deepEqual(events.map(event => event.externalId), ['a1']);
+    });
+
+    it('stores all-day dates as UTC midnight of the same day on servers east and west of UTC', (t) => {
+        const originalTz = process.env.TZ;
+        t.after(() => {
+            if (originalTz === undefined) delete process.env.TZ;
+            else process.env.TZ = originalTz;
+        });
+
+        for (const tz of ['Europe/Madrid', 'America/New_York']) {
+            process.env.TZ = tz;
+            const { events } = service.parseICalEvents(feed(['a1', 'Reserved', '20260710', '20260712']), 'airbnb');
+
+            assert.equal(events[0].checkIn.toISOString(), '2026-07-10T00:00:00.000Z', tz);
+            assert.equal(events[0].checkOut.toISOString(), '2026-07-12T00:00:00.000Z', tz);
+            assert.equal(events[0].nights, 2);
+        }
+    });
+
+    it('rejects a truncated feed', () => {
+        const truncated = feed(['a1', 'Reserved', '20300101', '20300103']).replace('END:VCALENDAR', '');
+
+        assert.throws(() => service.parseICalEvents(truncated, 'airbnb'), /no es válido/);
+    });
+});
+
+describe('ChannelManagerService.upsertReservations', () => {
+    const createService = ({ existing = null, missing = [] } = {}) => {
+        const calls = { findMany: 0, cancelled: [], updates: [], audits: [] };
+        const prisma = {
+            reservation: {
+                findFirst: async () => existing,
+                create: async ({ data }) => data,
+                update: async ({ data }) => {
+                    calls.updates.push(data);
+                    return { ...existing, ...data };
+                },
+                findMany: async () => {
+                    calls.findMany++;
+                    return missing;
+                }
+            }
+        };
+        const service = new ChannelManagerService(prisma);
+        service.reservationService = {
+            cancelReservation: async (ownerId, reservationId, options) => {
+                calls.cancelled.push({ ownerId, reservationId, options });
+                return {
+                    reservation: { id: reservationId, propertyId: 'p1', status: 'cancelled' },
+                    previousStatus: 'confirmed',
+                    sideEffects: [{ type: 'access_code', status: 'revoked', codes: 1 }]
+                };
+            }
+        };
+        service.auditService = { record: async (entry) => calls.audits.push(entry) };
+        return { service, calls };
+    };
+    const channel = { id: 'c1', ownerId: 'owner', propertyId: 'p1', name: 'booking' };
+
+    it('does not cancel anything when the feed had no events', async () => {
+        const { service, calls } = createService({ missing: [{ id: 'r9' }] });
+        const { events, totalEvents } = service.parseICalEvents(feed(), 'booking');
+
+        const result = await service.upsertReservations(channel, events, { sweepRemoved: totalEvents > 0 });
+
+        assert.equal(calls.findMany, 0);
+        assert.equal(result.cancelled, 0);
+    });
+
+    it('cancels reservations missing from a non-empty feed through the reservation transition', async () => {
+        const { service, calls } = createService({ missing: [{ id: 'r8' }, { id: 'r9' }] });
+        const { events } = service.parseICalEvents(feed(['b1', 'CLOSED - Not available', '20300101', '20300104']), 'booking');
+
+        const result = await service.upsertReservations(channel, events);
+
+        assert.equal(result.created, 1);
+        assert.equal(result.cancelled, 2);
+        assert.deepEqual(calls.cancelled.map(call => [call.ownerId, call.reservationId, call.options.cancelledBy]), [
+            ['owner', 'r8', 'platform'],
+            ['owner', 'r9', 'platform']
+        ]);
+        assert.deepEqual(calls.audits.map(entry => [entry.action, entry.entityId, entry.metadata.sideEffects[0]]), [
+            ['reservation.cancelled', 'r8', 'access_code:revoked'],
+            ['reservation.cancelled', 'r9', 'access_code:revoked']
+        ]);
+    });
+
+    it('cancels a reservation the feed marks as cancelled through the reservation transition', async () => {
+        const { service, calls } = createService({ existing: { id: 'r1', status: 'confirmed' } });
+        const events = [{ externalId: 'b1', cancelled: true }];
+
+        const result = await service.upsertReservations(channel, events, { sweepRemoved: false });
+
+        assert.equal(result.cancelled, 1);
+        assert.equal(calls.cancelled[0].reservationId, 'r1');
+        assert.equal(calls.updates.length, 0);
+    });
+
+    it('reactivates a reservation the channel cancelled when it reappears', async () => {
+        const { service, calls } = createService({ existing: { id: 'r1', status: 'cancelled', cancelledBy: 'platform' } });
+        const { events } = service.parseICalEvents(feed(['b1', 'Ana', '20300101', '20300104']), 'booking');
+
+        await service.upsertReservations(channel, events, { sweepRemoved: false });
+
+        assert.equal(calls.updates[0].status, 'confirmed');
+    });
+
+    it('keeps a reservation the host cancelled cancelled when it reappears', async () => {
+        const { service, calls } = createService({ existing: { id: 'r1', status: 'cancelled', cancelledBy: 'host' } });
+        const { events } = service.parseICalEvents(feed(['b1', 'Ana', '20300101', '20300104']), 'booking');
+
+        await service.upsertReservations(channel, events, { sweepRemoved: false });
+
+        assert.equal(calls.updates[0].status, undefined);
+        assert.equal(calls.updates[0].nights, 3);
+    });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const CredentialService = require('../services/CredentialService');
+
+const key = id => `${id}:${crypto.randomBytes(32).toString('base64')}`;
+
+describe('CredentialService encryption', () => {
+    const oldKey = key('k1');
+    const service = new CredentialService(null, { keys: oldKey });
+
+    it('round-trips strings and JSON values with the current key', () => {
+        const credentials = { apiKey: 'sk_live_123', accountId: 42 };
+
+        const stored = service.encrypt(credentials);
+
+        assert.match(stored, /^enc:v1:k1:/);
+        assert.doesNotMatch(stored, /sk_live_123/);
+        assert.deepEqual(service.decrypt(stored), credentials);
+        assert.equal(service.decrypt(service.encrypt('token')), 'token');
+        assert.notEqual(service.encrypt('token'), service.encrypt('token'));
+    });
+
+    it('passes through empty, encrypted and legacy clear values', () => {
+        const stored = service.encrypt('token');
+
+        assert.equal(service.encrypt(null), null);
+        assert.equal(service.encrypt(stored), stored);
+        assert.equal(service.decrypt(undefined), null);
+        assert.equal(service.decrypt('legacy-token'), 'legacy-token');
+    });
+
+    it('refuses a value whose ciphertext was altered', () => {
+        const parts = service.encrypt('token').split(':');
+        const ciphertext = Buffer.from(parts[4], 'base64url');
+        ciphertext[ciphertext.length - 1] ^= 1;
+        parts[4] = ciphertext.toString('base64url');
+
+        assert.throws(() => service.decrypt(parts.join(':')));
+    });
+
+    it('rewraps a value onto a new key id, keeping the ciphertext', () => {
+        const stored = service.encrypt({ apiKey: 'sk_live_123' });
+        const rotated = new CredentialService(null, { keys: `${key('k2')},${oldKey}` });
+
+        const rewrapped = rotated.rewrap(stored);
+
+        assert.match(rewrapped, /^enc:v1:k2:/);
+        assert.equal(rewrapped.split(':')[4], stored.split(':')[4]);
+        assert.deepEqual(rotated.decrypt(rewrapped), { apiKey: 'sk_live_123' });
+        assert.equal(rotated.rewrap(rewrapped), rewrapped);
+        assert.throws(() => service.decrypt(rewrapped), /k2/);
+    });
+
+    it('encrypts a clear value when rewrapping it', () => {
+        const rewrapped = service.rewrap('legacy-token');
+
+        assert.match(rewrapped, /^enc:v1:k1:/);
+        assert.equal(service.decrypt(rewrapped), 'legacy-token');
+    });
+
+    it('rejects malformed keys', () => {
+        assert.throws(() => new CredentialService(null, { keys: 'k1:short' }), /CREDENTIAL_KEYS/);
+    });
+});
+
+describe('CredentialService.redact', () => {
+    it('hides credentials at any depth without touching the original', () => {
+        const channel = {
+            id: 'c1',
+            apiCredentials: 'enc:v1:k1:abc:def',
+            settings: { lodgify: { apiKey: 'sk_live_123', propertyId: 7 } },
+            locks: [{ smartLockApiToken: 'tok', apiKey: null }],
+            createdAt: new Date(0)
+        };
+
+        const redacted = CredentialService.redact(channel);
+
+        assert.equal(redacted.apiCredentials, CredentialService.REDACTED);
+        assert.deepEqual(redacted.settings, { lodgify: { apiKey: CredentialService.REDACTED, propertyId: 7 } });
+        assert.deepEqual(redacted.locks, [{ smartLockApiToken: CredentialService.REDACTED, apiKey: null }]);
+        assert.equal(redacted.createdAt, channel.createdAt);
+        assert.equal(channel.settings.lodgify.apiKey, 'sk_live_123');
+    });
+});
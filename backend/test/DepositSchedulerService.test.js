@@ -0,0 +1,64 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DepositSchedulerService = require('../services/DepositSchedulerService');
+
+// Scheduler logs on stdout can corrupt the test runner's stream on Node 20
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+// DepositService stand-in whose jobs record their order and can be held open
+const fakeDepositService = () => {
+    const calls = [];
+    const job = (name, results) => async () => {
+        calls.push(name);
+        if (service.gate) await service.gate;
+        return results;
+    };
+    const service = {
+        calls,
+        gate: null,
+        sendDueGuestLinks: job('links', [{ reservationId: 'r1', success: true }]),
+        reauthorizeExpiringDeposits: job('reauthorizations', [{ reservationId: 'r2', success: false }]),
+        releaseDueDeposits: job('releases', [])
+    };
+    return service;
+};
+
+describe('DepositSchedulerService.runDueJobs', () => {
+    it('sends links, renews holds and then releases due deposits', async () => {
+        const depositService = fakeDepositService();
+        const scheduler = new DepositSchedulerService(depositService);
+
+        const results = await scheduler.runDueJobs();
+
+        assert.deepEqual(depositService.calls, ['links', 'reauthorizations', 'releases']);
+        assert.deepEqual(results.reauthorizations, [{ reservationId: 'r2', success: false }]);
+        assert.equal(scheduler.isRunning, false);
+    });
+
+    it('skips a tick while the previous one is still running', async () => {
+        const depositService = fakeDepositService();
+        const scheduler = new DepositSchedulerService(depositService);
+        let open;
+        depositService.gate = new Promise(resolve => { open = resolve; });
+
+        const first = scheduler.runDueJobs();
+        assert.equal(await scheduler.runDueJobs(), null);
+        open();
+        await first;
+
+        assert.deepEqual(depositService.calls, ['links', 'reauthorizations', 'releases']);
+    });
+
+    it('keeps running later ticks after a job fails', async () => {
+        const depositService = fakeDepositService();
+        const scheduler = new DepositSchedulerService(depositService);
+        depositService.sendDueGuestLinks = async () => { throw new Error('database down'); };
+
+        await scheduler.runDueJobs();
+
+        assert.equal(scheduler.isRunning, false);
+        assert.notEqual(await scheduler.runDueJobs(), null);
+    });
+});
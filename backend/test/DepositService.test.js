@@ -0,0 +1,379 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const DepositService = require('../services/DepositService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Service logs on stdout can corrupt the test runner's stream on Node 20
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+// Scalar conditions of a Prisma `where`; relation filters (property, incidents) are not evaluated
+const matches = (row, where = {}) => Object.entries(where).every(([key, condition]) => {
+    if (key === 'OR') return condition.some(option => matches(row, option));
+    if (key === 'property' || key === 'incidents') return true;
+
+    const value = row[key] ?? null;
+    if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+        return String(value) === String(condition);
+    }
+    if ('in' in condition && !condition.in.includes(value)) return false;
+    if ('not' in condition && value === condition.not) return false;
+    if ('lt' in condition && !(value !== null && value < condition.lt)) return false;
+    if ('lte' in condition && !(value !== null && value <= condition.lte)) return false;
+    if ('gt' in condition && !(value !== null && value > condition.gt)) return false;
+    return true;
+});
+
+// In-memory stand-in for the reservation, payment and incident tables
+const fakePrisma = ({ reservations = [], payments = [], incidents = [] } = {}) => {
+    const table = (rows, withProperty) => {
+        const output = row => (withProperty ? { ...row, property: { ownerId: 'owner', currency: 'EUR', name: 'Casa' } } : { ...row });
+        let nextId = rows.length + 1;
+
+        return {
+            rows,
+            findFirst: async ({ where }) => {
+                const row = rows.find(candidate => matches(candidate, where));
+                return row ? output(row) : null;
+            },
+            findUnique: async ({ where }) => {
+                const row = rows.find(candidate => candidate.id === where.id);
+                return row ? output(row) : null;
+            },
+            findMany: async ({ where } = {}) => rows.filter(row => matches(row, where)).map(output),
+            create: async ({ data }) => {
+                const row = { id: `row${nextId++}`, ...data };
+                rows.push(row);
+                return output(row);
+            },
+            update: async ({ where, data }) => {
+                const row = rows.find(candidate => candidate.id === where.id);
+                Object.assign(row, data);
+                return output(row);
+            },
+            updateMany: async ({ where, data }) => {
+                const matched = rows.filter(row => matches(row, where));
+                matched.forEach(row => Object.assign(row, data));
+                return { count: matched.length };
+            }
+        };
+    };
+
+    return {
+        reservation: table(reservations, true),
+        payment: table(payments, false),
+        incident: table(incidents, false),
+        $transaction: operations => Promise.all(operations)
+    };
+};
+
+const fakeStripe = () => {
+    const calls = { created: [], released: [], charged: [], reauthorized: [] };
+    let nextIntent = 1;
+
+    return {
+        calls,
+        createSecurityDeposit: async (data) => {
+            calls.created.push(data);
+            await new Promise(resolve => setImmediate(resolve));
+            const id = `pi_new${nextIntent++}`;
+            return { success: true, payment_intent_id: id, client_secret: `${id}_secret`, customer_id: 'cus_1' };
+        },
+        releaseDeposit: async (id) => {
+            calls.released.push(id);
+            return { success: true };
+        },
+        chargeDamages: async (id, amount) => {
+            calls.charged.push({ id, amount });
+            return { success: true, captured_amount: amount, charge_id: 'ch_1' };
+        },
+        retrievePaymentIntent: async (id) => ({
+            success: true,
+            paymentIntent: { id, status: 'requires_payment_method', client_secret: `${id}_secret`, customer: 'cus_1', payment_method: 'pm_1' }
+        }),
+        reauthorizeDeposit: async (data) => {
+            calls.reauthorized.push(data);
+            return { success: true, payment_intent_id: `pi_reauth${nextIntent++}` };
+        }
+    };
+};
+
+const createService = (tables, options = {}) => {
+    const prisma = fakePrisma(tables);
+    const stripe = fakeStripe();
+    const audits = [];
+    const auditService = { record: async entry => audits.push(entry) };
+    const notificationService = { sendDepositReauthorizationFailed: async () => {} };
+    const service = new DepositService(prisma, stripe, auditService, {}, notificationService, {
+        linkSecret: 'test-secret',
+        ...options
+    });
+    return { service, prisma, stripe, audits };
+};
+
+const reservation = (overrides = {}) => ({
+    id: 'r1',
+    propertyId: 'p1',
+    status: 'confirmed',
+    guestName: 'Ana',
+    guestEmail: 'ana@example.com',
+    checkIn: new Date(Date.now() + DAY_MS),
+    checkOut: new Date(Date.now() + 10 * DAY_MS),
+    depositAmount: 300,
+    depositCurrency: 'EUR',
+    depositStatus: 'pending',
+    stripePaymentIntentId: null,
+    depositAuthorizedAt: null,
+    depositReauthFailedAt: null,
+    ...overrides
+});
+
+describe('DepositService guest checkout', () => {
+    it('cancels the hold that could not be renewed when the guest authorizes a new one', async () => {
+        const authorizedAt = new Date(Date.now() - 6 * DAY_MS);
+        const { service, prisma, stripe } = createService({
+            reservations: [reservation({
+                depositStatus: 'authorized',
+                stripePaymentIntentId: 'pi_old',
+                depositAuthorizedAt: authorizedAt,
+                depositReauthFailedAt: new Date(authorizedAt.getTime() + DAY_MS)
+            })],
+            payments: [{ id: 'pay_old', type: 'deposit', status: 'authorized', stripePaymentIntentId: 'pi_old' }]
+        });
+        const { url } = service.createGuestLink(prisma.reservation.rows[0]);
+
+        const checkout = await service.getGuestCheckout(new URL(url).searchParams.get('token'));
+
+        assert.equal(checkout.clientSecret, 'pi_new1_secret');
+        assert.deepEqual(stripe.calls.released, ['pi_old']);
+        assert.equal(prisma.payment.rows.find(payment => payment.id === 'pay_old').status, 'released');
+        assert.equal(prisma.reservation.rows[0].stripePaymentIntentId, 'pi_new1');
+    });
+});
+
+describe('DepositService guest checkout claim', () => {
+    it('creates a single PaymentIntent when two visits open the link at once', async () => {
+        const { service, prisma, stripe } = createService({ reservations: [reservation()] });
+        const { url } = service.createGuestLink(prisma.reservation.rows[0]);
+        const token = new URL(url).searchParams.get('token');
+
+        const [first, second] = await Promise.all([service.getGuestCheckout(token), service.getGuestCheckout(token)]);
+
+        assert.equal(stripe.calls.created.length, 1);
+        assert.equal(first.clientSecret, 'pi_new1_secret');
+        assert.equal(second.clientSecret, 'pi_new1_secret');
+        assert.equal(prisma.payment.rows.length, 1);
+        assert.equal(prisma.reservation.rows[0].depositCheckoutClaimedAt, null);
+    });
+
+    it('takes over a claim left by a request that never finished', async () => {
+        const { service, prisma, stripe } = createService({
+            reservations: [reservation({ depositCheckoutClaimedAt: new Date(Date.now() - 5 * 60 * 1000) })]
+        });
+        const { url } = service.createGuestLink(prisma.reservation.rows[0]);
+
+        const checkout = await service.getGuestCheckout(new URL(url).searchParams.get('token'));
+
+        assert.equal(stripe.calls.created.length, 1);
+        assert.equal(checkout.clientSecret, 'pi_new1_secret');
+    });
+});
+
+describe('DepositService guest link', () => {
+    const { service } = createService({ reservations: [reservation()] }, { linkTtlHours: 72 });
+    const token = link => new URL(link.url).searchParams.get('token');
+
+    it('signs the link and opens the reservation it was made for', async () => {
+        const checkoutService = createService({ reservations: [reservation({ stripePaymentIntentId: 'pi_1' })] }).service;
+        const link = checkoutService.createGuestLink(reservation());
+
+        const found = await checkoutService.findGuestReservation(token(link));
+
+        assert.equal(found.id, 'r1');
+    });
+
+    it('never outlives the stay', () => {
+        const now = new Date();
+        const stay = reservation({ checkOut: new Date(now.getTime() + 2 * 60 * 60 * 1000) });
+
+        const link = service.createGuestLink(stay, now);
+
+        assert.equal(link.expiresAt.getTime(), Math.floor(stay.checkOut.getTime() / 1000) * 1000);
+        assert.throws(() => service.createGuestLink(reservation({ checkOut: new Date(now.getTime() - 1000) }), now), { status: 409 });
+    });
+
+    it('rejects a tampered or forged link', async () => {
+        const [id, expires, signature] = token(service.createGuestLink(reservation())).split('.');
+        const otherSigner = createService({}, { linkSecret: 'other-secret' }).service;
+
+        await assert.rejects(service.findGuestReservation(`r2.${expires}.${signature}`), { status: 403 });
+        await assert.rejects(service.findGuestReservation(`${id}.${Number(expires) + 3600}.${signature}`), { status: 403 });
+        await assert.rejects(service.findGuestReservation(token(otherSigner.createGuestLink(reservation()))), { status: 403 });
+        await assert.rejects(service.findGuestReservation(`${id}.${expires}.${signature}.extra`), { status: 403 });
+    });
+
+    it('rejects an expired link', async () => {
+        const link = service.createGuestLink(reservation(), new Date(Date.now() - 73 * 60 * 60 * 1000));
+
+        await assert.rejects(service.findGuestReservation(token(link)), { status: 410 });
+    });
+});
+
+describe('DepositService capture and release', () => {
+    const authorized = (overrides = {}) => reservation({
+        depositStatus: 'authorized',
+        stripePaymentIntentId: 'pi_1',
+        depositAuthorizedAt: new Date(),
+        ...overrides
+    });
+    const tables = (overrides = {}) => ({
+        reservations: [authorized(overrides)],
+        payments: [{ id: 'pay1', type: 'deposit', status: 'authorized', stripePaymentIntentId: 'pi_1' }],
+        incidents: [{ id: 'i1', reservationId: 'r1', status: 'reported', estimatedCost: 120, title: 'Lámpara rota' }]
+    });
+
+    it('captures the estimated cost of the incident and marks everything captured', async () => {
+        const { service, prisma, stripe } = createService(tables());
+
+        const result = await service.captureDeposit('owner', 'r1', { incidentId: 'i1', actorId: 'owner' });
+
+        assert.deepEqual(stripe.calls.charged, [{ id: 'pi_1', amount: 120 }]);
+        assert.equal(result.capturedAmount, 120);
+        assert.equal(result.previous.depositStatus, 'authorized');
+        assert.equal(prisma.reservation.rows[0].depositStatus, 'captured');
+        assert.equal(prisma.incident.rows[0].status, 'charged');
+        assert.equal(prisma.incident.rows[0].stripeChargeId, 'ch_1');
+        assert.equal(prisma.payment.rows[0].status, 'captured');
+    });
+
+    it('caps the default charge at the deposit and refuses more than the deposit', async () => {
+        const { service, stripe } = createService(tables());
+        await assert.rejects(service.captureDeposit('owner', 'r1', { incidentId: 'i1', amount: 301 }), { status: 400 });
+
+        const capped = createService({ ...tables(), incidents: [{ id: 'i1', reservationId: 'r1', status: 'reported', estimatedCost: 900 }] });
+        const result = await capped.service.captureDeposit('owner', 'r1', { incidentId: 'i1' });
+
+        assert.equal(stripe.calls.charged.length, 0);
+        assert.equal(result.capturedAmount, 300);
+    });
+
+    it('refuses to capture a deposit that is not authorized or an incident that is closed', async () => {
+        const released = createService(tables({ depositStatus: 'released' }));
+        await assert.rejects(released.service.captureDeposit('owner', 'r1', { incidentId: 'i1' }), { status: 409 });
+
+        const closed = createService({ ...tables(), incidents: [{ id: 'i1', reservationId: 'r1', status: 'dismissed', estimatedCost: 50 }] });
+        await assert.rejects(closed.service.captureDeposit('owner', 'r1', { incidentId: 'i1' }), { status: 409 });
+        assert.equal(closed.stripe.calls.charged.length, 0);
+    });
+
+    it('releases the hold and records the reason', async () => {
+        const { service, prisma, stripe } = createService(tables());
+
+        const { deposit } = await service.releaseDeposit('owner', 'r1', { reason: 'manual' });
+
+        assert.deepEqual(stripe.calls.released, ['pi_1']);
+        assert.equal(deposit.status, 'released');
+        assert.equal(prisma.payment.rows[0].status, 'released');
+        assert.deepEqual(prisma.payment.rows[0].metadata, { releaseReason: 'manual' });
+    });
+
+    it('refuses to release a deposit that was already captured', async () => {
+        const { service, stripe } = createService(tables({ depositStatus: 'captured' }));
+
+        await assert.rejects(service.releaseDeposit('owner', 'r1'), { status: 409 });
+        assert.equal(stripe.calls.released.length, 0);
+    });
+
+    it('keeps the deposit authorized when Stripe fails to release it', async () => {
+        const { service, prisma, stripe } = createService(tables());
+        stripe.releaseDeposit = async () => ({ success: false, error: 'api down' });
+
+        await assert.rejects(service.releaseDeposit('owner', 'r1'), { status: 502 });
+        assert.equal(prisma.reservation.rows[0].depositStatus, 'authorized');
+    });
+});
+
+describe('DepositService scheduled jobs', () => {
+    it('auto-releases deposits of stays that ended autoReleaseDays ago and audits it', async () => {
+        const now = new Date();
+        const { service, prisma, stripe, audits } = createService({
+            reservations: [
+                reservation({ id: 'due', depositStatus: 'authorized', stripePaymentIntentId: 'pi_due', checkOut: new Date(now.getTime() - 4 * DAY_MS) }),
+                reservation({ id: 'recent', depositStatus: 'authorized', stripePaymentIntentId: 'pi_recent', checkOut: new Date(now.getTime() - DAY_MS) })
+            ]
+        }, { autoReleaseDays: 3 });
+
+        const results = await service.releaseDueDeposits(now);
+
+        assert.deepEqual(results, [{ reservationId: 'due', success: true }]);
+        assert.deepEqual(stripe.calls.released, ['pi_due']);
+        assert.equal(prisma.reservation.rows[1].depositStatus, 'authorized');
+        assert.equal(audits[0].action, 'deposit.release');
+        assert.equal(audits[0].metadata.reason, 'auto_release');
+    });
+
+    it('renews a hold about to lapse during a long stay, then cancels the old one', async () => {
+        const now = new Date();
+        const { service, prisma, stripe, audits } = createService({
+            reservations: [reservation({
+                depositStatus: 'authorized',
+                stripePaymentIntentId: 'pi_old',
+                depositAuthorizedAt: new Date(now.getTime() - 6.5 * DAY_MS),
+                checkOut: new Date(now.getTime() + 14 * DAY_MS),
+                incidents: []
+            })],
+            payments: [{ id: 'pay_old', type: 'deposit', status: 'authorized', stripePaymentIntentId: 'pi_old' }]
+        }, { holdDays: 7, reauthLeadHours: 24 });
+
+        const [result] = await service.reauthorizeExpiringDeposits(now);
+
+        assert.equal(result.success, true);
+        assert.equal(stripe.calls.reauthorized[0].paymentMethodId, 'pm_1');
+        assert.deepEqual(stripe.calls.released, ['pi_old']);
+        assert.equal(prisma.reservation.rows[0].stripePaymentIntentId, result.paymentIntentId);
+        assert.equal(prisma.payment.rows.find(payment => payment.id === 'pay_old').status, 'released');
+        assert.equal(prisma.payment.rows.find(payment => payment.stripePaymentIntentId === result.paymentIntentId).status, 'authorized');
+        assert.equal(audits[0].action, 'deposit.reauthorize');
+    });
+
+    it('keeps the old hold and flags the reservation when the card cannot be charged off-session', async () => {
+        const now = new Date();
+        const { service, prisma, stripe, audits } = createService({
+            reservations: [reservation({
+                depositStatus: 'authorized',
+                stripePaymentIntentId: 'pi_old',
+                depositAuthorizedAt: new Date(now.getTime() - 6.5 * DAY_MS),
+                checkOut: new Date(now.getTime() + 14 * DAY_MS),
+                incidents: []
+            })]
+        }, { holdDays: 7, reauthLeadHours: 24 });
+        stripe.reauthorizeDeposit = async () => ({ success: false, error: 'authentication_required', code: 'authentication_required' });
+
+        const [result] = await service.reauthorizeExpiringDeposits(now);
+
+        assert.equal(result.success, false);
+        assert.equal(stripe.calls.released.length, 0);
+        assert.equal(prisma.reservation.rows[0].stripePaymentIntentId, 'pi_old');
+        assert.ok(prisma.reservation.rows[0].depositReauthFailedAt);
+        assert.equal(service.needsNewAuthorization(prisma.reservation.rows[0]), true);
+        assert.equal(audits[0].action, 'deposit.reauthorize_failed');
+    });
+
+    it('does not renew a hold that outlasts the stay', async () => {
+        const now = new Date();
+        const { service, stripe } = createService({
+            reservations: [reservation({
+                depositStatus: 'authorized',
+                stripePaymentIntentId: 'pi_1',
+                depositAuthorizedAt: new Date(now.getTime() - 6.5 * DAY_MS),
+                checkOut: new Date(now.getTime() - 3 * DAY_MS),
+                incidents: []
+            })]
+        }, { holdDays: 7, reauthLeadHours: 24, autoReleaseDays: 3 });
+
+        assert.deepEqual(await service.reauthorizeExpiringDeposits(now), []);
+        assert.equal(stripe.calls.reauthorized.length, 0);
+    });
+});
@@ -0,0 +1,148 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+
+const GoogleAuthService = require('../services/GoogleAuthService');
+
+const CLIENT_ID = 'test-client.apps.googleusercontent.com';
+const KID = 'test-key-1';
+
+// Stand-in for Google's JWKS endpoint (GOOGLE_JWKS_URI)
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+
+const signToken = (claims = {}, { kid = KID, key = privateKey, expiresIn = '1h' } = {}) => jwt.sign({
+    sub: 'google-user-1',
+    email: 'guest@example.com',
+    email_verified: true,
+    name: 'Test User',
+    ...claims
+}, key, {
+    algorithm: 'RS256',
+    keyid: kid,
+    audience: CLIENT_ID,
+    issuer: 'https://accounts.google.com',
+    expiresIn
+});
+
+const expectUnauthorized = async (promise, message) => {
+    await assert.rejects(promise, error => {
+        assert.equal(error.status, 401);
+        if (message) assert.match(error.message, message);
+        return true;
+    });
+};
+
+// Service logs on stdout can corrupt the test runner's stream on Node 20
+mock.method(console, 'log', () => {});
+
+describe('GoogleAuthService.verifyIdToken', () => {
+    let server;
+    let jwksUri;
+    let jwksRequests = 0;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            jwksRequests++;
+            res.setHeader('Content-Type', 'application/json');
+            res.setHeader('Cache-Control', 'public, max-age=3600');
+            res.end(JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, alg: 'RS256', use: 'sig' }] }));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        jwksUri = `http://127.0.0.1:${server.address().port}/certs`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    const createService = () => new GoogleAuthService(null, null, null, { clientIds: CLIENT_ID, jwksUri });
+
+    it('accepts a token signed with a key of the JWKS', async () => {
+        const payload = await createService().verifyIdToken(signToken());
+
+        assert.equal(payload.sub, 'google-user-1');
+        assert.equal(payload.email, 'guest@example.com');
+    });
+
+    it('rejects a token issued for another client id', async () => {
+        const token = jwt.sign({ sub: 'x', email: 'guest@example.com', email_verified: true }, privateKey, {
+            algorithm: 'RS256', keyid: KID, audience: 'another-client', issuer: 'https://accounts.google.com', expiresIn: '1h'
+        });
+
+        await expectUnauthorized(createService().verifyIdToken(token), /inválido/);
+    });
+
+    it('rejects a token from another issuer', async () => {
+        const token = jwt.sign({ sub: 'x', email: 'guest@example.com', email_verified: true }, privateKey, {
+            algorithm: 'RS256', keyid: KID, audience: CLIENT_ID, issuer: 'https://evil.example.com', expiresIn: '1h'
+        });
+
+        await expectUnauthorized(createService().verifyIdToken(token), /inválido/);
+    });
+
+    it('rejects an expired token', async () => {
+        const token = signToken({ iat: Math.floor(Date.now() / 1000) - 7200 }, { expiresIn: '1h' });
+
+        await expectUnauthorized(createService().verifyIdToken(token), /caducado/);
+    });
+
+    it('rejects a token signed with a key id the JWKS does not have', async () => {
+        const service = createService();
+        await service.verifyIdToken(signToken());
+        const requestsBefore = jwksRequests;
+
+        await expectUnauthorized(service.verifyIdToken(signToken({}, { kid: 'unknown-kid', key: otherKey })), /inválido/);
+        // Keys were just fetched: an unknown kid does not hit the endpoint again right away
+        assert.equal(jwksRequests, requestsBefore);
+    });
+
+    it('rejects a token with a known key id but a forged signature', async () => {
+        await expectUnauthorized(createService().verifyIdToken(signToken({}, { key: otherKey })), /inválido/);
+    });
+
+    it('rejects a Google account without a verified email', async () => {
+        await expectUnauthorized(createService().verifyIdToken(signToken({ email_verified: false })), /verificado/);
+    });
+
+    describe('signIn linking an existing account', () => {
+        const createLinkingService = (existing) => {
+            const calls = { revoked: [], deletedTokens: [] };
+            const prisma = {
+                user: {
+                    findUnique: async ({ where }) => (where.email === existing.email ? existing : null),
+                    update: async ({ data }) => ({ ...existing, ...data })
+                },
+                authToken: { deleteMany: async ({ where }) => calls.deletedTokens.push(where.userId) }
+            };
+            const sessionService = { revokeAllSessions: async (userId, reason) => calls.revoked.push([userId, reason]) };
+            const service = new GoogleAuthService(prisma, null, sessionService, { clientIds: CLIENT_ID, jwksUri });
+            return { service, calls };
+        };
+
+        it('keeps the password and sessions of a verified account', async () => {
+            const existing = { id: 'u1', email: 'guest@example.com', password: 'hash', emailVerified: true };
+            const { service, calls } = createLinkingService(existing);
+
+            const { user, linked } = await service.signIn(signToken());
+
+            assert.equal(linked, true);
+            assert.equal(user.password, 'hash');
+            assert.deepEqual(calls.revoked, []);
+        });
+
+        it('discards the credentials of an unverified account before linking it', async () => {
+            const existing = { id: 'u1', email: 'guest@example.com', password: 'hash', emailVerified: false, twoFactorEnabled: true };
+            const { service, calls } = createLinkingService(existing);
+
+            const { user, linked } = await service.signIn(signToken());
+
+            assert.equal(linked, true);
+            assert.notEqual(user.password, 'hash');
+            assert.equal(user.emailVerified, true);
+            assert.equal(user.twoFactorEnabled, false);
+            assert.deepEqual(calls.revoked, [['u1', 'google_link']]);
+            assert.deepEqual(calls.deletedTokens, ['u1']);
+        });
+    });
+});
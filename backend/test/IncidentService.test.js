@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const AccessService = require('../services/AccessService');
+const IncidentService = require('../services/IncidentService');
+const StorageService = require('../services/StorageService');
+
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+
+const exists = (target) => fs.access(target).then(() => true, () => false);
+
+// In-memory stand-in for the incident and reservation tables; property scope is not evaluated
+const fakePrisma = () => {
+    const incidents = new Map();
+    const queries = [];
+
+    return {
+        incidents,
+        queries,
+        reservation: {
+            findFirst: async ({ where }) => {
+                queries.push(where);
+                return {
+                    id: 'r1',
+                    propertyId: 'p1',
+                    status: 'confirmed',
+                    depositCurrency: 'eur',
+                    property: { id: 'p1', name: 'Casa', currency: 'EUR', ownerId: 'owner' }
+                };
+            }
+        },
+        incident: {
+            create: async ({ data }) => {
+                const incident = { id: 'i1', status: 'reported', ...data };
+                incidents.set(incident.id, incident);
+                return incident;
+            },
+            findFirst: async ({ where }) => {
+                queries.push(where);
+                const incident = incidents.get(where.id);
+                return incident && { ...incident, property: { id: 'p1', name: 'Casa', ownerId: 'owner' } };
+            },
+            delete: async ({ where }) => incidents.delete(where.id)
+        }
+    };
+};
+
+describe('IncidentService', () => {
+    const setup = async () => {
+        const prisma = fakePrisma();
+        const accessService = new AccessService(prisma);
+        const uploadsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'incidents-'));
+        const storageService = new StorageService({ uploadsDir });
+        const notificationService = { sendIncidentReported: async () => {} };
+        const service = new IncidentService(prisma, accessService, storageService, null, notificationService);
+        return { prisma, accessService, storageService, service, uploadsDir };
+    };
+
+    it('looks incidents up with the same scope as the list, so team members find them', async () => {
+        const { prisma, accessService, service } = await setup();
+        prisma.incidents.set('i1', { id: 'i1', status: 'reported', propertyId: 'p1' });
+
+        const incident = await service.getIncident('cleaner', 'i1');
+
+        assert.equal(incident.id, 'i1');
+        assert.deepEqual(prisma.queries[0].property, accessService.propertyFilter('cleaner'));
+    });
+
+    it('removes the stored photos when a report is rolled back after a failed upload', async () => {
+        const { prisma, storageService, service, uploadsDir } = await setup();
+        storageService.uploadImages = async (folder, photos) => {
+            await storageService.saveLocally(folder, storageService.parseImage(photos[0]));
+            throw new Error('upload failed');
+        };
+
+        await assert.rejects(
+            service.reportIncident('cleaner', { reservationId: 'r1', type: 'damage', title: 'Lámpara rota', photos: [PNG, PNG] }),
+            /upload failed/
+        );
+
+        assert.equal(prisma.incidents.size, 0);
+        assert.equal(await exists(path.join(uploadsDir, 'incidents', 'i1')), false);
+        await fs.rm(uploadsDir, { recursive: true, force: true });
+    });
+});
@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const MessageService = require('../services/MessageService');
+
+describe('MessageService account emails', () => {
+    const setup = () => {
+        const service = new MessageService();
+        const sent = [];
+        service.sendEmail = async (email) => {
+            sent.push(email);
+            return { success: true };
+        };
+        return { service, sent };
+    };
+
+    it('escapes the inviter name in team invitations', async () => {
+        const { service, sent } = setup();
+
+        await service.sendTeamInviteEmail(
+            { name: '<a href="https://evil.example">Pulsa aquí</a>' },
+            'guest@example.com',
+            'co_host',
+            'https://app.example/invite?token=a&b=1'
+        );
+
+        assert.doesNotMatch(sent[0].html, /<a href="https:\/\/evil/);
+        assert.match(sent[0].html, /&lt;a href=&quot;https:\/\/evil\.example&quot;&gt;/);
+        assert.match(sent[0].html, /href="https:\/\/app\.example\/invite\?token=a&amp;b=1"/);
+    });
+
+    it('escapes notification texts built from feed and incident data', async () => {
+        const { service, sent } = setup();
+
+        await service.sendNotificationEmail(
+            { email: 'owner@example.com' },
+            { title: 'Nueva reserva', message: 'Reserva de <img src=x onerror=alert(1)> en Casa' },
+            'https://app.example/reservations'
+        );
+
+        assert.doesNotMatch(sent[0].html, /<img/);
+        assert.match(sent[0].html, /&lt;img src=x onerror=alert\(1\)&gt;/);
+    });
+
+    it('shows the plain text version unescaped', () => {
+        const service = new MessageService();
+
+        assert.equal(service.stripHtml('<p>Tom &amp; Ana &lt;3</p>'), 'Tom & Ana <3');
+    });
+});
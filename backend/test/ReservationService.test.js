@@ -0,0 +1,81 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ReservationService = require('../services/ReservationService');
+
+// Service logs on stdout can corrupt the test runner's stream on Node 20
+mock.method(console, 'log', () => {});
+
+describe('ReservationService.validateStay', () => {
+    const service = new ReservationService(null);
+    const property = { maxGuests: 4 };
+
+    it('rejects a check-in and check-out on the same day', () => {
+        assert.throws(
+            () => service.validateStay(property, '2030-01-01T10:00:00Z', '2030-01-01T18:00:00Z', 2),
+            { status: 400 }
+        );
+    });
+
+    it('counts nights between calendar days, whatever the times', () => {
+        const stay = service.validateStay(property, '2030-01-01T15:00:00Z', '2030-01-03T11:00:00Z', 2);
+
+        assert.equal(stay.nights, 2);
+        assert.equal(stay.checkIn.toISOString(), '2030-01-01T00:00:00.000Z');
+        assert.equal(stay.checkOut.toISOString(), '2030-01-03T00:00:00.000Z');
+    });
+});
+
+describe('ReservationService.transitionStatus', () => {
+    const setup = () => {
+        const row = {
+            id: 'r1',
+            propertyId: 'p1',
+            status: 'confirmed',
+            checkIn: new Date('2020-01-01T00:00:00Z'),
+            checkOut: new Date('2099-01-01T00:00:00Z'),
+            accessCode: '123456',
+            property: { ownerId: 'owner' }
+        };
+        const effects = [];
+        const prisma = {
+            reservation: {
+                findFirst: async () => ({ ...row }),
+                findUnique: async () => ({ ...row }),
+                update: async ({ data }) => Object.assign(row, data) && { ...row },
+                // Lets both callers read the row before either one writes it
+                updateMany: async ({ where, data }) => {
+                    await new Promise(resolve => setImmediate(resolve));
+                    if (row.status !== where.status) return { count: 0 };
+                    Object.assign(row, data);
+                    return { count: 1 };
+                }
+            },
+            accessCode: {
+                updateMany: async () => {
+                    effects.push('access_code');
+                    return { count: 0 };
+                }
+            }
+        };
+        const automationService = { triggerEvent: async (ownerId, event) => effects.push(event) };
+        const channelManager = { detectConflicts: async () => effects.push('conflicts') };
+        const service = new ReservationService(prisma, channelManager, null, automationService, null, null);
+        return { service, row, effects };
+    };
+
+    it('lets only one of two concurrent transitions through', async () => {
+        const { service, row, effects } = setup();
+
+        const results = await Promise.allSettled([
+            service.transitionStatus('owner', 'r1', 'checked_in'),
+            service.cancelReservation('owner', 'r1')
+        ]);
+
+        const rejected = results.filter(result => result.status === 'rejected');
+        assert.equal(rejected.length, 1);
+        assert.equal(rejected[0].reason.status, 409);
+        assert.equal(row.status, 'checked_in');
+        assert.deepEqual(effects, ['access_code', 'checked_in']);
+    });
+});
@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+const SessionService = require('../services/SessionService');
+
+// In-memory stand-in for the userSession table
+const fakePrisma = () => {
+    const rows = new Map();
+    const matches = (row, where) => Object.entries(where).every(([key, value]) => row[key] === value);
+
+    return {
+        rows,
+        userSession: {
+            deleteMany: async () => ({ count: 0 }),
+            create: async ({ data }) => {
+                const row = { id: `s${rows.size + 1}`, revokedAt: null, revokedReason: null, ...data };
+                rows.set(row.id, row);
+                return { ...row };
+            },
+            findUnique: async ({ where }) => {
+                const row = rows.get(where.id);
+                return row && { ...row, user: { id: row.userId, email: 'ana@example.com', role: 'owner', isActive: true } };
+            },
+            updateMany: async ({ where, data }) => {
+                const row = rows.get(where.id);
+                if (!row || !matches(row, where)) return { count: 0 };
+                Object.assign(row, data);
+                return { count: 1 };
+            }
+        }
+    };
+};
+
+const startSession = async () => {
+    const prisma = fakePrisma();
+    const service = new SessionService(prisma, { jwtSecret: 'test-secret' });
+    const tokens = await service.createSession({ id: 'u1', email: 'ana@example.com', role: 'owner' });
+    return { prisma, service, tokens };
+};
+
+describe('SessionService.refreshSession', () => {
+    it('rotates the refresh token', async () => {
+        const { service, tokens } = await startSession();
+
+        const next = await service.refreshSession(tokens.refreshToken);
+        const again = await service.refreshSession(next.refreshToken);
+
+        assert.notEqual(next.refreshToken, tokens.refreshToken);
+        assert.notEqual(again.refreshToken, next.refreshToken);
+    });
+
+    it('answers a concurrent refresh with 409 without revoking the session', async () => {
+        const { prisma, service, tokens } = await startSession();
+
+        const results = await Promise.allSettled([
+            service.refreshSession(tokens.refreshToken),
+            service.refreshSession(tokens.refreshToken)
+        ]);
+
+        assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+        assert.equal(results.find(result => result.status === 'rejected').reason.status, 409);
+        assert.equal(prisma.rows.get('s1').revokedAt, null);
+    });
+
+    it('treats the token replaced a moment ago as a race', async () => {
+        const { prisma, service, tokens } = await startSession();
+        const next = await service.refreshSession(tokens.refreshToken);
+
+        await assert.rejects(service.refreshSession(tokens.refreshToken), { status: 409 });
+        assert.equal(prisma.rows.get('s1').revokedAt, null);
+        await service.refreshSession(next.refreshToken);
+    });
+
+    it('revokes the session when an old refresh token is replayed', async () => {
+        const { prisma, service, tokens } = await startSession();
+        const next = await service.refreshSession(tokens.refreshToken);
+        await service.refreshSession(next.refreshToken);
+
+        await assert.rejects(service.refreshSession(tokens.refreshToken), { status: 401 });
+        assert.equal(prisma.rows.get('s1').revokedReason, 'token_reuse');
+    });
+
+    it('revokes the session when the last rotation is past the grace window', async () => {
+        const { prisma, service, tokens } = await startSession();
+        await service.refreshSession(tokens.refreshToken);
+        prisma.rows.get('s1').rotatedAt = new Date(Date.now() - 60 * 1000);
+
+        await assert.rejects(service.refreshSession(tokens.refreshToken), { status: 401 });
+        assert.equal(prisma.rows.get('s1').revokedReason, 'token_reuse');
+    });
+});
+
+describe('SessionService.buildTokens', () => {
+    const service = new SessionService(null, {
+        jwtSecret: 'test-secret',
+        twoFactorService: { isRequired: user => user.plan === 'enterprise' }
+    });
+    const session = { id: 's1', expiresAt: new Date() };
+
+    it('marks the token of a user who still has to enroll in required 2FA', () => {
+        const { token } = service.buildTokens({ id: 'u1', plan: 'enterprise', twoFactorEnabled: false }, session, 'secret');
+        assert.equal(jwt.decode(token).twoFactorSetupRequired, true);
+    });
+
+    it('leaves the claim out once 2FA is on or when the plan does not require it', () => {
+        const enrolled = service.buildTokens({ id: 'u1', plan: 'enterprise', twoFactorEnabled: true }, session, 'secret');
+        const basic = service.buildTokens({ id: 'u2', plan: 'basic', twoFactorEnabled: false }, session, 'secret');
+
+        assert.equal(jwt.decode(enrolled.token).twoFactorSetupRequired, undefined);
+        assert.equal(jwt.decode(basic.token).twoFactorSetupRequired, undefined);
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const StripeService = require('../services/StripeService');
+
+// Stand-in for the Stripe client's paymentIntents API that records every call
+const fakeStripe = ({ status = 'requires_capture', error = null } = {}) => {
+    const calls = [];
+    const call = (method, result) => async (...args) => {
+        calls.push([method, ...args]);
+        if (error) throw error;
+        return result(...args);
+    };
+
+    return {
+        calls,
+        paymentIntents: {
+            create: call('create', () => ({ id: 'pi_new', status })),
+            capture: call('capture', (id) => ({ id, latest_charge: 'ch_1' })),
+            cancel: call('cancel', (id) => ({ id, status: 'canceled' }))
+        }
+    };
+};
+
+const setup = (options) => {
+    const service = new StripeService();
+    service.stripe = fakeStripe(options);
+    return service;
+};
+
+describe('StripeService deposits', () => {
+    it('captures only the amount charged, in cents', async () => {
+        const service = setup();
+
+        const result = await service.chargeDamages('pi_1', 120.5, 'Lámpara rota');
+
+        assert.deepEqual(result, { success: true, captured_amount: 120.5, charge_id: 'ch_1' });
+        const [, id, params] = service.stripe.calls[0];
+        assert.equal(id, 'pi_1');
+        assert.equal(params.amount_to_capture, 12050);
+    });
+
+    it('releases a hold by cancelling its payment intent', async () => {
+        const service = setup();
+
+        assert.equal((await service.releaseDeposit('pi_1')).success, true);
+        assert.deepEqual(service.stripe.calls, [['cancel', 'pi_1']]);
+    });
+
+    it('reports Stripe errors instead of throwing', async () => {
+        const service = setup({ error: new Error('No such payment_intent') });
+
+        assert.deepEqual(await service.releaseDeposit('pi_1'), { success: false, error: 'No such payment_intent' });
+        assert.equal((await service.chargeDamages('pi_1', 10, 'x')).success, false);
+    });
+
+    it('reauthorizes off-session with the saved card as a manual-capture hold', async () => {
+        const service = setup();
+
+        const result = await service.reauthorizeDeposit({
+            amount: 300, currency: 'EUR', customerId: 'cus_1', paymentMethodId: 'pm_1', reservationId: 'r1', previousPaymentIntentId: 'pi_old'
+        });
+
+        assert.deepEqual(result, { success: true, payment_intent_id: 'pi_new' });
+        const [, params] = service.stripe.calls[0];
+        assert.equal(params.amount, 30000);
+        assert.equal(params.currency, 'eur');
+        assert.equal(params.capture_method, 'manual');
+        assert.equal(params.off_session, true);
+        assert.equal(params.metadata.reauthorization_of, 'pi_old');
+    });
+
+    it('cancels a reauthorization that did not end up as a hold', async () => {
+        const service = setup({ status: 'requires_action' });
+
+        const result = await service.reauthorizeDeposit({
+            amount: 300, currency: 'eur', customerId: 'cus_1', paymentMethodId: 'pm_1', reservationId: 'r1', previousPaymentIntentId: 'pi_old'
+        });
+
+        assert.equal(result.success, false);
+        assert.deepEqual(service.stripe.calls[1], ['cancel', 'pi_new']);
+    });
+
+    it('passes on the decline code when the bank asks for authentication', async () => {
+        const service = setup({ error: Object.assign(new Error('Authentication required'), { code: 'authentication_required' }) });
+
+        const result = await service.reauthorizeDeposit({
+            amount: 300, currency: 'eur', customerId: 'cus_1', paymentMethodId: 'pm_1', reservationId: 'r1', previousPaymentIntentId: 'pi_old'
+        });
+
+        assert.equal(result.success, false);
+        assert.equal(result.code, 'authentication_required');
+    });
+});
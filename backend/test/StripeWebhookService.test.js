@@ -0,0 +1,157 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const StripeWebhookService = require('../services/StripeWebhookService');
+
+// Service logs on stdout can corrupt the test runner's stream on Node 20
+mock.method(console, 'log', () => {});
+
+// In-memory stand-in for the reservation and payment tables (lookups by payment intent or charge)
+const fakePrisma = ({ reservations = [], payments = [] } = {}) => {
+    const byIntentOrCharge = (row, where) => (where.OR || [where]).some(option =>
+        Object.entries(option).every(([key, value]) => row[key] === value));
+
+    return {
+        reservations,
+        payments,
+        reservation: {
+            findFirst: async ({ where }) => reservations.find(row => row.stripePaymentIntentId === where.stripePaymentIntentId) || null,
+            update: async ({ where, data }) => Object.assign(reservations.find(row => row.id === where.id), data)
+        },
+        payment: {
+            findMany: async ({ where }) => payments.filter(row => byIntentOrCharge(row, where)),
+            update: async ({ where, data }) => Object.assign(payments.find(row => row.id === where.id), data)
+        }
+    };
+};
+
+describe('StripeWebhookService.handleChargeRefunded', () => {
+    const setup = () => {
+        const prisma = fakePrisma({
+            reservations: [{ id: 'r1', stripePaymentIntentId: 'pi_1', depositStatus: 'captured', depositAmount: 300 }],
+            payments: [{ id: 'pay1', type: 'deposit', status: 'captured', stripePaymentIntentId: 'pi_1', stripeChargeId: 'ch_1', metadata: {} }]
+        });
+        return { prisma, service: new StripeWebhookService(prisma, null, null, null) };
+    };
+
+    it('marks a fully refunded deposit capture as refunded on the reservation', async () => {
+        const { prisma, service } = setup();
+
+        const handled = await service.handleChargeRefunded({ id: 'ch_1', payment_intent: 'pi_1', refunded: true, amount_refunded: 12000 });
+
+        assert.equal(handled, true);
+        assert.equal(prisma.reservations[0].depositStatus, 'refunded');
+        assert.equal(prisma.reservations[0].depositRefundedAmount, 120);
+        assert.equal(prisma.payments[0].status, 'refunded');
+    });
+
+    it('keeps a partially refunded deposit captured and records the amount', async () => {
+        const { prisma, service } = setup();
+
+        await service.handleChargeRefunded({ id: 'ch_1', payment_intent: 'pi_1', refunded: false, amount_refunded: 5000 });
+
+        assert.equal(prisma.reservations[0].depositStatus, 'captured');
+        assert.equal(prisma.reservations[0].depositRefundedAmount, 50);
+        assert.equal(prisma.payments[0].status, 'captured');
+    });
+
+    it('leaves a deposit that was never captured alone', async () => {
+        const { prisma, service } = setup();
+        prisma.reservations[0].depositStatus = 'released';
+
+        await service.handleChargeRefunded({ id: 'ch_1', payment_intent: 'pi_1', refunded: true, amount_refunded: 30000 });
+
+        assert.equal(prisma.reservations[0].depositStatus, 'released');
+        assert.equal(prisma.reservations[0].depositRefundedAmount, undefined);
+    });
+});
+
+describe('StripeWebhookService.handleEvent', () => {
+    const STALE_MS = 11 * 60 * 1000;
+
+    // In-memory StripeEvent table with the unique id constraint of the real one
+    const setup = (existing = []) => {
+        const events = new Map(existing.map(event => [event.id, { status: 'processing', updatedAt: new Date(), ...event }]));
+        const prisma = {
+            stripeEvent: {
+                create: async ({ data }) => {
+                    if (events.has(data.id)) {
+                        throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+                    }
+                    events.set(data.id, { ...data, status: 'processing', updatedAt: new Date() });
+                },
+                updateMany: async ({ where, data }) => {
+                    const event = events.get(where.id);
+                    const retryable = event && where.OR.some(option => event.status === option.status &&
+                        (!option.updatedAt || event.updatedAt < option.updatedAt.lt));
+                    if (!retryable) return { count: 0 };
+                    Object.assign(event, data, { updatedAt: new Date() });
+                    return { count: 1 };
+                },
+                update: async ({ where, data }) => Object.assign(events.get(where.id), data)
+            }
+        };
+        const service = new StripeWebhookService(prisma, null, null, null);
+        const calls = [];
+        service.handlers['test.event'] = async (event) => {
+            calls.push(event.id);
+            if (event.fail) throw new Error('handler failed');
+            return true;
+        };
+        return { service, events, calls };
+    };
+    const event = (overrides = {}) => ({ id: 'evt_1', type: 'test.event', livemode: false, ...overrides });
+
+    it('handles a new event once and records it as processed', async () => {
+        const { service, events, calls } = setup();
+
+        assert.deepEqual(await service.handleEvent(event()), { duplicate: false, handled: true });
+        assert.deepEqual(await service.handleEvent(event()), { duplicate: true, handled: false });
+
+        assert.deepEqual(calls, ['evt_1']);
+        assert.equal(events.get('evt_1').status, 'processed');
+    });
+
+    it('records event types without a handler as ignored', async () => {
+        const { service, events } = setup();
+
+        assert.deepEqual(await service.handleEvent(event({ type: 'customer.created' })), { duplicate: false, handled: false });
+        assert.equal(events.get('evt_1').status, 'ignored');
+    });
+
+    it('treats a concurrent delivery of an event being processed as a duplicate', async () => {
+        const { service, calls } = setup([{ id: 'evt_1' }]);
+
+        assert.deepEqual(await service.handleEvent(event()), { duplicate: true, handled: false });
+        assert.deepEqual(calls, []);
+    });
+
+    it('marks the event failed and rethrows so Stripe retries it, then processes the retry', async () => {
+        const { service, events, calls } = setup();
+
+        await assert.rejects(service.handleEvent(event({ fail: true })), /handler failed/);
+        assert.equal(events.get('evt_1').status, 'failed');
+        assert.equal(events.get('evt_1').error, 'handler failed');
+
+        assert.deepEqual(await service.handleEvent(event()), { duplicate: false, handled: true });
+        assert.equal(events.get('evt_1').status, 'processed');
+        assert.deepEqual(calls, ['evt_1', 'evt_1']);
+    });
+
+    it('processes again an event left processing by a crashed delivery', async () => {
+        const { service, events, calls } = setup([{ id: 'evt_1', updatedAt: new Date(Date.now() - STALE_MS) }]);
+
+        assert.deepEqual(await service.handleEvent(event()), { duplicate: false, handled: true });
+        assert.equal(events.get('evt_1').status, 'processed');
+        assert.deepEqual(calls, ['evt_1']);
+    });
+
+    it('does not swallow database errors other than the duplicate id', async () => {
+        const { service } = setup();
+        service.prisma.stripeEvent.create = async () => {
+            throw Object.assign(new Error('Connection lost'), { code: 'P1001' });
+        };
+
+        await assert.rejects(service.handleEvent(event()), /Connection lost/);
+    });
+});
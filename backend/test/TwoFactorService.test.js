@@ -0,0 +1,52 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const TwoFactorService = require('../services/TwoFactorService');
+
+// In-memory stand-in for the user table, enough for recovery codes
+const fakePrisma = (user) => ({
+    user: {
+        updateMany: async ({ where, data }) => {
+            const expected = where.twoFactorRecoveryCodes && where.twoFactorRecoveryCodes.equals;
+            if (where.id !== user.id || (expected && JSON.stringify(expected) !== JSON.stringify(user.twoFactorRecoveryCodes))) {
+                return { count: 0 };
+            }
+            Object.assign(user, data);
+            return { count: 1 };
+        }
+    }
+});
+
+// Service logs on stdout can corrupt the test runner's stream on Node 20
+mock.method(console, 'log', () => {});
+
+describe('TwoFactorService.verifyCode', () => {
+    const setup = async () => {
+        const service = new TwoFactorService(null, { jwtSecret: 'test-secret' });
+        const codes = service.generateRecoveryCodes().slice(0, 3);
+        const user = { id: 'u1', twoFactorRecoveryCodes: await service.hashRecoveryCodes(codes) };
+        service.prisma = fakePrisma(user);
+        return { service, codes, user };
+    };
+
+    it('consumes a recovery code once', async () => {
+        const { service, codes, user } = await setup();
+
+        assert.equal(await service.verifyCode({ ...user }, codes[0]), true);
+        assert.equal(user.twoFactorRecoveryCodes.length, 2);
+        assert.equal(await service.verifyCode({ ...user }, codes[0]), false);
+    });
+
+    it('accepts a recovery code for only one of two concurrent logins', async () => {
+        const { service, codes, user } = await setup();
+        const snapshot = { ...user };
+
+        const results = await Promise.all([
+            service.verifyCode(snapshot, codes[1]),
+            service.verifyCode(snapshot, codes[1])
+        ]);
+
+        assert.deepEqual(results.sort(), [false, true]);
+        assert.equal(user.twoFactorRecoveryCodes.length, 2);
+    });
+});
@@ -0,0 +1,16 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const UserService = require('../services/UserService');
+
+describe('UserService date formatting', () => {
+    const preferences = { language: 'es', timezone: 'America/New_York' };
+
+    it('shows date-only fields on their calendar day in any timezone', () => {
+        assert.equal(UserService.formatDate(new Date('2030-03-15T00:00:00Z'), preferences), '15/03/2030');
+    });
+
+    it('shows timestamps in the user timezone', () => {
+        assert.match(UserService.formatDateTime(new Date('2030-03-15T02:30:00Z'), preferences), /^14\/03\/2030/);
+    });
+});
@@ -2,6 +2,8 @@ class AirHostAPI {
     constructor() {
         this.baseURL = this.getBaseURL();
         this.token = localStorage.getItem('airhost_token');
+        this.refreshToken = localStorage.getItem('airhost_refresh_token');
+        this.refreshPromise = null;
         console.log('🔗 AirHost API initialized:', this.baseURL);
     }
 
@@ -14,9 +16,66 @@ class AirHostAPI {
         localStorage.setItem('airhost_token', token);
     }
 
+    setSession({ token, refreshToken }) {
+        this.setToken(token);
+        if (refreshToken) {
+            this.refreshToken = refreshToken;
+            localStorage.setItem('airhost_refresh_token', refreshToken);
+        }
+    }
+
     removeToken() {
         this.token = null;
+        this.refreshToken = null;
         localStorage.removeItem('airhost_token');
+        localStorage.removeItem('airhost_refresh_token');
+    }
+
+    // Rotate the refresh token; concurrent 401s share a single refresh call
+    async refreshSession() {
+        if (!this.refreshToken) return false;
+
+        if (!this.refreshPromise) {
+            const refreshToken = this.refreshToken;
+            this.refreshPromise = fetch(`${this.baseURL}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            })
+                .then(response => {
+                    // 409: another tab rotated the token first and stores the new one
+                    if (response.status === 409) return this.adoptStoredSession(refreshToken);
+                    return response.ok ? response.json() : null;
+                })
+                .then(data => {
+                    if (data === true) return true;
+                    if (data && data.success) {
+                        this.setSession(data);
+                        return true;
+                    }
+                    return false;
+                })
+                .catch(() => false)
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+
+        return this.refreshPromise;
+    }
+
+    // Pick up the tokens another tab saved after rotating `staleRefreshToken`
+    async adoptStoredSession(staleRefreshToken) {
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const refreshToken = localStorage.getItem('airhost_refresh_token');
+            if (refreshToken && refreshToken !== staleRefreshToken) {
+                this.token = localStorage.getItem('airhost_token');
+                this.refreshToken = refreshToken;
+                return true;
+            }
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+        return false;
     }
 
     getHeaders() {
@@ -29,7 +88,7 @@ class AirHostAPI {
         return headers;
     }
 
-    async request(endpoint, options = {}) {
+    async request(endpoint, options = {}, retryOnExpired = true) {
         const url = `${this.baseURL}${endpoint}`;
         const config = {
             headers: this.getHeaders(),
@@ -50,6 +109,9 @@ class AirHostAPI {
 
             if (!response.ok) {
                 if (response.status === 401) {
+                    if (retryOnExpired && await this.refreshSession()) {
+                        return this.request(endpoint, { ...options, headers: this.getHeaders() }, false);
+                    }
                     this.removeToken();
                     throw new Error('Sesión expirada. Por favor, inicia sesión de nuevo.');
                 } else if (response.status === 404) {
@@ -98,7 +160,7 @@ class AirHostAPI {
         try {
             const response = await this.post('/auth/login', { email, password });
             if (response.success && response.token) {
-                this.setToken(response.token);
+                this.setSession(response);
             }
             return response;
         } catch (error) {
@@ -106,11 +168,29 @@ class AirHostAPI {
         }
     }
 
+    // Second login step when the account has 2FA (TOTP or recovery code)
+    async loginTwoFactor(challengeToken, code) {
+        const response = await this.post('/auth/login/2fa', { challengeToken, code });
+        if (response.success && response.token) {
+            this.setSession(response);
+        }
+        return response;
+    }
+
+    // Google sign-in with the ID token from Google Identity Services; may also answer twoFactorRequired
+    async googleLogin(token) {
+        const response = await this.post('/auth/google', { token });
+        if (response.success && response.token) {
+            this.setSession(response);
+        }
+        return response;
+    }
+
     async register(userData) {
         try {
             const response = await this.post('/auth/register', userData);
             if (response.success && response.token) {
-                this.setToken(response.token);
+                this.setSession(response);
             }
             return response;
         } catch (error) {
@@ -128,10 +208,101 @@ class AirHostAPI {
         }
     }
 
+    async logoutAllDevices() {
+        try {
+            return await this.post('/auth/logout-all');
+        } finally {
+            this.removeToken();
+        }
+    }
+
+    async getSessions() {
+        return this.get('/auth/sessions');
+    }
+
+    async revokeSession(sessionId) {
+        return this.delete(`/auth/sessions/${sessionId}`);
+    }
+
+    async verifyEmail(token) {
+        return this.post('/auth/verify-email', { token });
+    }
+
+    async resendVerification() {
+        return this.post('/auth/resend-verification');
+    }
+
+    async forgotPassword(email) {
+        return this.post('/auth/forgot-password', { email });
+    }
+
+    async resetPassword(token, password) {
+        return this.post('/auth/reset-password', { token, password });
+    }
+
+    async getTwoFactorStatus() {
+        return this.get('/auth/2fa');
+    }
+
+    async setupTwoFactor() {
+        return this.post('/auth/2fa/setup');
+    }
+
+    async enableTwoFactor(code) {
+        return this.post('/auth/2fa/enable', { code });
+    }
+
+    async disableTwoFactor(password, code) {
+        return this.post('/auth/2fa/disable', { password, code });
+    }
+
+    async regenerateRecoveryCodes(code) {
+        return this.post('/auth/2fa/recovery-codes', { code });
+    }
+
+    async getTeamMembers() {
+        return this.get('/team/members');
+    }
+
+    async inviteTeamMember(invite) {
+        return this.post('/team/invites', invite);
+    }
+
+    async acceptTeamInvite(token) {
+        return this.post('/team/invites/accept', { token });
+    }
+
+    async updateTeamMemberGrants(memberId, grants) {
+        return this.put(`/team/members/${memberId}/grants`, { grants });
+    }
+
+    async removeTeamMember(memberId) {
+        return this.delete(`/team/members/${memberId}`);
+    }
+
+    async getTeamMemberships() {
+        return this.get('/team/memberships');
+    }
+
+    // Filters: action, entityType, entityId, actorId, propertyId, from, to, limit, cursor
+    async getAuditLog(filters = {}) {
+        const query = new URLSearchParams(filters).toString();
+        return this.get(`/audit-log${query ? `?${query}` : ''}`);
+    }
+
     async getProfile() {
         return this.get('/auth/me');
     }
 
+    // Profile fields and preferences (language, currency, timezone, emailNotifications, whatsappNotifications)
+    async updateProfile(data) {
+        return this.put('/auth/me', data);
+    }
+
+    async changePassword(currentPassword, newPassword) {
+        return this.post('/auth/change-password', { currentPassword, newPassword });
+    }
+
     async getProperties() {
         return this.get('/properties');
     }
@@ -152,8 +323,9 @@ class AirHostAPI {
         return this.delete(`/properties/${id}`);
     }
 
-    async getReservations() {
-        return this.get('/reservations');
+    async getReservations(filters = {}) {
+        const query = new URLSearchParams(filters).toString();
+        return this.get(`/reservations${query ? `?${query}` : ''}`);
     }
 
     async getReservation(id) {
@@ -208,8 +380,94 @@ class AirHostAPI {
         return this.get(`/smart-locks/codes/${propertyId}`);
     }
 
-    async createDepositPayment(bookingId, amount) {
-        return this.post('/payments/deposit', { bookingId, amount });
+    async createDepositPayment(reservationId, amount, currency) {
+        return this.post('/deposits/create', { reservationId, amount, currency });
+    }
+
+    async getDeposit(reservationId) {
+        return this.get(`/deposits/${reservationId}`);
+    }
+
+    async captureDeposit(reservationId, incidentId, amount) {
+        return this.post(`/deposits/${reservationId}/capture`, { incidentId, amount });
+    }
+
+    async releaseDeposit(reservationId, reason) {
+        return this.post(`/deposits/${reservationId}/release`, { reason });
+    }
+
+    async createDepositLink(reservationId, send = false) {
+        return this.post(`/deposits/${reservationId}/link`, { send });
+    }
+
+    // Guest deposit page (token from the signed link, no session)
+    async getGuestDeposit(token) {
+        return this.get(`/guest/deposits/${encodeURIComponent(token)}`);
+    }
+
+    async confirmGuestDeposit(token) {
+        return this.post(`/guest/deposits/${encodeURIComponent(token)}/confirm`, {});
+    }
+
+    // Incidents (photos as data URLs, e.g. from FileReader.readAsDataURL)
+    async getIncidents(filters = {}) {
+        const query = new URLSearchParams(filters).toString();
+        return this.get(`/incidents${query ? `?${query}` : ''}`);
+    }
+
+    async getIncident(id) {
+        return this.get(`/incidents/${id}`);
+    }
+
+    async reportIncident(incidentData) {
+        return this.post('/incidents', incidentData);
+    }
+
+    async updateIncident(id, incidentData) {
+        return this.put(`/incidents/${id}`, incidentData);
+    }
+
+    async addIncidentPhotos(id, photos) {
+        return this.post(`/incidents/${id}/photos`, { photos });
+    }
+
+    async reviewIncident(id) {
+        return this.post(`/incidents/${id}/review`, {});
+    }
+
+    async chargeIncident(id, amount) {
+        return this.post(`/incidents/${id}/charge`, { amount });
+    }
+
+    async resolveIncident(id, actionTaken, resolutionNotes) {
+        return this.post(`/incidents/${id}/resolve`, { actionTaken, resolutionNotes });
+    }
+
+    async dismissIncident(id, resolutionNotes) {
+        return this.post(`/incidents/${id}/dismiss`, { resolutionNotes });
+    }
+
+    // PDF as a Blob (request() only handles JSON responses)
+    async downloadIncidentReport(id, retryOnExpired = true) {
+        const response = await fetch(`${this.baseURL}/incidents/${id}/report.pdf`, { headers: this.getHeaders() });
+
+        if (response.status === 401 && retryOnExpired && await this.refreshSession()) {
+            return this.downloadIncidentReport(id, false);
+        }
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `Error HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        return response.blob();
+    }
+
+    async attachIncidentToDispute(id, disputeId, submit = false) {
+        return this.post(`/incidents/${id}/dispute-evidence`, { disputeId, submit });
+    }
+
+    async deleteIncident(id) {
+        return this.delete(`/incidents/${id}`);
     }
 
     async getPaymentStatus(paymentId) {
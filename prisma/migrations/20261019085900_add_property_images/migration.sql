@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."properties" ADD COLUMN     "images" JSONB;
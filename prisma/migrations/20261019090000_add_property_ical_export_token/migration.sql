@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."properties" ADD COLUMN     "icalExportToken" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "properties_icalExportToken_key" ON "public"."properties"("icalExportToken");
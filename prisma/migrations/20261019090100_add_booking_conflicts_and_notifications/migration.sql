@@ -0,0 +1,59 @@
+-- CreateTable
+CREATE TABLE "public"."booking_conflicts" (
+    "id" TEXT NOT NULL,
+    "propertyId" TEXT NOT NULL,
+    "ownerId" TEXT NOT NULL,
+    "reservationId" TEXT NOT NULL,
+    "conflictingReservationId" TEXT NOT NULL,
+    "overlapStart" TIMESTAMP(3) NOT NULL,
+    "overlapEnd" TIMESTAMP(3) NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "resolution" TEXT,
+    "resolutionNotes" TEXT,
+    "resolvedById" TEXT,
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "booking_conflicts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."notifications" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "category" TEXT,
+    "entityType" TEXT,
+    "entityId" TEXT,
+    "isRead" BOOLEAN NOT NULL DEFAULT false,
+    "readAt" TIMESTAMP(3),
+    "actionUrl" TEXT,
+    "actionText" TEXT,
+    "priority" TEXT NOT NULL DEFAULT 'normal',
+    "metadata" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "notifications_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "booking_conflicts_reservationId_conflictingReservationId_key" ON "public"."booking_conflicts"("reservationId", "conflictingReservationId");
+
+-- AddForeignKey
+ALTER TABLE "public"."booking_conflicts" ADD CONSTRAINT "booking_conflicts_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "public"."properties"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."booking_conflicts" ADD CONSTRAINT "booking_conflicts_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."booking_conflicts" ADD CONSTRAINT "booking_conflicts_reservationId_fkey" FOREIGN KEY ("reservationId") REFERENCES "public"."reservations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."booking_conflicts" ADD CONSTRAINT "booking_conflicts_conflictingReservationId_fkey" FOREIGN KEY ("conflictingReservationId") REFERENCES "public"."reservations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."notifications" ADD CONSTRAINT "notifications_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "public"."channels" ADD COLUMN     "consecutiveFailures" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "nextSyncAt" TIMESTAMP(3),
+ADD COLUMN     "syncIntervalMinutes" INTEGER NOT NULL DEFAULT 60;
+
+-- CreateTable
+CREATE TABLE "public"."channel_sync_logs" (
+    "id" TEXT NOT NULL,
+    "channelId" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "created" INTEGER NOT NULL DEFAULT 0,
+    "updated" INTEGER NOT NULL DEFAULT 0,
+    "cancelled" INTEGER NOT NULL DEFAULT 0,
+    "conflicts" INTEGER NOT NULL DEFAULT 0,
+    "errorMessage" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL,
+    "finishedAt" TIMESTAMP(3) NOT NULL,
+    "durationMs" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "channel_sync_logs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "channel_sync_logs_channelId_startedAt_idx" ON "public"."channel_sync_logs"("channelId", "startedAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."channel_sync_logs" ADD CONSTRAINT "channel_sync_logs_channelId_fkey" FOREIGN KEY ("channelId") REFERENCES "public"."channels"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "public"."reservations" ADD COLUMN     "actualCheckIn" TIMESTAMP(3),
+ADD COLUMN     "actualCheckOut" TIMESTAMP(3),
+ADD COLUMN     "cancellationReason" TEXT,
+ADD COLUMN     "cancelledAt" TIMESTAMP(3),
+ADD COLUMN     "cancelledBy" TEXT,
+ADD COLUMN     "noShowAt" TIMESTAMP(3);
@@ -0,0 +1,5 @@
+-- CreateIndex
+CREATE INDEX "reservations_propertyId_checkIn_idx" ON "public"."reservations"("propertyId", "checkIn");
+
+-- CreateIndex
+CREATE INDEX "reservations_propertyId_status_idx" ON "public"."reservations"("propertyId", "status");
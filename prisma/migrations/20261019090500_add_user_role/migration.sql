@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."users" ADD COLUMN     "role" TEXT NOT NULL DEFAULT 'owner';
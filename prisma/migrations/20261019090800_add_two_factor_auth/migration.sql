@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "public"."users" ADD COLUMN     "twoFactorEnabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "twoFactorEnabledAt" TIMESTAMP(3),
+ADD COLUMN     "twoFactorLastStep" INTEGER,
+ADD COLUMN     "twoFactorRecoveryCodes" JSONB,
+ADD COLUMN     "twoFactorSecret" TEXT;
@@ -0,0 +1,56 @@
+-- CreateTable
+CREATE TABLE "public"."team_members" (
+    "id" TEXT NOT NULL,
+    "ownerId" TEXT NOT NULL,
+    "userId" TEXT,
+    "email" TEXT NOT NULL,
+    "role" TEXT NOT NULL DEFAULT 'co_host',
+    "status" TEXT NOT NULL DEFAULT 'invited',
+    "inviteTokenHash" TEXT,
+    "inviteExpiresAt" TIMESTAMP(3),
+    "invitedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "acceptedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "team_members_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."property_access" (
+    "id" TEXT NOT NULL,
+    "memberId" TEXT NOT NULL,
+    "propertyId" TEXT NOT NULL,
+    "permissions" TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "property_access_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "team_members_inviteTokenHash_key" ON "public"."team_members"("inviteTokenHash");
+
+-- CreateIndex
+CREATE INDEX "team_members_userId_status_idx" ON "public"."team_members"("userId", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "team_members_ownerId_email_key" ON "public"."team_members"("ownerId", "email");
+
+-- CreateIndex
+CREATE INDEX "property_access_propertyId_idx" ON "public"."property_access"("propertyId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "property_access_memberId_propertyId_key" ON "public"."property_access"("memberId", "propertyId");
+
+-- AddForeignKey
+ALTER TABLE "public"."team_members" ADD CONSTRAINT "team_members_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."team_members" ADD CONSTRAINT "team_members_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."property_access" ADD CONSTRAINT "property_access_memberId_fkey" FOREIGN KEY ("memberId") REFERENCES "public"."team_members"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."property_access" ADD CONSTRAINT "property_access_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "public"."properties"("id") ON DELETE CASCADE ON UPDATE CASCADE;
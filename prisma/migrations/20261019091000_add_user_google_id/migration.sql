@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "public"."users" ADD COLUMN     "googleId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_googleId_key" ON "public"."users"("googleId");
@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "public"."audit_logs" (
+    "id" TEXT NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "ownerId" TEXT,
+    "actorId" TEXT,
+    "action" TEXT NOT NULL,
+    "entityType" TEXT NOT NULL,
+    "entityId" TEXT,
+    "propertyId" TEXT,
+    "before" JSONB,
+    "after" JSONB,
+    "metadata" JSONB,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "prevHash" TEXT NOT NULL,
+    "hash" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "audit_logs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "audit_logs_sequence_key" ON "public"."audit_logs"("sequence");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "audit_logs_hash_key" ON "public"."audit_logs"("hash");
+
+-- CreateIndex
+CREATE INDEX "audit_logs_ownerId_createdAt_idx" ON "public"."audit_logs"("ownerId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "audit_logs_actorId_createdAt_idx" ON "public"."audit_logs"("actorId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "audit_logs_entityType_entityId_idx" ON "public"."audit_logs"("entityType", "entityId");
@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "public"."reservations" ADD COLUMN     "depositRefundedAmount" DOUBLE PRECISION,
+ADD COLUMN     "depositRefundedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."stripe_events" (
+    "id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'processing',
+    "error" TEXT,
+    "livemode" BOOLEAN NOT NULL DEFAULT false,
+    "processedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "stripe_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "stripe_events_type_createdAt_idx" ON "public"."stripe_events"("type", "createdAt");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "public"."reservations" ADD COLUMN     "depositCheckoutClaimedAt" TIMESTAMP(3),
+ADD COLUMN     "depositLinkSentAt" TIMESTAMP(3);
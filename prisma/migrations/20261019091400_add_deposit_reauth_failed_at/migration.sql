@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."reservations" ADD COLUMN     "depositReauthFailedAt" TIMESTAMP(3);
@@ -5,7 +5,7 @@ echo ========================================
 echo.
 
 echo 📦 Installing dependencies...
-call npm install
+call npm --prefix backend install
 if %errorlevel% neq 0 (
     echo ❌ npm install failed
     goto :error
@@ -13,7 +13,7 @@ if %errorlevel% neq 0 (
 
 echo.
 echo 🔧 Generating Prisma client...
-call npx prisma generate
+call npm --prefix backend run build
 if %errorlevel% neq 0 (
     echo ❌ Prisma generate failed
     goto :error